@@ -0,0 +1,78 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+/**
+ * @title AccessControlPausable
+ * @dev Roles and emergency stop shared by the DEX, Faucet and airdrops. The owner
+ * holds DEFAULT_ADMIN_ROLE, which moves with ownership, and grants the operational
+ * roles (PAUSER_ROLE here, FUNDER_ROLE, AIRDROP_MANAGER_ROLE and FEE_SETTER_ROLE in
+ * the contracts that use them) to other keys, so day-to-day operations do not need
+ * the owner's key. The deployer starts with every role.
+ */
+abstract contract AccessControlPausable is Ownable, AccessControl, Pausable {
+    // Allowed to pause and unpause
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /**
+     * @dev Constructor, gives PAUSER_ROLE to the deployer
+     */
+    constructor() {
+        _grantRole(PAUSER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Grants `role` to `account`. DEFAULT_ADMIN_ROLE can only change hands with ownership.
+     */
+    function grantRole(bytes32 role, address account) public virtual override {
+        require(role != DEFAULT_ADMIN_ROLE, "AccessControlPausable: admin role follows ownership");
+        super.grantRole(role, account);
+    }
+
+    /**
+     * @dev Revokes `role` from `account`. DEFAULT_ADMIN_ROLE can only change hands with ownership.
+     */
+    function revokeRole(bytes32 role, address account) public virtual override {
+        require(role != DEFAULT_ADMIN_ROLE, "AccessControlPausable: admin role follows ownership");
+        super.revokeRole(role, account);
+    }
+
+    /**
+     * @dev Gives up `role`. The owner gives up DEFAULT_ADMIN_ROLE with renounceOwnership.
+     */
+    function renounceRole(bytes32 role, address callerConfirmation) public virtual override {
+        require(role != DEFAULT_ADMIN_ROLE, "AccessControlPausable: admin role follows ownership");
+        super.renounceRole(role, callerConfirmation);
+    }
+
+    /**
+     * @dev Stop the functions guarded by whenNotPaused
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Resume normal operation
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Moves DEFAULT_ADMIN_ROLE along with ownership. Other roles stay with their holders.
+     */
+    function _transferOwnership(address newOwner) internal virtual override {
+        address previousOwner = owner();
+        super._transferOwnership(newOwner);
+        if (previousOwner != address(0)) {
+            _revokeRole(DEFAULT_ADMIN_ROLE, previousOwner);
+        }
+        if (newOwner != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, newOwner);
+        }
+    }
+}
@@ -1,18 +1,27 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "./TestTokenA.sol";
+import "./AccessControlPausable.sol";
 
 /**
  * @title Airdrop
- * @dev A contract for managing token airdrops with registration period
+ * @dev A contract for managing token airdrops with registration period.
+ * Registration, distribution and claims stop while paused; the owner can still withdraw.
+ * FUNDER_ROLE adds tokens and AIRDROP_MANAGER_ROLE runs the campaign, while
+ * withdrawing tokens is left to the owner.
  */
-contract Airdrop is Ownable {
+contract Airdrop is AccessControlPausable {
     // The token being airdropped
     TestTokenA public immutable token;
     
+    // Allowed to add tokens to the airdrop
+    bytes32 public constant FUNDER_ROLE = keccak256("FUNDER_ROLE");
+    
+    // Allowed to set the registration period and amounts, distribute and open claims
+    bytes32 public constant AIRDROP_MANAGER_ROLE = keccak256("AIRDROP_MANAGER_ROLE");
+    
     // Airdrop period
     uint256 public registrationStartTime;
     uint256 public registrationEndTime;
@@ -22,6 +31,12 @@ contract Airdrop is Ownable {
     uint256 public totalAirdropAmount;
     uint256 public distributedAmount;
     
+    // Index of the next registered address to pay
+    uint256 public distributionCursor;
+    
+    // Pull mode: users claim their own tokens until the deadline
+    uint256 public claimDeadline;
+    
     // Mapping of registered addresses
     mapping(address => bool) public isRegistered;
     address[] public registeredAddresses;
@@ -29,12 +44,19 @@ contract Airdrop is Ownable {
     // Mapping of airdrop amounts
     mapping(address => uint256) public airdropAmounts;
     
+    // Mapping of users that have been paid
+    mapping(address => bool) public isPaid;
+    
     // Events
     event RegistrationPeriodSet(uint256 startTime, uint256 endTime);
     event UserRegistered(address indexed user);
     event AirdropAmountSet(address indexed user, uint256 amount);
     event TokensDistributed(address indexed user, uint256 amount);
     event TokensMinted(uint256 amount);
+    event DistributionProgress(uint256 cursor, uint256 total);
+    event ClaimsOpened(uint256 deadline);
+    event Claimed(address indexed user, uint256 amount);
+    event UnclaimedTokensSwept(address indexed to, uint256 amount);
     
     /**
      * @dev Constructor
@@ -43,6 +65,9 @@ contract Airdrop is Ownable {
     constructor(address _token) Ownable(msg.sender) {
         require(_token != address(0), "Airdrop: token address cannot be zero");
         token = TestTokenA(_token);
+        
+        _grantRole(FUNDER_ROLE, msg.sender);
+        _grantRole(AIRDROP_MANAGER_ROLE, msg.sender);
     }
     
     /**
@@ -50,7 +75,7 @@ contract Airdrop is Ownable {
      * @param _startTime The start time of the registration period
      * @param _endTime The end time of the registration period
      */
-    function setRegistrationPeriod(uint256 _startTime, uint256 _endTime) external onlyOwner {
+    function setRegistrationPeriod(uint256 _startTime, uint256 _endTime) external onlyRole(AIRDROP_MANAGER_ROLE) {
         require(_startTime < _endTime, "Airdrop: start time must be before end time");
         require(_endTime > block.timestamp, "Airdrop: end time must be in the future");
         require(registeredAddresses.length == 0, "Airdrop: cannot change period after registrations");
@@ -64,7 +89,7 @@ contract Airdrop is Ownable {
     /**
      * @dev Register for the airdrop
      */
-    function register() external {
+    function register() external whenNotPaused {
         require(block.timestamp >= registrationStartTime, "Airdrop: registration not started");
         require(block.timestamp <= registrationEndTime, "Airdrop: registration ended");
         require(!isRegistered[msg.sender], "Airdrop: already registered");
@@ -79,7 +104,7 @@ contract Airdrop is Ownable {
      * @dev Mint tokens for the airdrop
      * @param amount The amount of tokens to mint
      */
-    function mintTokensForAirdrop(uint256 amount) external onlyOwner {
+    function mintTokensForAirdrop(uint256 amount) external onlyRole(FUNDER_ROLE) {
         token.mint(address(this), amount);
         totalAirdropAmount += amount;
         
@@ -91,10 +116,12 @@ contract Airdrop is Ownable {
      * @param users Array of user addresses
      * @param amounts Array of token amounts
      */
-    function setAirdropAmounts(address[] calldata users, uint256[] calldata amounts) external onlyOwner {
+    function setAirdropAmounts(address[] calldata users, uint256[] calldata amounts) external onlyRole(AIRDROP_MANAGER_ROLE) {
         require(block.timestamp > registrationEndTime, "Airdrop: registration period not ended");
         require(users.length == amounts.length, "Airdrop: arrays length mismatch");
         require(!isDistributionComplete, "Airdrop: distribution already complete");
+        require(distributionCursor == 0, "Airdrop: distribution in progress");
+        require(claimDeadline == 0, "Airdrop: amounts finalized");
         
         uint256 totalAmount = 0;
         
@@ -111,23 +138,117 @@ contract Airdrop is Ownable {
     }
     
     /**
-     * @dev Distribute tokens to registered users
+     * @dev Distribute tokens to the remaining registered users
+     */
+    function distributeTokens() external onlyRole(AIRDROP_MANAGER_ROLE) whenNotPaused {
+        require(block.timestamp > registrationEndTime, "Airdrop: registration period not ended");
+        require(!isDistributionComplete, "Airdrop: distribution already complete");
+        
+        _distributeUntil(registeredAddresses.length);
+    }
+    
+    /**
+     * @dev Distribute tokens to a slice of the registered users, so that large
+     * campaigns can be paid out over several transactions
+     * @param start Index of the first user to pay, must equal distributionCursor
+     * @param count Maximum number of users to pay
      */
-    function distributeTokens() external onlyOwner {
+    function distributeBatch(uint256 start, uint256 count) external onlyRole(AIRDROP_MANAGER_ROLE) whenNotPaused {
         require(block.timestamp > registrationEndTime, "Airdrop: registration period not ended");
         require(!isDistributionComplete, "Airdrop: distribution already complete");
+        require(start == distributionCursor, "Airdrop: batch must start at the cursor");
+        require(count > 0, "Airdrop: count must be greater than zero");
         
-        for (uint256 i = 0; i < registeredAddresses.length; i++) {
+        uint256 end = start + count;
+        if (end > registeredAddresses.length) {
+            end = registeredAddresses.length;
+        }
+        _distributeUntil(end);
+    }
+    
+    /**
+     * @dev Pay every user from the cursor up to `end` and advance the cursor
+     * @param end Index after the last user to pay
+     */
+    function _distributeUntil(uint256 end) private {
+        for (uint256 i = distributionCursor; i < end; i++) {
             address user = registeredAddresses[i];
             uint256 amount = airdropAmounts[user];
             
-            if (amount > 0) {
+            if (amount > 0 && !isPaid[user]) {
+                isPaid[user] = true;
                 token.transfer(user, amount);
                 emit TokensDistributed(user, amount);
             }
         }
         
+        distributionCursor = end;
+        emit DistributionProgress(end, registeredAddresses.length);
+        
+        if (end == registeredAddresses.length) {
+            isDistributionComplete = true;
+        }
+    }
+    
+    /**
+     * @dev Finalize the amounts and let registered users claim their tokens
+     * themselves, as an alternative to distributeTokens
+     * @param deadline The time after which claims close and the owner can sweep the rest
+     */
+    function openClaims(uint256 deadline) external onlyRole(AIRDROP_MANAGER_ROLE) {
+        require(block.timestamp > registrationEndTime, "Airdrop: registration period not ended");
+        require(!isDistributionComplete, "Airdrop: distribution already complete");
+        require(claimDeadline == 0, "Airdrop: claims already open");
+        require(distributedAmount > 0, "Airdrop: amounts not set");
+        require(deadline > block.timestamp, "Airdrop: deadline must be in the future");
+        
+        claimDeadline = deadline;
+        
+        emit ClaimsOpened(deadline);
+    }
+    
+    /**
+     * @dev Claim the caller's airdrop once claims are open
+     */
+    function claim() external whenNotPaused {
+        require(claimDeadline != 0, "Airdrop: claims not open");
+        require(block.timestamp <= claimDeadline, "Airdrop: claim period ended");
+        require(isRegistered[msg.sender], "Airdrop: not registered");
+        require(!isPaid[msg.sender], "Airdrop: already claimed");
+        
+        uint256 amount = airdropAmounts[msg.sender];
+        require(amount > 0, "Airdrop: nothing to claim");
+        isPaid[msg.sender] = true;
+        token.transfer(msg.sender, amount);
+        
+        emit Claimed(msg.sender, amount);
+    }
+    
+    /**
+     * @dev Check whether a user has received their tokens, by claim or distribution
+     * @param user The address to check
+     * @return True if the user has been paid
+     */
+    function hasClaimed(address user) external view returns (bool) {
+        return isPaid[user];
+    }
+    
+    /**
+     * @dev Send the unclaimed tokens to `to` once the claim period has ended.
+     * This closes the campaign.
+     * @param to Address to send the tokens to
+     */
+    function sweepUnclaimedTokens(address to) external onlyOwner {
+        require(claimDeadline != 0 && block.timestamp > claimDeadline, "Airdrop: claim period not ended");
+        require(!isDistributionComplete, "Airdrop: distribution already complete");
+        
         isDistributionComplete = true;
+        uint256 balance = token.balanceOf(address(this));
+        if (balance > 0) {
+            token.transfer(to, balance);
+        }
+        
+        emit UnclaimedTokensSwept(to, balance);
     }
     
     /**
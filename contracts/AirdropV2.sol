@@ -1,20 +1,29 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./AccessControlPausable.sol";
 
 /**
  * @title AirdropV2
- * @dev A contract for managing airdrops of any ERC20 token with registration period
+ * @dev A contract for managing airdrops of any ERC20 token with registration period.
+ * Registration, distribution and claims stop while paused; the owner can still withdraw.
+ * FUNDER_ROLE adds tokens and AIRDROP_MANAGER_ROLE runs the campaign, while
+ * withdrawing tokens is left to the owner.
  */
-contract AirdropV2 is Ownable {
+contract AirdropV2 is AccessControlPausable {
     using SafeERC20 for IERC20;
     
     // The token being airdropped
     IERC20 public immutable token;
     
+    // Allowed to add tokens to the airdrop
+    bytes32 public constant FUNDER_ROLE = keccak256("FUNDER_ROLE");
+    
+    // Allowed to set the registration period and amounts, distribute and open claims
+    bytes32 public constant AIRDROP_MANAGER_ROLE = keccak256("AIRDROP_MANAGER_ROLE");
+    
     // Airdrop period
     uint256 public registrationStartTime;
     uint256 public registrationEndTime;
@@ -28,16 +37,29 @@ contract AirdropV2 is Ownable {
     uint256 public amountPerUser;
     bool public isAmountSet;
     
+    // Index of the next registered address to pay
+    uint256 public distributionCursor;
+    
+    // Pull mode: users claim their own tokens until the deadline
+    uint256 public claimDeadline;
+    
     // Mapping of registered addresses
     mapping(address => bool) public isRegistered;
     address[] public registeredAddresses;
     
+    // Mapping of users that have been paid
+    mapping(address => bool) public isPaid;
+    
     // Events
     event RegistrationPeriodSet(uint256 startTime, uint256 endTime);
     event UserRegistered(address indexed user);
     event TokensAdded(uint256 amount);
     event UniformAmountSet(uint256 amount);
     event TokensDistributed(address indexed user, uint256 amount);
+    event DistributionProgress(uint256 cursor, uint256 total);
+    event ClaimsOpened(uint256 deadline);
+    event Claimed(address indexed user, uint256 amount);
+    event UnclaimedTokensSwept(address indexed to, uint256 amount);
     
     /**
      * @dev Constructor
@@ -46,6 +68,9 @@ contract AirdropV2 is Ownable {
     constructor(address _token) Ownable(msg.sender) {
         require(_token != address(0), "Airdrop: token address cannot be zero");
         token = IERC20(_token);
+        
+        _grantRole(FUNDER_ROLE, msg.sender);
+        _grantRole(AIRDROP_MANAGER_ROLE, msg.sender);
     }
     
     /**
@@ -53,7 +78,7 @@ contract AirdropV2 is Ownable {
      * @param _startTime The start time of the registration period
      * @param _endTime The end time of the registration period
      */
-    function setRegistrationPeriod(uint256 _startTime, uint256 _endTime) external onlyOwner {
+    function setRegistrationPeriod(uint256 _startTime, uint256 _endTime) external onlyRole(AIRDROP_MANAGER_ROLE) {
         require(_startTime < _endTime, "Airdrop: start time must be before end time");
         require(_endTime > block.timestamp, "Airdrop: end time must be in the future");
         require(registeredAddresses.length == 0, "Airdrop: cannot change period after registrations");
@@ -67,7 +92,7 @@ contract AirdropV2 is Ownable {
     /**
      * @dev Register for the airdrop
      */
-    function register() external {
+    function register() external whenNotPaused {
         require(block.timestamp >= registrationStartTime, "Airdrop: registration not started");
         require(block.timestamp <= registrationEndTime, "Airdrop: registration ended");
         require(!isRegistered[msg.sender], "Airdrop: already registered");
@@ -82,7 +107,7 @@ contract AirdropV2 is Ownable {
      * @dev Add tokens to the airdrop
      * @param amount The amount of tokens to add
      */
-    function addTokensToAirdrop(uint256 amount) external onlyOwner {
+    function addTokensToAirdrop(uint256 amount) external onlyRole(FUNDER_ROLE) {
         require(amount > 0, "Airdrop: amount must be greater than zero");
         
         // Transfer tokens from owner to this contract
@@ -96,7 +121,7 @@ contract AirdropV2 is Ownable {
      * @dev Set uniform airdrop amount per user
      * @param amount The amount of tokens each registered user will receive
      */
-    function setUniformAmount(uint256 amount) external onlyOwner {
+    function setUniformAmount(uint256 amount) external onlyRole(AIRDROP_MANAGER_ROLE) {
         require(block.timestamp > registrationEndTime, "Airdrop: registration period not ended");
         require(!isDistributionComplete, "Airdrop: distribution already complete");
         require(!isAmountSet, "Airdrop: amount already set");
@@ -113,20 +138,117 @@ contract AirdropV2 is Ownable {
     }
     
     /**
-     * @dev Distribute tokens to registered users
+     * @dev Distribute tokens to the remaining registered users
+     */
+    function distributeTokens() external onlyRole(AIRDROP_MANAGER_ROLE) whenNotPaused {
+        require(block.timestamp > registrationEndTime, "Airdrop: registration period not ended");
+        require(!isDistributionComplete, "Airdrop: distribution already complete");
+        require(isAmountSet, "Airdrop: amount not set");
+        
+        _distributeUntil(registeredAddresses.length);
+    }
+    
+    /**
+     * @dev Distribute tokens to a slice of the registered users, so that large
+     * campaigns can be paid out over several transactions
+     * @param start Index of the first user to pay, must equal distributionCursor
+     * @param count Maximum number of users to pay
      */
-    function distributeTokens() external onlyOwner {
+    function distributeBatch(uint256 start, uint256 count) external onlyRole(AIRDROP_MANAGER_ROLE) whenNotPaused {
         require(block.timestamp > registrationEndTime, "Airdrop: registration period not ended");
         require(!isDistributionComplete, "Airdrop: distribution already complete");
         require(isAmountSet, "Airdrop: amount not set");
+        require(start == distributionCursor, "Airdrop: batch must start at the cursor");
+        require(count > 0, "Airdrop: count must be greater than zero");
         
-        for (uint256 i = 0; i < registeredAddresses.length; i++) {
+        uint256 end = start + count;
+        if (end > registeredAddresses.length) {
+            end = registeredAddresses.length;
+        }
+        _distributeUntil(end);
+    }
+    
+    /**
+     * @dev Pay every user from the cursor up to `end` and advance the cursor
+     * @param end Index after the last user to pay
+     */
+    function _distributeUntil(uint256 end) private {
+        for (uint256 i = distributionCursor; i < end; i++) {
             address user = registeredAddresses[i];
-            token.safeTransfer(user, amountPerUser);
-            emit TokensDistributed(user, amountPerUser);
+            
+            if (!isPaid[user]) {
+                isPaid[user] = true;
+                token.safeTransfer(user, amountPerUser);
+                emit TokensDistributed(user, amountPerUser);
+            }
         }
         
+        distributionCursor = end;
+        emit DistributionProgress(end, registeredAddresses.length);
+        
+        if (end == registeredAddresses.length) {
+            isDistributionComplete = true;
+        }
+    }
+    
+    /**
+     * @dev Finalize the amounts and let registered users claim their tokens
+     * themselves, as an alternative to distributeTokens
+     * @param deadline The time after which claims close and the owner can sweep the rest
+     */
+    function openClaims(uint256 deadline) external onlyRole(AIRDROP_MANAGER_ROLE) {
+        require(block.timestamp > registrationEndTime, "Airdrop: registration period not ended");
+        require(!isDistributionComplete, "Airdrop: distribution already complete");
+        require(claimDeadline == 0, "Airdrop: claims already open");
+        require(isAmountSet, "Airdrop: amount not set");
+        require(deadline > block.timestamp, "Airdrop: deadline must be in the future");
+        
+        claimDeadline = deadline;
+        
+        emit ClaimsOpened(deadline);
+    }
+    
+    /**
+     * @dev Claim the caller's airdrop once claims are open
+     */
+    function claim() external whenNotPaused {
+        require(claimDeadline != 0, "Airdrop: claims not open");
+        require(block.timestamp <= claimDeadline, "Airdrop: claim period ended");
+        require(isRegistered[msg.sender], "Airdrop: not registered");
+        require(!isPaid[msg.sender], "Airdrop: already claimed");
+        
+        uint256 amount = amountPerUser;
+        isPaid[msg.sender] = true;
+        token.safeTransfer(msg.sender, amount);
+        
+        emit Claimed(msg.sender, amount);
+    }
+    
+    /**
+     * @dev Check whether a user has received their tokens, by claim or distribution
+     * @param user The address to check
+     * @return True if the user has been paid
+     */
+    function hasClaimed(address user) external view returns (bool) {
+        return isPaid[user];
+    }
+    
+    /**
+     * @dev Send the unclaimed tokens to `to` once the claim period has ended.
+     * This closes the campaign.
+     * @param to Address to send the tokens to
+     */
+    function sweepUnclaimedTokens(address to) external onlyOwner {
+        require(claimDeadline != 0 && block.timestamp > claimDeadline, "Airdrop: claim period not ended");
+        require(!isDistributionComplete, "Airdrop: distribution already complete");
+        
         isDistributionComplete = true;
+        uint256 balance = token.balanceOf(address(this));
+        if (balance > 0) {
+            token.safeTransfer(to, balance);
+        }
+        
+        emit UnclaimedTokensSwept(to, balance);
     }
     
     /**
@@ -2,10 +2,22 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./AccessControlPausable.sol";
+
+/**
+ * @dev Receiver of DEX.flashSwap. The callee must send back enough of either token
+ * for the pool to keep its constant product after the swap fee.
+ */
+interface IDEXFlashSwapCallee {
+    function dexFlashSwapCall(address sender, uint256 amountA, uint256 amountB, bytes calldata data) external;
+}
 
 /**
  * @title DEX
@@ -14,8 +26,16 @@ import "@openzeppelin/contracts/utils/math/Math.sol";
  * 2. Remove liquidity using LP tokens
  * 3. Swap tokens based on current liquidity
  * 4. Query current exchange rates
+ * Holders of FEE_SETTER_ROLE set the swap fee and can route a share of it to a
+ * `feeTo` address.
+ * The reserves can also be borrowed within a transaction, through ERC-3156 flash
+ * loans or flash swaps repaid in either token.
+ * While paused, only removeLiquidity and the fee and reserve housekeeping work,
+ * so liquidity providers can always exit.
+ * The LP token supports EIP-2612 permits, and the *WithPermit entry points take
+ * signed permits instead of a separate approve transaction.
  */
-contract DEX is ERC20, Ownable {
+contract DEX is ERC20, ERC20Permit, ReentrancyGuard, AccessControlPausable, IERC3156FlashLender {
     using SafeERC20 for IERC20;
     using Math for uint256;
 
@@ -26,10 +46,70 @@ contract DEX is ERC20, Ownable {
     // Minimum liquidity to prevent division by zero
     uint256 private constant MINIMUM_LIQUIDITY = 10**3;
     
+    // Reserves as of the last liquidity change, swap or sync. Tokens sent to the
+    // pool outside of these operations are not counted until sync() is called.
+    uint256 private storedReserveA;
+    uint256 private storedReserveB;
+    
+    // Time-weighted price accumulators, see getCumulativePrices
+    uint256 private constant PRICE_PRECISION = 1e18;
+    uint256 public priceACumulativeLast;
+    uint256 public priceBCumulativeLast;
+    uint256 public blockTimestampLast;
+    
+    // Allowed to set the swap fee and the protocol fee
+    bytes32 public constant FEE_SETTER_ROLE = keccak256("FEE_SETTER_ROLE");
+    
+    // Fees are expressed in basis points of the input amount
+    uint256 public constant FEE_DENOMINATOR = 10_000;
+    uint256 public constant MAX_SWAP_FEE = 100;
+    uint256 public swapFee = 30;
+    
+    // Share of the swap fee (in basis points of the fee) kept for `feeTo` instead
+    // of the liquidity providers
+    uint256 public constant MAX_PROTOCOL_FEE_SHARE = 5_000;
+    address public feeTo;
+    uint256 public protocolFeeShare;
+    
+    // Protocol fees held by the pool and excluded from the reserves until collected
+    uint256 public protocolFeesA;
+    uint256 public protocolFeesB;
+    
+    // An EIP-2612 permit signed by the caller, valid until the deadline of the call
+    struct PermitSignature {
+        uint256 value;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+    
+    // Return value expected from IERC3156FlashBorrower.onFlashLoan
+    bytes32 private constant FLASH_LOAN_CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+    
     // Events
     event LiquidityAdded(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidity);
     event LiquidityRemoved(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidity);
     event TokenSwap(address indexed user, uint256 amountIn, address tokenIn, uint256 amountOut, address tokenOut);
+    event Sync(uint256 reserveA, uint256 reserveB);
+    event FeeUpdated(uint256 swapFee, address feeTo, uint256 protocolFeeShare);
+    event ProtocolFeesCollected(address indexed to, uint256 amountA, uint256 amountB);
+    event FlashLoan(address indexed receiver, address indexed token, uint256 amount, uint256 fee);
+    event FlashSwap(
+        address indexed sender,
+        address indexed to,
+        uint256 amountAIn,
+        uint256 amountBIn,
+        uint256 amountAOut,
+        uint256 amountBOut
+    );
+
+    /**
+     * @dev Reverts once the deadline has passed
+     */
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "DEX: EXPIRED");
+        _;
+    }
 
     /**
      * @dev Constructor to initialize the DEX with a pair of tokens
@@ -37,20 +117,8 @@ contract DEX is ERC20, Ownable {
      * @param _tokenB Address of the second token
      */
     constructor(address _tokenA, address _tokenB) 
-        ERC20(
-            string.concat(
-                "LP-",
-                IERC20Metadata(_tokenA).symbol(),
-                "-",
-                IERC20Metadata(_tokenB).symbol()
-            ),
-            string.concat(
-                "LP-",
-                IERC20Metadata(_tokenA).symbol(),
-                "-",
-                IERC20Metadata(_tokenB).symbol()
-            )
-        )
+        ERC20(_lpTokenName(_tokenA, _tokenB), _lpTokenName(_tokenA, _tokenB))
+        ERC20Permit(_lpTokenName(_tokenA, _tokenB))
         Ownable(msg.sender)
     {
         require(_tokenA != address(0), "DEX: INVALID_TOKEN_A");
@@ -59,6 +127,17 @@ contract DEX is ERC20, Ownable {
         
         tokenA = _tokenA;
         tokenB = _tokenB;
+        
+        _grantRole(FEE_SETTER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Returns the name and symbol of the LP token, e.g. LP-TTA-TTB
+     * @param _tokenA Address of the first token
+     * @param _tokenB Address of the second token
+     */
+    function _lpTokenName(address _tokenA, address _tokenB) private view returns (string memory) {
+        return string.concat("LP-", IERC20Metadata(_tokenA).symbol(), "-", IERC20Metadata(_tokenB).symbol());
     }
 
     /**
@@ -67,8 +146,153 @@ contract DEX is ERC20, Ownable {
      * @return reserveB The reserve of tokenB
      */
     function getReserves() public view returns (uint256 reserveA, uint256 reserveB) {
-        reserveA = IERC20(tokenA).balanceOf(address(this));
-        reserveB = IERC20(tokenB).balanceOf(address(this));
+        reserveA = storedReserveA;
+        reserveB = storedReserveB;
+    }
+
+    /**
+     * @dev Sets the swap fee
+     * @param _swapFee The fee in basis points of the input amount, at most MAX_SWAP_FEE
+     */
+    function setSwapFee(uint256 _swapFee) external onlyRole(FEE_SETTER_ROLE) {
+        require(_swapFee <= MAX_SWAP_FEE, "DEX: FEE_TOO_HIGH");
+        swapFee = _swapFee;
+        
+        emit FeeUpdated(swapFee, feeTo, protocolFeeShare);
+    }
+
+    /**
+     * @dev Sets the protocol fee. Pass a zero share to turn it off; fees accrued so far
+     * stay collectable by the new `feeTo`.
+     * @param _feeTo The address that receives the protocol fees
+     * @param _protocolFeeShare The share of the swap fee in basis points, at most MAX_PROTOCOL_FEE_SHARE
+     */
+    function setProtocolFee(address _feeTo, uint256 _protocolFeeShare) external onlyRole(FEE_SETTER_ROLE) {
+        require(_protocolFeeShare <= MAX_PROTOCOL_FEE_SHARE, "DEX: FEE_TOO_HIGH");
+        require(_feeTo != address(0) || _protocolFeeShare == 0, "DEX: INVALID_FEE_TO");
+        feeTo = _feeTo;
+        protocolFeeShare = _protocolFeeShare;
+        
+        emit FeeUpdated(swapFee, feeTo, protocolFeeShare);
+    }
+
+    /**
+     * @dev Returns the protocol fees accrued since the last collection
+     * @return amountA The accrued amount of tokenA
+     * @return amountB The accrued amount of tokenB
+     */
+    function getProtocolFees() external view returns (uint256 amountA, uint256 amountB) {
+        amountA = protocolFeesA;
+        amountB = protocolFeesB;
+    }
+
+    /**
+     * @dev Sends the accrued protocol fees to `feeTo`. Anyone can call it.
+     * @return amountA The amount of tokenA sent
+     * @return amountB The amount of tokenB sent
+     */
+    function collectProtocolFees() external nonReentrant returns (uint256 amountA, uint256 amountB) {
+        require(feeTo != address(0), "DEX: INVALID_FEE_TO");
+        amountA = protocolFeesA;
+        amountB = protocolFeesB;
+        protocolFeesA = 0;
+        protocolFeesB = 0;
+        
+        if (amountA > 0) {
+            IERC20(tokenA).safeTransfer(feeTo, amountA);
+        }
+        
+        if (amountB > 0) {
+            IERC20(tokenB).safeTransfer(feeTo, amountB);
+        }
+        
+        emit ProtocolFeesCollected(feeTo, amountA, amountB);
+    }
+
+    /**
+     * @dev Sets the stored reserves to the current token balances
+     */
+    function sync() external nonReentrant {
+        _update();
+    }
+
+    /**
+     * @dev Sends the token balances above the stored reserves to `to`
+     * @param to The address that will receive the excess tokens
+     */
+    function skim(address to) external nonReentrant {
+        uint256 excessA = IERC20(tokenA).balanceOf(address(this)) - storedReserveA - protocolFeesA;
+        uint256 excessB = IERC20(tokenB).balanceOf(address(this)) - storedReserveB - protocolFeesB;
+        
+        if (excessA > 0) {
+            IERC20(tokenA).safeTransfer(to, excessA);
+        }
+        
+        if (excessB > 0) {
+            IERC20(tokenB).safeTransfer(to, excessB);
+        }
+    }
+
+    /**
+     * @dev Stores the current token balances, less the accrued protocol fees, as the reserves
+     */
+    function _update() private {
+        uint256 timeElapsed = block.timestamp - blockTimestampLast;
+        if (timeElapsed > 0 && storedReserveA > 0 && storedReserveB > 0) {
+            // The old reserves were in effect for the whole elapsed time
+            (uint256 priceA, uint256 priceB) = _currentPrices();
+            unchecked {
+                priceACumulativeLast += priceA * timeElapsed;
+                priceBCumulativeLast += priceB * timeElapsed;
+            }
+        }
+        
+        storedReserveA = IERC20(tokenA).balanceOf(address(this)) - protocolFeesA;
+        storedReserveB = IERC20(tokenB).balanceOf(address(this)) - protocolFeesB;
+        blockTimestampLast = block.timestamp;
+        
+        emit Sync(storedReserveA, storedReserveB);
+    }
+
+    /**
+     * @dev Returns the prices at the stored reserves with 18 decimals of precision
+     * @return priceA The price of tokenA in tokenB
+     * @return priceB The price of tokenB in tokenA
+     */
+    function _currentPrices() private view returns (uint256 priceA, uint256 priceB) {
+        priceA = (storedReserveB * PRICE_PRECISION) / storedReserveA;
+        priceB = (storedReserveA * PRICE_PRECISION) / storedReserveB;
+    }
+
+    /**
+     * @dev Returns the price accumulators as of the current block. Each one is the
+     * sum over time of the price (18 decimals) times the seconds it was in effect,
+     * so the average price between two observations is
+     * (cumulativeLater - cumulativeEarlier) / (timestampLater - timestampEarlier).
+     * The accumulators may wrap around; differences are still correct when
+     * computed with wrapping arithmetic.
+     * @return priceACumulative The accumulator of the tokenA price in tokenB
+     * @return priceBCumulative The accumulator of the tokenB price in tokenA
+     * @return blockTimestamp The timestamp of the current block
+     */
+    function getCumulativePrices()
+        external
+        view
+        returns (uint256 priceACumulative, uint256 priceBCumulative, uint256 blockTimestamp)
+    {
+        priceACumulative = priceACumulativeLast;
+        priceBCumulative = priceBCumulativeLast;
+        blockTimestamp = block.timestamp;
+        
+        uint256 timeElapsed = blockTimestamp - blockTimestampLast;
+        if (timeElapsed > 0 && storedReserveA > 0 && storedReserveB > 0) {
+            // Account for the time since the last update without writing it
+            (uint256 priceA, uint256 priceB) = _currentPrices();
+            unchecked {
+                priceACumulative += priceA * timeElapsed;
+                priceBCumulative += priceB * timeElapsed;
+            }
+        }
     }
 
     /**
@@ -88,7 +312,7 @@ contract DEX is ERC20, Ownable {
         uint256 amountAMin,
         uint256 amountBMin,
         address to
-    ) external returns (uint256 amountA, uint256 amountB, uint256 liquidity) {
+    ) public nonReentrant whenNotPaused returns (uint256 amountA, uint256 amountB, uint256 liquidity) {
         (amountA, amountB) = _calculateLiquidityAmounts(
             amountADesired,
             amountBDesired,
@@ -101,11 +325,64 @@ contract DEX is ERC20, Ownable {
         IERC20(tokenB).safeTransferFrom(msg.sender, address(this), amountB);
         
         // Calculate liquidity to mint
-        liquidity = _mintLiquidity(to);
+        liquidity = _mintLiquidity(to, amountA, amountB);
+        _update();
         
         emit LiquidityAdded(msg.sender, amountA, amountB, liquidity);
     }
 
+    /**
+     * @dev Adds liquidity to the pool, reverting if mined after `deadline`
+     * @param amountADesired The amount of tokenA to add
+     * @param amountBDesired The amount of tokenB to add
+     * @param amountAMin The minimum amount of tokenA to add
+     * @param amountBMin The minimum amount of tokenB to add
+     * @param to The address that will receive the LP tokens
+     * @param deadline The time after which the transaction reverts
+     * @return amountA The actual amount of tokenA added
+     * @return amountB The actual amount of tokenB added
+     * @return liquidity The amount of LP tokens minted
+     */
+    function addLiquidity(
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256 amountA, uint256 amountB, uint256 liquidity) {
+        return addLiquidity(amountADesired, amountBDesired, amountAMin, amountBMin, to);
+    }
+
+    /**
+     * @dev Adds liquidity with EIP-2612 permits for both tokens instead of approvals
+     * @param amountADesired The amount of tokenA to add
+     * @param amountBDesired The amount of tokenB to add
+     * @param amountAMin The minimum amount of tokenA to add
+     * @param amountBMin The minimum amount of tokenB to add
+     * @param to The address that will receive the LP tokens
+     * @param deadline The time after which the transaction and the permits expire
+     * @param permitA The caller's permit for tokenA, at least amountADesired
+     * @param permitB The caller's permit for tokenB, at least amountBDesired
+     * @return amountA The actual amount of tokenA added
+     * @return amountB The actual amount of tokenB added
+     * @return liquidity The amount of LP tokens minted
+     */
+    function addLiquidityWithPermit(
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline,
+        PermitSignature calldata permitA,
+        PermitSignature calldata permitB
+    ) external ensure(deadline) returns (uint256 amountA, uint256 amountB, uint256 liquidity) {
+        _usePermit(tokenA, deadline, permitA);
+        _usePermit(tokenB, deadline, permitB);
+        return addLiquidity(amountADesired, amountBDesired, amountAMin, amountBMin, to);
+    }
+
     /**
      * @dev Removes liquidity from the pool
      * @param liquidity The amount of LP tokens to burn
@@ -120,7 +397,74 @@ contract DEX is ERC20, Ownable {
         uint256 amountAMin,
         uint256 amountBMin,
         address to
-    ) external returns (uint256 amountA, uint256 amountB) {
+    ) public nonReentrant returns (uint256 amountA, uint256 amountB) {
+        return _removeLiquidity(msg.sender, liquidity, amountAMin, amountBMin, to);
+    }
+
+    /**
+     * @dev Removes liquidity from the pool, reverting if mined after `deadline`
+     * @param liquidity The amount of LP tokens to burn
+     * @param amountAMin The minimum amount of tokenA to receive
+     * @param amountBMin The minimum amount of tokenB to receive
+     * @param to The address that will receive the tokens
+     * @param deadline The time after which the transaction reverts
+     * @return amountA The amount of tokenA received
+     * @return amountB The amount of tokenB received
+     */
+    function removeLiquidity(
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256 amountA, uint256 amountB) {
+        return removeLiquidity(liquidity, amountAMin, amountBMin, to);
+    }
+
+    /**
+     * @dev Removes liquidity held by `from`, who signed an LP token permit for the
+     * caller. This lets a relayer or a contract exit a position in one transaction.
+     * @param from The owner of the LP tokens, who signed the permit
+     * @param liquidity The amount of LP tokens to burn
+     * @param amountAMin The minimum amount of tokenA to receive
+     * @param amountBMin The minimum amount of tokenB to receive
+     * @param to The address that will receive the tokens
+     * @param deadline The time after which the transaction and the permit expire
+     * @param permit The LP token permit from `from` to the caller, at least `liquidity`
+     * @return amountA The amount of tokenA received
+     * @return amountB The amount of tokenB received
+     */
+    function removeLiquidityWithPermit(
+        address from,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline,
+        PermitSignature calldata permit
+    ) external nonReentrant ensure(deadline) returns (uint256 amountA, uint256 amountB) {
+        try this.permit(from, msg.sender, permit.value, deadline, permit.v, permit.r, permit.s) {} catch {}
+        _spendAllowance(from, msg.sender, liquidity);
+        return _removeLiquidity(from, liquidity, amountAMin, amountBMin, to);
+    }
+
+    /**
+     * @dev Burns LP tokens of `from` for their share of the reserves
+     * @param from The owner of the LP tokens
+     * @param liquidity The amount of LP tokens to burn
+     * @param amountAMin The minimum amount of tokenA to receive
+     * @param amountBMin The minimum amount of tokenB to receive
+     * @param to The address that will receive the tokens
+     * @return amountA The amount of tokenA received
+     * @return amountB The amount of tokenB received
+     */
+    function _removeLiquidity(
+        address from,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to
+    ) private returns (uint256 amountA, uint256 amountB) {
         // Get reserves before burning LP tokens
         (uint256 reserveA, uint256 reserveB) = getReserves();
         uint256 totalSupply = totalSupply();
@@ -133,7 +477,7 @@ contract DEX is ERC20, Ownable {
         require(amountB >= amountBMin, "DEX: INSUFFICIENT_B_AMOUNT");
         
         // Burn LP tokens
-        _burn(msg.sender, liquidity);
+        _burn(from, liquidity);
         
         // Transfer tokens to the user
         if (amountA > 0) {
@@ -144,7 +488,9 @@ contract DEX is ERC20, Ownable {
             IERC20(tokenB).safeTransfer(to, amountB);
         }
         
-        emit LiquidityRemoved(msg.sender, amountA, amountB, liquidity);
+        _update();
+        
+        emit LiquidityRemoved(from, amountA, amountB, liquidity);
     }
 
     /**
@@ -164,7 +510,8 @@ contract DEX is ERC20, Ownable {
     ) internal view returns (uint256 amountA, uint256 amountB) {
         (uint256 reserveA, uint256 reserveB) = getReserves();
         
-        if (reserveA == 0 && reserveB == 0) {
+        // Reserves synced from donations do not set the price of an empty pool
+        if (totalSupply() == 0 || reserveA == 0 || reserveB == 0) {
             // First liquidity provision
             return (amountADesired, amountBDesired);
         }
@@ -196,7 +543,7 @@ contract DEX is ERC20, Ownable {
         uint256 amountOutMin,
         address tokenIn,
         address to
-    ) external returns (uint256 amountOut) {
+    ) public nonReentrant whenNotPaused returns (uint256 amountOut) {
         require(tokenIn == tokenA || tokenIn == tokenB, "DEX: INVALID_TOKEN");
         require(amountIn > 0, "DEX: INSUFFICIENT_INPUT_AMOUNT");
         
@@ -209,25 +556,142 @@ contract DEX is ERC20, Ownable {
         uint256 reserveOut = isTokenAIn ? reserveB : reserveA;
         address tokenOut = isTokenAIn ? tokenB : tokenA;
         
-        // Calculate output amount using the constant product formula (x * y = k)
-        // We apply a 0.3% fee by multiplying amountIn by 997/1000
-        uint256 amountInWithFee = amountIn * 997;
-        amountOut = (amountInWithFee * reserveOut) / (reserveIn * 1000 + amountInWithFee);
+        amountOut = _getAmountOut(amountIn, reserveIn, reserveOut);
         
         require(amountOut >= amountOutMin, "DEX: INSUFFICIENT_OUTPUT_AMOUNT");
         require(amountOut < reserveOut, "DEX: INSUFFICIENT_LIQUIDITY");
         
         // Transfer input tokens from user to the contract
         IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        _accrueProtocolFee(isTokenAIn, (amountIn * swapFee) / FEE_DENOMINATOR);
         
         // Transfer output tokens to the recipient
         IERC20(tokenOut).safeTransfer(to, amountOut);
         
+        _update();
+        
         emit TokenSwap(msg.sender, amountIn, tokenIn, amountOut, tokenOut);
         
         return amountOut;
     }
     
+    /**
+     * @dev Swaps an exact amount of input token, reverting if mined after `deadline`
+     * @param amountIn The amount of input token to swap
+     * @param amountOutMin The minimum amount of output token to receive
+     * @param tokenIn The address of the input token (must be tokenA or tokenB)
+     * @param to The address that will receive the output tokens
+     * @param deadline The time after which the transaction reverts
+     * @return amountOut The amount of output token received
+     */
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address tokenIn,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256 amountOut) {
+        return swapExactTokensForTokens(amountIn, amountOutMin, tokenIn, to);
+    }
+    
+    /**
+     * @dev Swaps an exact amount of input token with an EIP-2612 permit instead of an approval
+     * @param amountIn The amount of input token to swap
+     * @param amountOutMin The minimum amount of output token to receive
+     * @param tokenIn The address of the input token (must be tokenA or tokenB)
+     * @param to The address that will receive the output tokens
+     * @param deadline The time after which the transaction and the permit expire
+     * @param permit The caller's permit for `tokenIn`, at least `amountIn`
+     * @return amountOut The amount of output token received
+     */
+    function swapWithPermit(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address tokenIn,
+        address to,
+        uint256 deadline,
+        PermitSignature calldata permit
+    ) external ensure(deadline) returns (uint256 amountOut) {
+        require(tokenIn == tokenA || tokenIn == tokenB, "DEX: INVALID_TOKEN");
+        _usePermit(tokenIn, deadline, permit);
+        return swapExactTokensForTokens(amountIn, amountOutMin, tokenIn, to);
+    }
+    
+    /**
+     * @dev Submits the caller's permit for `token` to this contract. A failing permit
+     * is ignored: it may have been front-run by someone submitting the same signature,
+     * and the transfer that follows reverts anyway if the allowance is missing.
+     * @param token The token the permit is for
+     * @param deadline The deadline the permit was signed with
+     * @param permit The permit signature and value
+     */
+    function _usePermit(address token, uint256 deadline, PermitSignature calldata permit) private {
+        try IERC20Permit(token).permit(msg.sender, address(this), permit.value, deadline, permit.v, permit.r, permit.s) {} catch {}
+    }
+    
+    /**
+     * @dev Swaps as little input token as needed for an exact amount of output token
+     * @param amountOut The amount of output token to receive
+     * @param amountInMax The maximum amount of input token to spend
+     * @param tokenIn The address of the input token (must be tokenA or tokenB)
+     * @param to The address that will receive the output tokens
+     * @return amountIn The amount of input token spent
+     */
+    function swapTokensForExactTokens(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address tokenIn,
+        address to
+    ) public nonReentrant whenNotPaused returns (uint256 amountIn) {
+        require(tokenIn == tokenA || tokenIn == tokenB, "DEX: INVALID_TOKEN");
+        require(amountOut > 0, "DEX: INSUFFICIENT_OUTPUT_AMOUNT");
+        
+        (uint256 reserveA, uint256 reserveB) = getReserves();
+        require(reserveA > 0 && reserveB > 0, "DEX: INSUFFICIENT_LIQUIDITY");
+        
+        // Determine which token is being swapped in and out
+        bool isTokenAIn = tokenIn == tokenA;
+        uint256 reserveIn = isTokenAIn ? reserveA : reserveB;
+        uint256 reserveOut = isTokenAIn ? reserveB : reserveA;
+        address tokenOut = isTokenAIn ? tokenB : tokenA;
+        require(amountOut < reserveOut, "DEX: INSUFFICIENT_LIQUIDITY");
+        
+        amountIn = _getAmountIn(amountOut, reserveIn, reserveOut);
+        require(amountIn <= amountInMax, "DEX: EXCESSIVE_INPUT_AMOUNT");
+        
+        // Transfer input tokens from user to the contract
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        _accrueProtocolFee(isTokenAIn, (amountIn * swapFee) / FEE_DENOMINATOR);
+        
+        // Transfer output tokens to the recipient
+        IERC20(tokenOut).safeTransfer(to, amountOut);
+        
+        _update();
+        
+        emit TokenSwap(msg.sender, amountIn, tokenIn, amountOut, tokenOut);
+        
+        return amountIn;
+    }
+    
+    /**
+     * @dev Swaps for an exact amount of output token, reverting if mined after `deadline`
+     * @param amountOut The amount of output token to receive
+     * @param amountInMax The maximum amount of input token to spend
+     * @param tokenIn The address of the input token (must be tokenA or tokenB)
+     * @param to The address that will receive the output tokens
+     * @param deadline The time after which the transaction reverts
+     * @return amountIn The amount of input token spent
+     */
+    function swapTokensForExactTokens(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address tokenIn,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256 amountIn) {
+        return swapTokensForExactTokens(amountOut, amountInMax, tokenIn, to);
+    }
+    
     /**
      * @dev Calculates the output amount for a given input amount
      * @param amountIn The amount of input token
@@ -251,12 +715,235 @@ contract DEX is ERC20, Ownable {
         uint256 reserveIn = isTokenAIn ? reserveA : reserveB;
         uint256 reserveOut = isTokenAIn ? reserveB : reserveA;
         
-        // Calculate output amount using the constant product formula (x * y = k)
-        // We apply a 0.3% fee by multiplying amountIn by 997/1000
-        uint256 amountInWithFee = amountIn * 997;
-        amountOut = (amountInWithFee * reserveOut) / (reserveIn * 1000 + amountInWithFee);
+        return _getAmountOut(amountIn, reserveIn, reserveOut);
+    }
+    
+    /**
+     * @dev Calculates the input amount needed for a given output amount
+     * @param amountOut The amount of output token
+     * @param tokenIn The address of the input token (must be tokenA or tokenB)
+     * @return amountIn The amount of input token that would be spent
+     */
+    function getAmountIn(
+        uint256 amountOut,
+        address tokenIn
+    ) external view returns (uint256 amountIn) {
+        require(tokenIn == tokenA || tokenIn == tokenB, "DEX: INVALID_TOKEN");
+        require(amountOut > 0, "DEX: INSUFFICIENT_OUTPUT_AMOUNT");
         
-        return amountOut;
+        (uint256 reserveA, uint256 reserveB) = getReserves();
+        if (reserveA == 0 || reserveB == 0) {
+            return 0; // Return 0 to indicate insufficient liquidity
+        }
+        
+        // Determine which token is being swapped in and out
+        bool isTokenAIn = tokenIn == tokenA;
+        uint256 reserveIn = isTokenAIn ? reserveA : reserveB;
+        uint256 reserveOut = isTokenAIn ? reserveB : reserveA;
+        require(amountOut < reserveOut, "DEX: INSUFFICIENT_LIQUIDITY");
+        
+        return _getAmountIn(amountOut, reserveIn, reserveOut);
+    }
+    
+    /**
+     * @dev Calculates the output amount with the constant product formula (x * y = k),
+     * after taking the swap fee from the input
+     * @param amountIn The amount of input token
+     * @param reserveIn The reserve of the input token
+     * @param reserveOut The reserve of the output token
+     * @return amountOut The amount of output token
+     */
+    function _getAmountOut(
+        uint256 amountIn,
+        uint256 reserveIn,
+        uint256 reserveOut
+    ) internal view returns (uint256 amountOut) {
+        uint256 amountInWithFee = amountIn * (FEE_DENOMINATOR - swapFee);
+        amountOut = (amountInWithFee * reserveOut) / (reserveIn * FEE_DENOMINATOR + amountInWithFee);
+    }
+    
+    /**
+     * @dev Inverts the getAmountOut formula, rounding up so that swapping the
+     * result through getAmountOut gives at least `amountOut`
+     * @param amountOut The amount of output token
+     * @param reserveIn The reserve of the input token
+     * @param reserveOut The reserve of the output token
+     * @return amountIn The amount of input token needed
+     */
+    function _getAmountIn(
+        uint256 amountOut,
+        uint256 reserveIn,
+        uint256 reserveOut
+    ) internal view returns (uint256 amountIn) {
+        uint256 numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+        uint256 denominator = (reserveOut - amountOut) * (FEE_DENOMINATOR - swapFee);
+        amountIn = numerator / denominator + 1;
+    }
+    
+    /**
+     * @dev Sets aside the protocol share of a fee paid to the pool. It is at most
+     * the whole fee, so the reserves never grow by less than the fee-adjusted input
+     * the output was priced on.
+     * @param isTokenA Whether the fee was paid in tokenA
+     * @param fee The fee received
+     */
+    function _accrueProtocolFee(bool isTokenA, uint256 fee) private {
+        if (feeTo == address(0) || protocolFeeShare == 0) {
+            return;
+        }
+        
+        uint256 protocolFee = (fee * protocolFeeShare) / FEE_DENOMINATOR;
+        if (isTokenA) {
+            protocolFeesA += protocolFee;
+        } else {
+            protocolFeesB += protocolFee;
+        }
+    }
+    
+    /**
+     * @dev Returns how much of `token` can be flash loaned
+     * @param token The loan currency
+     * @return The stored reserve of `token`, 0 if the pool does not hold it
+     */
+    function maxFlashLoan(address token) public view returns (uint256) {
+        if (token == tokenA) {
+            return storedReserveA;
+        }
+        if (token == tokenB) {
+            return storedReserveB;
+        }
+        return 0;
+    }
+    
+    /**
+     * @dev Returns the fee of a flash loan: the swap fee on the borrowed amount, rounded up
+     * @param token The loan currency (must be tokenA or tokenB)
+     * @param amount The amount borrowed
+     * @return The fee in `token`, on top of the borrowed amount
+     */
+    function flashFee(address token, uint256 amount) public view returns (uint256) {
+        require(token == tokenA || token == tokenB, "DEX: INVALID_TOKEN");
+        return Math.mulDiv(amount, swapFee, FEE_DENOMINATOR, Math.Rounding.Ceil);
+    }
+    
+    /**
+     * @dev ERC-3156 flash loan. Sends `amount` of `token` to `receiver`, calls its
+     * onFlashLoan and then pulls back `amount` plus the fee, which the receiver
+     * must have approved.
+     * @param receiver The borrower, which receives the tokens and the callback
+     * @param token The loan currency (must be tokenA or tokenB)
+     * @param amount The amount to borrow
+     * @param data Passed through to the callback
+     * @return True once the loan is repaid
+     */
+    function flashLoan(
+        IERC3156FlashBorrower receiver,
+        address token,
+        uint256 amount,
+        bytes calldata data
+    ) external nonReentrant whenNotPaused returns (bool) {
+        require(amount <= maxFlashLoan(token), "DEX: INSUFFICIENT_LIQUIDITY");
+        uint256 fee = flashFee(token, amount);
+        (uint256 reserveA, uint256 reserveB) = getReserves();
+        
+        IERC20(token).safeTransfer(address(receiver), amount);
+        require(
+            receiver.onFlashLoan(msg.sender, token, amount, fee, data) == FLASH_LOAN_CALLBACK_SUCCESS,
+            "DEX: FLASH_CALLBACK_FAILED"
+        );
+        IERC20(token).safeTransferFrom(address(receiver), address(this), amount + fee);
+        
+        _accrueProtocolFee(token == tokenA, fee);
+        _update();
+        require(storedReserveA * storedReserveB >= reserveA * reserveB, "DEX: K");
+        
+        emit FlashLoan(address(receiver), token, amount, fee);
+        return true;
+    }
+    
+    /**
+     * @dev Flash swap. Sends the output amounts to `to` first and calls its
+     * dexFlashSwapCall; by the time it returns, `to` must have sent back enough
+     * of either token that the reserves, less the swap fee on what came in,
+     * keep at least their constant product.
+     * @param amountAOut The amount of tokenA to send out
+     * @param amountBOut The amount of tokenB to send out
+     * @param to The IDEXFlashSwapCallee that receives the tokens and the callback
+     * @param data Passed through to the callback
+     */
+    function flashSwap(
+        uint256 amountAOut,
+        uint256 amountBOut,
+        address to,
+        bytes calldata data
+    ) external nonReentrant whenNotPaused {
+        require(amountAOut > 0 || amountBOut > 0, "DEX: INSUFFICIENT_OUTPUT_AMOUNT");
+        require(to != tokenA && to != tokenB, "DEX: INVALID_TO");
+        (uint256 reserveA, uint256 reserveB) = getReserves();
+        require(amountAOut < reserveA && amountBOut < reserveB, "DEX: INSUFFICIENT_LIQUIDITY");
+        
+        if (amountAOut > 0) {
+            IERC20(tokenA).safeTransfer(to, amountAOut);
+        }
+        
+        if (amountBOut > 0) {
+            IERC20(tokenB).safeTransfer(to, amountBOut);
+        }
+        
+        IDEXFlashSwapCallee(to).dexFlashSwapCall(msg.sender, amountAOut, amountBOut, data);
+        
+        (uint256 amountAIn, uint256 amountBIn) = _checkFlashSwapRepayment(reserveA, reserveB, amountAOut, amountBOut);
+        _accrueProtocolFee(true, (amountAIn * swapFee) / FEE_DENOMINATOR);
+        _accrueProtocolFee(false, (amountBIn * swapFee) / FEE_DENOMINATOR);
+        _update();
+        
+        emit FlashSwap(msg.sender, to, amountAIn, amountBIn, amountAOut, amountBOut);
+    }
+    
+    /**
+     * @dev Works out what a flash swap received and enforces the same invariant as
+     * the swaps: the product of the balances, each less the swap fee on its input,
+     * must not fall below the product of the reserves
+     * @param reserveA The reserve of tokenA before the flash swap
+     * @param reserveB The reserve of tokenB before the flash swap
+     * @param amountAOut The amount of tokenA sent out
+     * @param amountBOut The amount of tokenB sent out
+     * @return amountAIn The amount of tokenA received
+     * @return amountBIn The amount of tokenB received
+     */
+    function _checkFlashSwapRepayment(
+        uint256 reserveA,
+        uint256 reserveB,
+        uint256 amountAOut,
+        uint256 amountBOut
+    ) private view returns (uint256 amountAIn, uint256 amountBIn) {
+        // Whatever the balances gained over the reserves left after the outputs is the input
+        uint256 balanceA = IERC20(tokenA).balanceOf(address(this)) - protocolFeesA;
+        uint256 balanceB = IERC20(tokenB).balanceOf(address(this)) - protocolFeesB;
+        amountAIn = balanceA > reserveA - amountAOut ? balanceA - (reserveA - amountAOut) : 0;
+        amountBIn = balanceB > reserveB - amountBOut ? balanceB - (reserveB - amountBOut) : 0;
+        require(amountAIn > 0 || amountBIn > 0, "DEX: INSUFFICIENT_INPUT_AMOUNT");
+        
+        uint256 adjustedA = balanceA * FEE_DENOMINATOR - amountAIn * swapFee;
+        uint256 adjustedB = balanceB * FEE_DENOMINATOR - amountBIn * swapFee;
+        require(adjustedA * adjustedB >= reserveA * reserveB * FEE_DENOMINATOR ** 2, "DEX: K");
+    }
+    
+    /**
+     * @dev Quotes a deposit: the amounts addLiquidity would pull at the current
+     * reserves and the LP tokens it would mint
+     * @param amountADesired The desired amount of tokenA
+     * @param amountBDesired The desired amount of tokenB
+     * @return amountA The amount of tokenA that would be added
+     * @return amountB The amount of tokenB that would be added
+     * @return liquidity The amount of LP tokens that would be minted
+     */
+    function getLiquidityMinted(
+        uint256 amountADesired,
+        uint256 amountBDesired
+    ) external view returns (uint256 amountA, uint256 amountB, uint256 liquidity) {
+        (amountA, amountB) = _calculateLiquidityAmounts(amountADesired, amountBDesired, 0, 0);
+        liquidity = _liquidityFor(amountA, amountB);
     }
     
     /**
@@ -282,29 +969,43 @@ contract DEX is ERC20, Ownable {
     }
     
     /**
-     * @dev Mints LP tokens based on the current reserves and token amounts
+     * @dev Mints LP tokens based on the stored reserves and the deposited amounts
      * @param to The address that will receive the LP tokens
+     * @param amountA The amount of tokenA deposited
+     * @param amountB The amount of tokenB deposited
      * @return liquidity The amount of LP tokens minted
      */
-    function _mintLiquidity(address to) internal returns (uint256 liquidity) {
+    function _mintLiquidity(address to, uint256 amountA, uint256 amountB) internal returns (uint256 liquidity) {
+        liquidity = _liquidityFor(amountA, amountB);
+        require(liquidity > 0, "DEX: INSUFFICIENT_LIQUIDITY_MINTED");
+        
+        if (totalSupply() == 0) {
+            _mint(address(1), MINIMUM_LIQUIDITY); // Burn address
+        }
+        _mint(to, liquidity);
+    }
+    
+    /**
+     * @dev Calculates the LP tokens minted for a deposit at the stored reserves
+     * @param amountA The amount of tokenA deposited
+     * @param amountB The amount of tokenB deposited
+     * @return liquidity The amount of LP tokens, 0 if the deposit is too small
+     */
+    function _liquidityFor(uint256 amountA, uint256 amountB) internal view returns (uint256 liquidity) {
         (uint256 reserveA, uint256 reserveB) = getReserves();
         uint256 totalSupply = totalSupply();
         
         if (totalSupply == 0) {
-            // First liquidity provision
-            liquidity = Math.sqrt(reserveA * reserveB) - MINIMUM_LIQUIDITY;
-            _mint(address(1), MINIMUM_LIQUIDITY); // Burn address
-        } else {
-            // For subsequent liquidity provisions, calculate based on the proportion
-            // of new tokens to existing reserves
-            uint256 liquidityA = (reserveA * totalSupply) / (reserveA + 1);
-            uint256 liquidityB = (reserveB * totalSupply) / (reserveB + 1);
-            
-            // Use the smaller value to ensure fairness
-            liquidity = Math.min(liquidityA, liquidityB);
+            // First liquidity provision, MINIMUM_LIQUIDITY is locked forever
+            uint256 rootK = Math.sqrt(amountA * amountB);
+            return rootK > MINIMUM_LIQUIDITY ? rootK - MINIMUM_LIQUIDITY : 0;
         }
         
-        require(liquidity > 0, "DEX: INSUFFICIENT_LIQUIDITY_MINTED");
-        _mint(to, liquidity);
+        // For subsequent liquidity provisions, the LP share matches the share of
+        // the reserves deposited. Use the smaller side so an unbalanced deposit
+        // cannot claim more than its fair share.
+        uint256 liquidityA = (amountA * totalSupply) / reserveA;
+        uint256 liquidityB = (amountB * totalSupply) / reserveB;
+        liquidity = Math.min(liquidityA, liquidityB);
     }
 }
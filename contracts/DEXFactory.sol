@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./DEX.sol";
+
+/**
+ * @title DEXFactory
+ * @dev Creates and indexes DEX pairs. Each pair is a regular DEX with its tokens
+ * sorted by address, owned by the owner of the factory, who also gets its
+ * PAUSER_ROLE and FEE_SETTER_ROLE.
+ */
+contract DEXFactory is Ownable {
+    // token0 => token1 => pair, stored in both directions
+    mapping(address => mapping(address => address)) public getPair;
+    address[] public allPairs;
+
+    // Events
+    event PairCreated(address indexed token0, address indexed token1, address pair, uint256 pairCount);
+
+    /**
+     * @dev Constructor
+     */
+    constructor() Ownable(msg.sender) {}
+
+    /**
+     * @dev Returns the number of pairs created
+     * @return The number of pairs
+     */
+    function allPairsLength() external view returns (uint256) {
+        return allPairs.length;
+    }
+
+    /**
+     * @dev Creates the pair for two tokens
+     * @param tokenA Address of one token
+     * @param tokenB Address of the other token
+     * @return pair The address of the new DEX
+     */
+    function createPair(address tokenA, address tokenB) external returns (address pair) {
+        require(tokenA != tokenB, "DEXFactory: IDENTICAL_ADDRESSES");
+        (address token0, address token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        require(token0 != address(0), "DEXFactory: ZERO_ADDRESS");
+        require(getPair[token0][token1] == address(0), "DEXFactory: PAIR_EXISTS");
+
+        DEX dex = new DEX(token0, token1);
+        _handOver(dex, dex.PAUSER_ROLE());
+        _handOver(dex, dex.FEE_SETTER_ROLE());
+        dex.transferOwnership(owner());
+        pair = address(dex);
+
+        getPair[token0][token1] = pair;
+        getPair[token1][token0] = pair;
+        allPairs.push(pair);
+
+        emit PairCreated(token0, token1, pair, allPairs.length);
+    }
+
+    /**
+     * @dev Moves a role of a new pair from the factory to the factory owner
+     * @param dex The new pair, still owned by the factory
+     * @param role The role to hand over
+     */
+    function _handOver(DEX dex, bytes32 role) private {
+        dex.grantRole(role, owner());
+        dex.renounceRole(role, address(this));
+    }
+}
@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./DEX.sol";
+
+/**
+ * @title DEXFlashArbitrage
+ * @dev Example arbitrage between two pools of the same token pair, without capital:
+ * flash swap one token out of the pool where it is cheap, sell it in the other pool
+ * and repay the first pool in the other token. The profit goes to the owner.
+ */
+contract DEXFlashArbitrage is Ownable, IDEXFlashSwapCallee {
+    using SafeERC20 for IERC20;
+
+    // The pool being repaid, only set during an arbitrage
+    address private activePool;
+
+    // Events
+    event ArbitrageExecuted(address indexed borrowPool, address indexed sellPool, address tokenBorrowed, uint256 amount, uint256 profit);
+
+    /**
+     * @dev Constructor
+     */
+    constructor() Ownable(msg.sender) {}
+
+    /**
+     * @dev Borrows `amount` of `tokenBorrowed` from `borrowPool`, sells it in `sellPool`
+     * and keeps what is left after repaying `borrowPool`
+     * @param borrowPool The pool where `tokenBorrowed` is cheap
+     * @param sellPool The pool where `tokenBorrowed` is expensive, with the same tokens
+     * @param tokenBorrowed The token to borrow and sell
+     * @param amount The amount to borrow
+     * @param minProfit The minimum profit in the other token, or the arbitrage reverts
+     */
+    function execute(
+        DEX borrowPool,
+        DEX sellPool,
+        address tokenBorrowed,
+        uint256 amount,
+        uint256 minProfit
+    ) external onlyOwner {
+        require(
+            borrowPool.tokenA() == sellPool.tokenA() && borrowPool.tokenB() == sellPool.tokenB(),
+            "DEXFlashArbitrage: pools must share a pair"
+        );
+        bool isTokenA = tokenBorrowed == borrowPool.tokenA();
+        require(isTokenA || tokenBorrowed == borrowPool.tokenB(), "DEXFlashArbitrage: invalid token");
+        address tokenRepaid = isTokenA ? borrowPool.tokenB() : borrowPool.tokenA();
+
+        uint256 balanceBefore = IERC20(tokenRepaid).balanceOf(address(this));
+        activePool = address(borrowPool);
+        borrowPool.flashSwap(
+            isTokenA ? amount : 0,
+            isTokenA ? 0 : amount,
+            address(this),
+            abi.encode(sellPool, tokenBorrowed, tokenRepaid)
+        );
+        activePool = address(0);
+
+        uint256 profit = IERC20(tokenRepaid).balanceOf(address(this)) - balanceBefore;
+        require(profit >= minProfit, "DEXFlashArbitrage: insufficient profit");
+        IERC20(tokenRepaid).safeTransfer(owner(), profit);
+
+        emit ArbitrageExecuted(address(borrowPool), address(sellPool), tokenBorrowed, amount, profit);
+    }
+
+    /**
+     * @dev Flash swap callback: sells the borrowed tokens and repays the pool in the other token
+     */
+    function dexFlashSwapCall(address sender, uint256 amountA, uint256 amountB, bytes calldata data) external {
+        require(msg.sender == activePool, "DEXFlashArbitrage: untrusted pool");
+        require(sender == address(this), "DEXFlashArbitrage: untrusted initiator");
+
+        (DEX sellPool, address tokenBorrowed, address tokenRepaid) = abi.decode(data, (DEX, address, address));
+        uint256 amount = amountA > 0 ? amountA : amountB;
+
+        IERC20(tokenBorrowed).forceApprove(address(sellPool), amount);
+        sellPool.swapExactTokensForTokens(amount, 0, tokenBorrowed, address(this));
+
+        // The reserves of the borrowing pool do not change until the flash swap ends
+        uint256 repayment = DEX(msg.sender).getAmountIn(amount, tokenRepaid);
+        IERC20(tokenRepaid).safeTransfer(msg.sender, repayment);
+    }
+}
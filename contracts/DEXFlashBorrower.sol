@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./DEX.sol";
+
+/**
+ * @title DEXFlashBorrower
+ * @dev Example borrower for both DEX flash entry points. It only checks who is
+ * calling back and repays; real borrowers put their arbitrage or liquidation
+ * logic where the events are emitted. Fees are paid from the contract balance.
+ */
+contract DEXFlashBorrower is Ownable, IERC3156FlashBorrower, IDEXFlashSwapCallee {
+    using SafeERC20 for IERC20;
+
+    bytes32 private constant CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    // The DEX to borrow from
+    DEX public immutable dex;
+
+    // Events
+    event FlashLoanReceived(address token, uint256 amount, uint256 fee);
+    event FlashSwapReceived(uint256 amountA, uint256 amountB);
+
+    /**
+     * @dev Constructor
+     * @param _dex Address of the DEX to borrow from
+     */
+    constructor(address _dex) Ownable(msg.sender) {
+        require(_dex != address(0), "DEXFlashBorrower: dex address cannot be zero");
+        dex = DEX(_dex);
+    }
+
+    /**
+     * @dev Borrows `amount` of `token` with an ERC-3156 flash loan
+     * @param token The token to borrow (tokenA or tokenB of the DEX)
+     * @param amount The amount to borrow
+     */
+    function flashBorrow(address token, uint256 amount) external onlyOwner {
+        dex.flashLoan(this, token, amount, "");
+    }
+
+    /**
+     * @dev ERC-3156 callback, approves the DEX to pull back the loan plus the fee
+     */
+    function onFlashLoan(
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata
+    ) external returns (bytes32) {
+        require(msg.sender == address(dex), "DEXFlashBorrower: untrusted lender");
+        require(initiator == address(this), "DEXFlashBorrower: untrusted initiator");
+
+        emit FlashLoanReceived(token, amount, fee);
+
+        IERC20(token).forceApprove(address(dex), amount + fee);
+        return CALLBACK_SUCCESS;
+    }
+
+    /**
+     * @dev Borrows with a flash swap and repays the given amounts of each token
+     * @param amountAOut The amount of tokenA to borrow
+     * @param amountBOut The amount of tokenB to borrow
+     * @param repayA The amount of tokenA to send back
+     * @param repayB The amount of tokenB to send back
+     */
+    function flashSwap(uint256 amountAOut, uint256 amountBOut, uint256 repayA, uint256 repayB) external onlyOwner {
+        dex.flashSwap(amountAOut, amountBOut, address(this), abi.encode(repayA, repayB));
+    }
+
+    /**
+     * @dev Flash swap callback, sends back the amounts encoded in `data`
+     */
+    function dexFlashSwapCall(address sender, uint256 amountA, uint256 amountB, bytes calldata data) external {
+        require(msg.sender == address(dex), "DEXFlashBorrower: untrusted lender");
+        require(sender == address(this), "DEXFlashBorrower: untrusted initiator");
+
+        emit FlashSwapReceived(amountA, amountB);
+
+        (uint256 repayA, uint256 repayB) = abi.decode(data, (uint256, uint256));
+        if (repayA > 0) {
+            IERC20(dex.tokenA()).safeTransfer(address(dex), repayA);
+        }
+
+        if (repayB > 0) {
+            IERC20(dex.tokenB()).safeTransfer(address(dex), repayB);
+        }
+    }
+
+    /**
+     * @dev Withdraw tokens held by the borrower
+     * @param token The token to withdraw
+     * @param to Address to send the tokens to
+     */
+    function withdraw(address token, address to) external onlyOwner {
+        IERC20(token).safeTransfer(to, IERC20(token).balanceOf(address(this)));
+    }
+}
@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./DEX.sol";
+
+/**
+ * @title DEXOracle
+ * @dev Fixed-window time-weighted average price of a DEX pair.
+ * Anyone can call update() once per period; consult() then returns amounts at the
+ * average price of the last completed window, which cannot be moved by trading
+ * within a single block.
+ */
+contract DEXOracle {
+    // Prices use the same precision as the DEX accumulators
+    uint256 private constant PRICE_PRECISION = 1e18;
+
+    DEX public immutable pair;
+    address public immutable tokenA;
+    address public immutable tokenB;
+
+    // Length of the averaging window in seconds
+    uint256 public immutable period;
+
+    // Last observation
+    uint256 public priceACumulativeLast;
+    uint256 public priceBCumulativeLast;
+    uint256 public blockTimestampLast;
+
+    // Average prices over the last window, with 18 decimals of precision
+    uint256 public priceAAverage;
+    uint256 public priceBAverage;
+
+    // Events
+    event OracleUpdated(uint256 priceAAverage, uint256 priceBAverage, uint256 timeElapsed);
+
+    /**
+     * @dev Constructor, records the first observation
+     * @param _pair Address of the DEX to observe
+     * @param _period Length of the averaging window in seconds
+     */
+    constructor(address _pair, uint256 _period) {
+        require(_pair != address(0), "DEXOracle: INVALID_PAIR");
+        require(_period > 0, "DEXOracle: INVALID_PERIOD");
+
+        pair = DEX(_pair);
+        tokenA = pair.tokenA();
+        tokenB = pair.tokenB();
+        period = _period;
+
+        (uint256 reserveA, uint256 reserveB) = pair.getReserves();
+        require(reserveA > 0 && reserveB > 0, "DEXOracle: NO_RESERVES");
+        (priceACumulativeLast, priceBCumulativeLast, blockTimestampLast) = pair.getCumulativePrices();
+    }
+
+    /**
+     * @dev Computes the average prices since the last observation and starts a new window
+     */
+    function update() external {
+        (uint256 priceACumulative, uint256 priceBCumulative, uint256 blockTimestamp) = pair.getCumulativePrices();
+        uint256 timeElapsed = blockTimestamp - blockTimestampLast;
+        require(timeElapsed >= period, "DEXOracle: PERIOD_NOT_ELAPSED");
+
+        unchecked {
+            priceAAverage = (priceACumulative - priceACumulativeLast) / timeElapsed;
+            priceBAverage = (priceBCumulative - priceBCumulativeLast) / timeElapsed;
+        }
+
+        priceACumulativeLast = priceACumulative;
+        priceBCumulativeLast = priceBCumulative;
+        blockTimestampLast = blockTimestamp;
+
+        emit OracleUpdated(priceAAverage, priceBAverage, timeElapsed);
+    }
+
+    /**
+     * @dev Converts an amount of one token of the pair at the average price
+     * @param token The token to convert from (must be tokenA or tokenB)
+     * @param amountIn The amount of `token`
+     * @return amountOut The equivalent amount of the other token
+     */
+    function consult(address token, uint256 amountIn) external view returns (uint256 amountOut) {
+        require(token == tokenA || token == tokenB, "DEXOracle: INVALID_TOKEN");
+        require(priceAAverage > 0, "DEXOracle: NOT_UPDATED");
+
+        uint256 price = token == tokenA ? priceAAverage : priceBAverage;
+        amountOut = (amountIn * price) / PRICE_PRECISION;
+    }
+}
@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./DEX.sol";
+import "./DEXFactory.sol";
+
+/**
+ * @title DEXRouter
+ * @dev Swaps across several DEXFactory pairs in one transaction.
+ * Intermediate tokens are held by the router between hops.
+ */
+contract DEXRouter {
+    using SafeERC20 for IERC20;
+
+    DEXFactory public immutable factory;
+
+    /**
+     * @dev Constructor
+     * @param _factory Address of the DEXFactory
+     */
+    constructor(address _factory) {
+        require(_factory != address(0), "DEXRouter: INVALID_FACTORY");
+        factory = DEXFactory(_factory);
+    }
+
+    /**
+     * @dev Reverts once the deadline has passed
+     */
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "DEXRouter: EXPIRED");
+        _;
+    }
+
+    /**
+     * @dev Quotes every hop of a swap along `path`
+     * @param amountIn The amount of the first token of the path
+     * @param path The tokens to swap through, at least two
+     * @return amounts The input amount followed by the output of each hop
+     */
+    function getAmountsOut(uint256 amountIn, address[] calldata path) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, "DEXRouter: INVALID_PATH");
+
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            amounts[i + 1] = DEX(_pairFor(path[i], path[i + 1])).getAmountOut(amounts[i], path[i]);
+            require(amounts[i + 1] > 0, "DEXRouter: INSUFFICIENT_LIQUIDITY");
+        }
+    }
+
+    /**
+     * @dev Swaps an exact amount of the first token of `path` for as much as possible of the last
+     * @param amountIn The amount of input token to swap
+     * @param amountOutMin The minimum amount of output token to receive
+     * @param path The tokens to swap through, at least two
+     * @param to The address that will receive the output tokens
+     * @param deadline The time after which the swap reverts
+     * @return amounts The input amount followed by the output of each hop
+     */
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256[] memory amounts) {
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "DEXRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amountIn);
+
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            address pair = _pairFor(path[i], path[i + 1]);
+            address recipient = i < path.length - 2 ? address(this) : to;
+
+            IERC20(path[i]).forceApprove(pair, amounts[i]);
+            DEX(pair).swapExactTokensForTokens(amounts[i], amounts[i + 1], path[i], recipient);
+        }
+    }
+
+    /**
+     * @dev Returns the pair of two tokens, reverting if it does not exist
+     */
+    function _pairFor(address tokenA, address tokenB) private view returns (address pair) {
+        pair = factory.getPair(tokenA, tokenB);
+        require(pair != address(0), "DEXRouter: PAIR_NOT_FOUND");
+    }
+}
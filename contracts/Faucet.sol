@@ -1,88 +1,395 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./AccessControlPausable.sol";
 
-contract Faucet is Ownable {
-    ERC20 public immutable token;
-    uint256 public dailyLimit;
+/**
+ * @title Faucet
+ * @dev Hands out several ERC20 tokens and native ETH (the NATIVE asset). Each asset has
+ * its own per-user limit, renewed over a rolling window of `cooldown` seconds that starts
+ * with the first withdrawal after the previous one has ended, and an optional cap on
+ * the total handed out per UTC day. A withdrawal costs the same gas whatever the number
+ * of users, and no reset is needed.
+ *
+ * Withdrawals can optionally be gated against sybils, and every enabled gate applies:
+ * a Merkle allowlist of accounts, EIP-712 vouchers issued by an off-chain signer (e.g. a
+ * backend that checks a captcha), a minimum ETH balance and a waiting period after the
+ * account registers with the faucet. Registering is free, so the waiting period only
+ * slows down addresses created on the spot: it does not measure how old an account is
+ * and does not stop anyone who registers addresses ahead of time. Only the allowlist and
+ * vouchers tie withdrawals to something a sybil cannot mint. Allowlist proofs and
+ * vouchers are passed to withdrawWithCredentials; withdraw only works while neither is
+ * required.
+ */
+contract Faucet is ReentrancyGuard, EIP712, Nonces, AccessControlPausable {
+    using SafeERC20 for IERC20;
+
+    // Allowed to fund the faucet
+    bytes32 public constant FUNDER_ROLE = keccak256("FUNDER_ROLE");
+    // Stands for native ETH wherever an asset is expected
+    address public constant NATIVE = address(0);
     uint256 public constant DAY_IN_SECONDS = 86400;
-    uint256 public totalDistributed;
-    mapping(address => uint256) public lastWithdrawal;
-    mapping(address => uint256) public dailyWithdrawn;
-    mapping(address => uint256) public dailyTotal;
-    address[] public userSet;
+    bytes32 public constant VOUCHER_TYPEHASH =
+        keccak256("Voucher(address user,address asset,uint256 nonce,uint256 deadline)");
+
+    /**
+     * @dev A voucher signed by `voucherSigner` for the caller, the asset and the
+     * caller's current nonce, so it can be used once
+     */
+    struct Voucher {
+        uint256 deadline;
+        bytes signature;
+    }
+
+    // Length of a user's window, one day by default
+    uint256 public cooldown;
+    // Amount a user can withdraw per window, 0 when the asset is not dispensed
+    mapping(address => uint256) public dailyLimit;
+    // Amount handed out to all users per UTC day, 0 for no cap
+    mapping(address => uint256) public dailyCap;
+    // Amount handed out per asset and UTC day (timestamp / DAY_IN_SECONDS)
+    mapping(address => mapping(uint256 => uint256)) public distributedOnDay;
+    // Amount handed out per asset since the faucet was deployed
+    mapping(address => uint256) public totalDistributed;
+    // Start of the user's current window per asset, 0 before their first withdrawal
+    mapping(address => mapping(address => uint256)) public windowStart;
+    // Amount withdrawn by the user since windowStart
+    mapping(address => mapping(address => uint256)) public withdrawnInWindow;
+    // Amount withdrawn by the user per asset since the faucet was deployed
+    mapping(address => mapping(address => uint256)) public totalWithdrawn;
+    // The token the faucet was deployed with, which the single-token views report on
+    address private immutable _token;
+    // Users that have withdrawn at least once
+    mapping(address => bool) public isUser;
+    uint256 public userCount;
+
+    // Sybil resistance, every gate is off while 0
+    bytes32 public allowlistRoot;
+    address public voucherSigner;
+    uint256 public minBalance;
+    uint256 public registrationDelay;
+    // When the account called register, 0 if it never did
+    mapping(address => uint256) public registeredAt;
+
+    // Every asset that has been given a limit, in the order they were added
+    address[] private _assets;
+    mapping(address => bool) private _listed;
+
+    error AssetNotDispensed(address asset);
+    error AssetListed(address asset);
+    error DailyLimitExceeded(uint256 nextWithdrawalTime);
+    error DailyCapReached(uint256 nextWithdrawalTime);
+    error InvalidCooldown();
+    error InvalidFunding();
+    error NativeTransferFailed();
+    error CredentialsRequired();
+    error NotAllowlisted(address account);
+    error InvalidVoucher();
+    error VoucherExpired(uint256 deadline);
+    error BalanceTooLow(uint256 minBalance);
+    error NotRegistered(address account);
+    error RegistrationTooRecent(uint256 eligibleAt);
+    error AlreadyRegistered(address account);
+
+    event TokensWithdrawn(address indexed user, address indexed asset, uint256 amount);
+    event TokensFunded(address indexed sender, address indexed asset, uint256 amount);
+    event DailyLimitSet(address indexed asset, uint256 dailyLimit);
+    event DailyCapSet(address indexed asset, uint256 dailyCap);
+    event CooldownSet(uint256 cooldown);
+    event FundsWithdrawn(address indexed asset, address indexed to, uint256 amount);
+    event TokensRescued(address indexed token, address indexed to, uint256 amount);
+    event AllowlistRootSet(bytes32 allowlistRoot);
+    event VoucherSignerSet(address indexed voucherSigner);
+    event EligibilitySet(uint256 minBalance, uint256 registrationDelay);
+    event Registered(address indexed account);
+
+    /**
+     * @param _tokenAddress First token to dispense
+     * @param _dailyLimit Its per-user limit
+     */
+    constructor(address _tokenAddress, uint256 _dailyLimit) EIP712("Faucet", "1") Ownable(msg.sender) {
+        _token = _tokenAddress;
+        _grantRole(FUNDER_ROLE, msg.sender);
+        _setCooldown(DAY_IN_SECONDS);
+        _setDailyLimit(_tokenAddress, _dailyLimit);
+    }
+
+    /**
+     * @dev Sends `amount` of `asset` to the faucet, as msg.value for NATIVE
+     */
+    function fundFaucet(address asset, uint256 amount) external payable onlyRole(FUNDER_ROLE) {
+        if (asset == NATIVE) {
+            if (msg.value != amount) revert InvalidFunding();
+        } else {
+            if (msg.value != 0) revert InvalidFunding();
+            IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
+        }
+        emit TokensFunded(msg.sender, asset, amount);
+    }
+
+    /**
+     * @dev Sends the caller what is left of their limit of `asset` in the current
+     * window, within what is left of today's cap
+     */
+    function withdraw(address asset) external nonReentrant whenNotPaused {
+        if (allowlistRoot != bytes32(0) || voucherSigner != address(0)) revert CredentialsRequired();
+        _withdraw(asset);
+    }
+
+    /**
+     * @dev Same as withdraw, for when the allowlist or vouchers are enabled
+     * @param proof Merkle proof of the caller in the allowlist, ignored while it is off
+     * @param voucher Voucher for the caller and `asset`, ignored while vouchers are off
+     */
+    function withdrawWithCredentials(
+        address asset,
+        bytes32[] calldata proof,
+        Voucher calldata voucher
+    ) external nonReentrant whenNotPaused {
+        if (allowlistRoot != bytes32(0) && !isAllowlisted(msg.sender, proof)) revert NotAllowlisted(msg.sender);
+        if (voucherSigner != address(0)) _useVoucher(msg.sender, asset, voucher);
+        _withdraw(asset);
+    }
+
+    /**
+     * @dev Starts the caller's waiting period, see registrationDelay. Anyone can call it
+     * for free at any time, so it is no proof of an account's age or of a real user.
+     */
+    function register() external {
+        if (registeredAt[msg.sender] != 0) revert AlreadyRegistered(msg.sender);
+        registeredAt[msg.sender] = block.timestamp;
+        emit Registered(msg.sender);
+    }
+
+    /**
+     * @dev Sets the per-user limit of `asset`, 0 to stop dispensing it
+     */
+    function setDailyLimit(address asset, uint256 limit) external onlyOwner {
+        _setDailyLimit(asset, limit);
+    }
+
+    /**
+     * @dev Caps the amount of `asset` handed out to all users per UTC day, 0 for no cap
+     */
+    function setDailyCap(address asset, uint256 cap) external onlyOwner {
+        dailyCap[asset] = cap;
+        emit DailyCapSet(asset, cap);
+    }
+
+    /**
+     * @dev Sets the length of the users' windows. Current windows end
+     * `newCooldown` seconds after they started.
+     */
+    function setCooldown(uint256 newCooldown) external onlyOwner {
+        _setCooldown(newCooldown);
+    }
+
+    /**
+     * @dev Restricts withdrawals to the accounts of a Merkle tree whose leaves are
+     * keccak256(abi.encodePacked(account)), as built by utils/merkle.js. 0 turns it off.
+     */
+    function setAllowlistRoot(bytes32 root) external onlyOwner {
+        allowlistRoot = root;
+        emit AllowlistRootSet(root);
+    }
+
+    /**
+     * @dev Requires a voucher signed by `signer` for every withdrawal. address(0) turns it off.
+     */
+    function setVoucherSigner(address signer) external onlyOwner {
+        voucherSigner = signer;
+        emit VoucherSignerSet(signer);
+    }
+
+    /**
+     * @dev Requires users to hold `_minBalance` wei and to have called register at least
+     * `_registrationDelay` seconds earlier. 0 turns either check off. Neither check costs
+     * a sybil more than moving ETH around and waiting once; pair them with the allowlist
+     * or vouchers.
+     */
+    function setEligibility(uint256 _minBalance, uint256 _registrationDelay) external onlyOwner {
+        minBalance = _minBalance;
+        registrationDelay = _registrationDelay;
+        emit EligibilitySet(_minBalance, _registrationDelay);
+    }
+
+    /**
+     * @dev Withdraws `amount` of a listed asset, e.g. when winding the faucet down.
+     * ETH can always be withdrawn, as the faucet accepts it before it is listed.
+     */
+    function withdrawFunds(address asset, address to, uint256 amount) external onlyOwner nonReentrant {
+        if (asset != NATIVE && !_listed[asset]) revert AssetNotDispensed(asset);
+        _send(asset, to, amount);
+        emit FundsWithdrawn(asset, to, amount);
+    }
 
-    error AlreadyWithdrawnToday();
-    error DailyLimitExceeded();
-    error InvalidResetTime();
+    /**
+     * @dev Recovers ERC20 tokens sent to the faucet by mistake. Listed assets go
+     * through withdrawFunds.
+     */
+    function rescueTokens(address token, address to, uint256 amount) external onlyOwner {
+        if (_listed[token]) revert AssetListed(token);
+        IERC20(token).safeTransfer(to, amount);
+        emit TokensRescued(token, to, amount);
+    }
 
-    event TokensWithdrawn(address indexed user, uint256 amount);
-    event TokensFunded(address indexed sender, uint256 amount);
-    event DailyReset();
+    /**
+     * @dev Returns the amount of the faucet's original token handed out so far,
+     * see totalDistributed for the other assets
+     */
+    function getTotalDistributed() external view returns (uint256) {
+        return totalDistributed[_token];
+    }
 
-    constructor(address _tokenAddress, uint256 _dailyLimit) Ownable(msg.sender) {
-        token = ERC20(_tokenAddress);
-        dailyLimit = _dailyLimit;
+    /**
+     * @dev Returns the amount of the faucet's original token `user` has withdrawn so far,
+     * see totalWithdrawn for the other assets
+     */
+    function getDailyTotal(address user) external view returns (uint256) {
+        return totalWithdrawn[_token][user];
     }
 
-    function fundFaucet(uint256 amount) external onlyOwner {
-        token.transferFrom(msg.sender, address(this), amount);
-        emit TokensFunded(msg.sender, amount);
+    /**
+     * @dev Returns every asset that has been given a limit, including disabled ones
+     */
+    function getAssets() external view returns (address[] memory) {
+        return _assets;
     }
 
-    function withdraw() external {
-        uint256 currentTime = block.timestamp;
+    /**
+     * @dev Returns whether `proof` shows `account` is in the allowlist
+     */
+    function isAllowlisted(address account, bytes32[] calldata proof) public view returns (bool) {
+        return MerkleProof.verifyCalldata(proof, allowlistRoot, keccak256(abi.encodePacked(account)));
+    }
+
+    /**
+     * @dev Returns how much of `asset` `user` can withdraw right now
+     */
+    function availableToWithdraw(address asset, address user) public view returns (uint256) {
+        return Math.min(_availableInWindow(asset, user), _availableToday(asset));
+    }
+
+    /**
+     * @dev Returns when `user` can withdraw `asset` again: the current time if they can
+     * withdraw now, the end of their window or of the day otherwise, and
+     * type(uint256).max if the asset is not dispensed
+     */
+    function nextWithdrawalTime(address asset, address user) public view returns (uint256) {
+        if (dailyLimit[asset] == 0) return type(uint256).max;
+
+        uint256 next = block.timestamp;
+        if (_availableInWindow(asset, user) == 0) next = windowStart[asset][user] + cooldown;
+        if (_availableToday(asset) == 0) next = Math.max(next, _nextDay());
+        return next;
+    }
+
+    function _withdraw(address asset) private {
+        if (dailyLimit[asset] == 0) revert AssetNotDispensed(asset);
+
         address user = msg.sender;
+        _checkEligibility(user);
+        uint256 available = _availableInWindow(asset, user);
+        if (available == 0) revert DailyLimitExceeded(windowStart[asset][user] + cooldown);
+        uint256 amount = Math.min(available, _availableToday(asset));
+        if (amount == 0) revert DailyCapReached(_nextDay());
 
-        // Reset daily withdrawal if 24 hours have passed
-        if (lastWithdrawal[user] > 0 && currentTime - lastWithdrawal[user] >= DAY_IN_SECONDS) {
-            dailyWithdrawn[user] = 0;
+        if (_windowEnded(asset, user)) {
+            windowStart[asset][user] = block.timestamp;
+            withdrawnInWindow[asset][user] = 0;
         }
-
-        if (dailyWithdrawn[user] >= dailyLimit) {
-            revert DailyLimitExceeded();
+        if (!isUser[user]) {
+            isUser[user] = true;
+            userCount++;
         }
 
-        uint256 available = dailyLimit - dailyWithdrawn[user];
+        withdrawnInWindow[asset][user] += amount;
+        totalWithdrawn[asset][user] += amount;
+        distributedOnDay[asset][block.timestamp / DAY_IN_SECONDS] += amount;
+        totalDistributed[asset] += amount;
 
-        dailyTotal[user] += available;
-        totalDistributed += available;
-        dailyWithdrawn[user] = dailyLimit;
-        lastWithdrawal[user] = currentTime;
+        _send(asset, user, amount);
+        emit TokensWithdrawn(user, asset, amount);
+    }
 
-        bool userExists = false;
-        for (uint256 i = 0; i < userSet.length; i++) {
-            if (userSet[i] == user) {
-                userExists = true;
-                break;
-            }
-        }
-        if (!userExists) {
-            userSet.push(user);
+    /**
+     * @dev Checks the voucher was signed for `user`, `asset` and their current nonce,
+     * which it then uses up
+     */
+    function _useVoucher(address user, address asset, Voucher calldata voucher) private {
+        if (block.timestamp > voucher.deadline) revert VoucherExpired(voucher.deadline);
+        bytes32 structHash = keccak256(abi.encode(VOUCHER_TYPEHASH, user, asset, _useNonce(user), voucher.deadline));
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(_hashTypedDataV4(structHash), voucher.signature);
+        if (error != ECDSA.RecoverError.NoError || signer != voucherSigner) revert InvalidVoucher();
+    }
+
+    function _checkEligibility(address user) private view {
+        if (user.balance < minBalance) revert BalanceTooLow(minBalance);
+        if (registrationDelay == 0) return;
+        uint256 since = registeredAt[user];
+        if (since == 0) revert NotRegistered(user);
+        if (block.timestamp < since + registrationDelay) revert RegistrationTooRecent(since + registrationDelay);
+    }
+
+    function _setDailyLimit(address asset, uint256 limit) private {
+        if (!_listed[asset] && limit > 0) {
+            _listed[asset] = true;
+            _assets.push(asset);
         }
+        dailyLimit[asset] = limit;
+        emit DailyLimitSet(asset, limit);
+    }
 
-        token.transfer(user, available);
-        emit TokensWithdrawn(user, available);
+    function _setCooldown(uint256 newCooldown) private {
+        if (newCooldown == 0) revert InvalidCooldown();
+        cooldown = newCooldown;
+        emit CooldownSet(newCooldown);
     }
 
-    function resetDailyTotals() external onlyOwner {
-        if (block.timestamp % DAY_IN_SECONDS != 0) revert InvalidResetTime();
-        
-        for (uint256 i = 0; i < userSet.length; i++) {
-            dailyWithdrawn[userSet[i]] = 0;
+    function _send(address asset, address to, uint256 amount) private {
+        if (asset == NATIVE) {
+            (bool success, ) = to.call{value: amount}("");
+            if (!success) revert NativeTransferFailed();
+        } else {
+            IERC20(asset).safeTransfer(to, amount);
         }
-        emit DailyReset();
     }
 
-    function getTotalDistributed() external view returns (uint256) {
-        return totalDistributed;
+    function _availableInWindow(address asset, address user) private view returns (uint256) {
+        uint256 limit = dailyLimit[asset];
+        if (_windowEnded(asset, user)) return limit;
+        uint256 withdrawn = withdrawnInWindow[asset][user];
+        return withdrawn >= limit ? 0 : limit - withdrawn;
     }
 
-    function getDailyTotal(address user) external view returns (uint256) {
-        return dailyTotal[user];
+    function _availableToday(address asset) private view returns (uint256) {
+        uint256 cap = dailyCap[asset];
+        if (cap == 0) return type(uint256).max;
+        uint256 distributed = distributedOnDay[asset][block.timestamp / DAY_IN_SECONDS];
+        return distributed >= cap ? 0 : cap - distributed;
+    }
+
+    function _windowEnded(address asset, address user) private view returns (bool) {
+        uint256 start = windowStart[asset][user];
+        return start == 0 || block.timestamp >= start + cooldown;
     }
 
-    receive() external payable {}
+    function _nextDay() private view returns (uint256) {
+        return (block.timestamp / DAY_IN_SECONDS + 1) * DAY_IN_SECONDS;
+    }
+
+    /**
+     * @dev Plain ETH transfers count as NATIVE funding from anyone
+     */
+    receive() external payable {
+        emit TokensFunded(msg.sender, NATIVE, msg.value);
+    }
 }
@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/structs/BitMaps.sol";
+
+/**
+ * @title MerkleAirdrop
+ * @dev An airdrop where the owner only publishes the Merkle root of the allocation
+ * and every recipient claims their own tokens with a proof.
+ * Leaves are keccak256(abi.encodePacked(index, account, amount)) and pairs are
+ * hashed in sorted order, as built by utils/merkle.js.
+ */
+contract MerkleAirdrop is Ownable {
+    using SafeERC20 for IERC20;
+    using BitMaps for BitMaps.BitMap;
+
+    // The token being airdropped
+    IERC20 public immutable token;
+
+    // Allocation
+    bytes32 public merkleRoot;
+    uint256 public claimDeadline;
+
+    // Funding and claims
+    uint256 public totalAirdropAmount;
+    uint256 public claimedAmount;
+
+    // One bit per leaf index
+    BitMaps.BitMap private claimedBitMap;
+
+    // Events
+    event MerkleRootSet(bytes32 merkleRoot, uint256 claimDeadline);
+    event TokensAdded(uint256 amount);
+    event Claimed(uint256 indexed index, address indexed account, uint256 amount);
+    event UnclaimedTokensWithdrawn(address indexed to, uint256 amount);
+
+    /**
+     * @dev Constructor
+     * @param _token The address of the ERC20 token to be airdropped
+     */
+    constructor(address _token) Ownable(msg.sender) {
+        require(_token != address(0), "MerkleAirdrop: token address cannot be zero");
+        token = IERC20(_token);
+    }
+
+    /**
+     * @dev Publish the allocation. The root can only be set once.
+     * @param _merkleRoot The root of the allocation tree
+     * @param _claimDeadline The time after which claims close and the owner can withdraw the rest
+     */
+    function setMerkleRoot(bytes32 _merkleRoot, uint256 _claimDeadline) external onlyOwner {
+        require(merkleRoot == bytes32(0), "MerkleAirdrop: merkle root already set");
+        require(_merkleRoot != bytes32(0), "MerkleAirdrop: merkle root cannot be zero");
+        require(_claimDeadline > block.timestamp, "MerkleAirdrop: deadline must be in the future");
+
+        merkleRoot = _merkleRoot;
+        claimDeadline = _claimDeadline;
+
+        emit MerkleRootSet(_merkleRoot, _claimDeadline);
+    }
+
+    /**
+     * @dev Add tokens to the airdrop
+     * @param amount The amount of tokens to add
+     */
+    function addTokensToAirdrop(uint256 amount) external onlyOwner {
+        require(amount > 0, "MerkleAirdrop: amount must be greater than zero");
+
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        totalAirdropAmount += amount;
+
+        emit TokensAdded(amount);
+    }
+
+    /**
+     * @dev Check whether the leaf at `index` has been claimed
+     * @param index The leaf index
+     * @return True if claimed
+     */
+    function isClaimed(uint256 index) public view returns (bool) {
+        return claimedBitMap.get(index);
+    }
+
+    /**
+     * @dev Claim the tokens allocated to `account`. Anyone can submit the claim,
+     * the tokens always go to `account`.
+     * @param index The leaf index
+     * @param account The recipient in the leaf
+     * @param amount The amount in the leaf
+     * @param merkleProof The proof of the leaf
+     */
+    function claim(uint256 index, address account, uint256 amount, bytes32[] calldata merkleProof) external {
+        require(merkleRoot != bytes32(0), "MerkleAirdrop: merkle root not set");
+        require(block.timestamp <= claimDeadline, "MerkleAirdrop: claim period ended");
+        require(!isClaimed(index), "MerkleAirdrop: already claimed");
+
+        bytes32 leaf = keccak256(abi.encodePacked(index, account, amount));
+        require(MerkleProof.verifyCalldata(merkleProof, merkleRoot, leaf), "MerkleAirdrop: invalid proof");
+
+        claimedBitMap.set(index);
+        claimedAmount += amount;
+        token.safeTransfer(account, amount);
+
+        emit Claimed(index, account, amount);
+    }
+
+    /**
+     * @dev Withdraw the unclaimed tokens once the claim period has ended
+     * @param to Address to send the tokens to
+     */
+    function withdrawRemainingTokens(address to) external onlyOwner {
+        require(claimDeadline != 0 && block.timestamp > claimDeadline, "MerkleAirdrop: claim period not ended");
+        uint256 balance = token.balanceOf(address(this));
+        if (balance > 0) {
+            token.safeTransfer(to, balance);
+        }
+
+        emit UnclaimedTokensWithdrawn(to, balance);
+    }
+}
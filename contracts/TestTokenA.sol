@@ -2,9 +2,10 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract TestTokenA is ERC20 {
-    constructor() ERC20("Test Token A", "TTA") {
+contract TestTokenA is ERC20, ERC20Permit {
+    constructor() ERC20("Test Token A", "TTA") ERC20Permit("Test Token A") {
         _mint(msg.sender, 1000000 * 10 ** decimals());
     }
 
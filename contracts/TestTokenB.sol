@@ -2,9 +2,10 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract TestTokenB is ERC20 {
-    constructor() ERC20("Test Token B", "TTB") {
+contract TestTokenB is ERC20, ERC20Permit {
+    constructor() ERC20("Test Token B", "TTB") ERC20Permit("Test Token B") {
         _mint(msg.sender, 1000000 * 10 ** decimals());
     }
 
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title Timelock
+ * @dev OpenZeppelin TimelockController deployed with the stack. Once it owns the
+ * DEX, Faucet and AirdropV2, owner-only calls have to be scheduled by a proposer
+ * and can only be executed after the minimum delay, which gives users time to
+ * react to admin changes.
+ */
+contract Timelock is TimelockController {
+    /**
+     * @dev Constructor
+     * @param minDelay Minimum delay in seconds between scheduling and executing an operation
+     * @param proposers Accounts allowed to schedule and cancel operations
+     * @param executors Accounts allowed to execute ready operations, or the zero address for anyone
+     * @param admin Optional account allowed to grant roles without delay, the zero address for none
+     */
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+}
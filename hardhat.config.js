@@ -2,6 +2,7 @@ require("@nomicfoundation/hardhat-toolbox");
 // require("@chainlink/env-enc").config()
 require("dotenv").config()
 require("hardhat-deploy");
+require("./tasks");
 
 const SEPOLIA_RPC_URL = process.env.SEPOLIA_RPC_URL
 const PRIVATE_KEY = process.env.PRIVATE_KEY
@@ -14,7 +15,16 @@ const GANACHE_PRIVATE_KEY_2 = process.env.GANACHE_PRIVATE_KEY_2
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      // DEXFactory embeds the DEX bytecode, which is over the contract size limit unoptimized
+      optimizer: {
+        enabled: true,
+        runs: 200
+      }
+    }
+  },
   paths: {
     sources: "./contracts",
     tests: "./test",
@@ -0,0 +1,11 @@
+// Deploys an AirdropV2 campaign for an already deployed ERC20 token.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("AirdropV2Module", (m) => {
+  const token = m.getParameter("token");
+
+  const airdrop = m.contract("AirdropV2", [token]);
+
+  return { airdrop };
+});
@@ -0,0 +1,13 @@
+// Deploys a DEX for an already deployed token pair.
+// Use FullStackModule to deploy the tokens together with the DEX.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("DEXModule", (m) => {
+  const tokenA = m.getParameter("tokenA");
+  const tokenB = m.getParameter("tokenB");
+
+  const dex = m.contract("DEX", [tokenA, tokenB]);
+
+  return { dex };
+});
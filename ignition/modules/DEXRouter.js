@@ -0,0 +1,11 @@
+// Deploys a DEXFactory and a DEXRouter on top of it.
+// Pairs are then created with `factory.createPair` (or the dex:create-pair task).
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("DEXRouterModule", (m) => {
+  const factory = m.contract("DEXFactory");
+  const router = m.contract("DEXRouter", [factory]);
+
+  return { factory, router };
+});
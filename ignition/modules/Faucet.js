@@ -0,0 +1,14 @@
+// Deploys a Faucet for an already deployed ERC20 token.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const ONE_HUNDRED_TOKENS = 100n * 10n ** 18n;
+
+module.exports = buildModule("FaucetModule", (m) => {
+  const token = m.getParameter("token");
+  const dailyLimit = m.getParameter("dailyLimit", ONE_HUNDRED_TOKENS);
+
+  const faucet = m.contract("Faucet", [token, dailyLimit]);
+
+  return { faucet };
+});
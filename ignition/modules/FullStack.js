@@ -0,0 +1,42 @@
+// Deploys the complete stack: TestTokenA, TestTokenB, DEX, AirdropV2 and a
+// TestTokenA Faucet, then seeds the DEX with liquidity and funds the Faucet
+// and the airdrop from the deployer's token balance.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const TokensModule = require("./Tokens");
+
+const TOKENS = (amount) => amount * 10n ** 18n;
+
+module.exports = buildModule("FullStackModule", (m) => {
+  const { tokenA, tokenB } = m.useModule(TokensModule);
+
+  const faucetDailyLimit = m.getParameter("faucetDailyLimit", TOKENS(100n));
+  const faucetFunding = m.getParameter("faucetFunding", TOKENS(10_000n));
+  const liquidityA = m.getParameter("initialLiquidityA", TOKENS(10_000n));
+  const liquidityB = m.getParameter("initialLiquidityB", TOKENS(20_000n));
+  const airdropFunding = m.getParameter("airdropFunding", TOKENS(100_000n));
+
+  const deployer = m.getAccount(0);
+
+  const dex = m.contract("DEX", [tokenA, tokenB]);
+  const airdrop = m.contract("AirdropV2", [tokenA]);
+  const faucet = m.contract("Faucet", [tokenA, faucetDailyLimit]);
+
+  // Seed the pool
+  const approveDexA = m.call(tokenA, "approve", [dex, liquidityA], { id: "ApproveDEXTokenA" });
+  const approveDexB = m.call(tokenB, "approve", [dex, liquidityB], { id: "ApproveDEXTokenB" });
+  m.call(dex, "addLiquidity(uint256,uint256,uint256,uint256,address)", [liquidityA, liquidityB, 0, 0, deployer], {
+    id: "AddInitialLiquidity",
+    after: [approveDexA, approveDexB],
+  });
+
+  // Fund the faucet
+  const approveFaucet = m.call(tokenA, "approve", [faucet, faucetFunding], { id: "ApproveFaucet" });
+  m.call(faucet, "fundFaucet", [tokenA, faucetFunding], { after: [approveFaucet] });
+
+  // Fund the airdrop
+  const approveAirdrop = m.call(tokenA, "approve", [airdrop, airdropFunding], { id: "ApproveAirdrop" });
+  m.call(airdrop, "addTokensToAirdrop", [airdropFunding], { after: [approveAirdrop] });
+
+  return { tokenA, tokenB, dex, airdrop, faucet };
+});
@@ -0,0 +1,11 @@
+// Deploys the two test tokens used by the DEX, Faucet and airdrop contracts.
+// Both constructors mint 1,000,000 tokens to the deployer.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("TokensModule", (m) => {
+  const tokenA = m.contract("TestTokenA");
+  const tokenB = m.contract("TestTokenB");
+
+  return { tokenA, tokenB };
+});
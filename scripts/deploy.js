@@ -1,33 +1,32 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { deployStack } = require("../utils/deployer");
+const { bootstrapStack } = require("../utils/bootstrap");
+const { loadNetworkConfig } = require("../utils/config");
+const { getRegistryPath } = require("../utils/registry");
+const { verifyStack } = require("../utils/verify");
+const { handOverOwnership } = require("../utils/timelock");
 
+// `hardhat run` does not forward CLI flags, so the dry-run mode is enabled with
+// DRY_RUN=true and the timelock handoff with HANDOFF=true (HANDOFF_ROLES=true to also
+// move the operational roles). The equivalent task is `npx hardhat stack:deploy
+// --dry-run` / `--handoff` / `--handoff-roles`.
 async function main() {
-  console.log("Deploying contracts...");
+  const dryRun = process.env.DRY_RUN === "true";
+  const handoff = process.env.HANDOFF === "true";
+  const handoffRoles = process.env.HANDOFF_ROLES === "true";
+  const config = loadNetworkConfig(hre.network.name);
 
-  // Deploy TestTokenA
-  const TestTokenA = await ethers.getContractFactory("TestTokenA");
-  const tokenA = await TestTokenA.deploy();
-  await tokenA.waitForDeployment();
-  console.log(`TestTokenA deployed to: ${await tokenA.getAddress()}`);
+  const addresses = await deployStack(hre, { dryRun, config });
+  await bootstrapStack(hre, addresses, { dryRun, config });
 
-  // Deploy TestTokenB
-  const TestTokenB = await ethers.getContractFactory("TestTokenB");
-  const tokenB = await TestTokenB.deploy();
-  await tokenB.waitForDeployment();
-  console.log(`TestTokenB deployed to: ${await tokenB.getAddress()}`);
-
-  // Deploy DEX
-  const DEX = await ethers.getContractFactory("DEX");
-  const dex = await DEX.deploy(await tokenA.getAddress(), await tokenB.getAddress());
-  await dex.waitForDeployment();
-  console.log(`DEX deployed to: ${await dex.getAddress()}`);
-
-  // Deploy AirdorpV2
-  const AirdropV2 = await ethers.getContractFactory("AirdropV2");
-  const airdrop = await AirdropV2.deploy(await tokenA.getAddress());
-  await airdrop.waitForDeployment();
-  console.log(`AirdorpV2 deployed to: ${await airdrop.getAddress()}`);
-
-  console.log("Deployment completed!");
+  if (!dryRun) {
+    await verifyStack(hre);
+    if (handoff) {
+      await handOverOwnership(hre, { roles: handoffRoles });
+    }
+    console.log(`Addresses written to ${getRegistryPath(hre.network.name)}`);
+    console.log("Deployment completed!");
+  }
 }
 
 main()
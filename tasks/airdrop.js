@@ -0,0 +1,272 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * Loads the airdrop (by registry name or address) connected to the first signer, with its token
+ */
+async function loadAirdrop(hre, { airdrop: nameOrAddress, contractName }) {
+  const { getAirdrop } = require("../utils/airdrop");
+
+  const [signer] = await hre.ethers.getSigners();
+  const airdrop = await getAirdrop(hre, nameOrAddress, { contractName, signer });
+  const token = await hre.ethers.getContractAt("IERC20Metadata", await airdrop.token());
+  return {
+    signer,
+    airdrop,
+    token: { address: token.target, symbol: await token.symbol(), decimals: await token.decimals() },
+  };
+}
+
+/**
+ * Parses a unix timestamp, an ISO date or "now"
+ */
+async function parseTime(hre, value) {
+  if (value === "now") {
+    return (await hre.ethers.provider.getBlock("latest")).timestamp;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Airdrop: invalid time ${value}`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+function airdropTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("airdrop", "Registry name or address of the airdrop", "AirdropV2")
+    .addOptionalParam("contractName", "Airdrop or AirdropV2, when --airdrop is an address", "AirdropV2");
+}
+
+airdropTask("airdrop:status", "Prints the registration window, funding and distribution state").setAction(
+  async (args, hre) => {
+    const { getCampaignStatus } = require("../utils/airdrop");
+    const { airdrop, token } = await loadAirdrop(hre, args);
+    const status = await getCampaignStatus(airdrop);
+    const format = (amount) => `${hre.ethers.formatUnits(amount, token.decimals)} ${token.symbol}`;
+    const date = (timestamp) => (timestamp === 0n ? "not set" : new Date(Number(timestamp) * 1000).toISOString());
+
+    console.log(`Airdrop ${airdrop.target}`);
+    console.log(`Registration: ${date(status.registrationStartTime)} - ${date(status.registrationEndTime)}`);
+    console.log(`Registered users: ${status.registeredCount}`);
+    console.log(`Funded: ${format(status.totalAirdropAmount)} (balance ${format(status.balance)})`);
+    console.log(`Allocated: ${format(status.distributedAmount)}`);
+    if (status.isAmountSet !== undefined) {
+      console.log(`Amount per user: ${status.isAmountSet ? format(status.amountPerUser) : "not set"}`);
+    }
+    console.log(`Claim deadline: ${date(status.claimDeadline)}`);
+    console.log(`Distribution complete: ${status.isDistributionComplete} (${status.distributionCursor}/${status.registeredCount} users processed)`);
+
+    return status;
+  }
+);
+
+airdropTask("airdrop:set-period", "Sets the registration period")
+  .addOptionalParam("start", "Unix timestamp, ISO date or \"now\"", "now")
+  .addOptionalParam("end", "Unix timestamp or ISO date")
+  .addOptionalParam("duration", "Registration length in seconds, if --end is not given", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { airdrop } = await loadAirdrop(hre, args);
+    const startTime = await parseTime(hre, args.start);
+    let endTime;
+    if (args.end !== undefined) {
+      endTime = await parseTime(hre, args.end);
+    } else if (args.duration !== undefined) {
+      endTime = startTime + args.duration;
+    } else {
+      throw new Error("Airdrop: either --end or --duration is required");
+    }
+
+    const receipt = await (await airdrop.setRegistrationPeriod(startTime, endTime)).wait();
+    console.log(
+      `Registration open ${new Date(startTime * 1000).toISOString()} - ${new Date(endTime * 1000).toISOString()}`
+    );
+    return receipt;
+  });
+
+airdropTask("airdrop:set-amounts", "Sets per-user Airdrop amounts from a CSV (address,amount) or JSON file")
+  .addParam("file", "Recipient list, amounts in token units")
+  .addOptionalParam("batchSize", "Recipients per transaction (estimated from the block gas limit by default)", undefined, types.int)
+  .addFlag("dryRun", "Validate and print the batches without sending transactions")
+  .setAction(async (args, hre) => {
+    const { loadRecipients } = require("../utils/recipients");
+    const {
+      isUniformAirdrop,
+      getCampaignStatus,
+      estimateBatchSize,
+      getPendingAmounts,
+      setAirdropAmountsInBatches,
+    } = require("../utils/airdrop");
+    const { formatUnits } = hre.ethers;
+    const { airdrop, token } = await loadAirdrop(hre, args);
+    const format = (amount) => `${formatUnits(amount, token.decimals)} ${token.symbol}`;
+
+    if (isUniformAirdrop(airdrop)) {
+      throw new Error("Airdrop: this airdrop uses a uniform amount, use airdrop:set-uniform");
+    }
+
+    const { recipients, duplicates } = loadRecipients(args.file, token.decimals);
+    if (duplicates.length > 0) {
+      console.log(`Dropped ${duplicates.length} duplicate entries`);
+    }
+
+    const unregistered = [];
+    for (const { address } of recipients) {
+      if (!(await airdrop.isRegistered(address))) {
+        unregistered.push(address);
+      }
+    }
+    if (unregistered.length > 0) {
+      throw new Error(`Airdrop: ${unregistered.length} recipients are not registered: ${unregistered.join(", ")}`);
+    }
+
+    // Amounts already set by an earlier run are not sent (and allocated) again
+    const { pending, done, changed } = await getPendingAmounts(airdrop, recipients);
+    console.log(`Recipients: ${recipients.length}`);
+    if (done.length > 0) {
+      console.log(`Skipping ${done.length} recipients whose amount is already set`);
+    }
+    if (changed.length > 0) {
+      console.log(`Warning: changing the amount of ${changed.length} recipients, their previous amounts stay allocated`);
+    }
+    if (pending.length === 0) {
+      console.log("Nothing left to set");
+      return [];
+    }
+
+    const status = await getCampaignStatus(airdrop);
+    const required = pending.reduce((sum, { amount }) => sum + amount, 0n);
+    const available = status.totalAirdropAmount - status.distributedAmount;
+    console.log(`Tokens required: ${format(required)}`);
+    console.log(`Tokens available: ${format(available)} of ${format(status.totalAirdropAmount)}`);
+    if (required > available) {
+      throw new Error(`Airdrop: ${format(required - available)} missing for this allocation`);
+    }
+
+    const batchSize = args.batchSize || (await estimateBatchSize(hre, airdrop, pending));
+    const batches = Math.ceil(pending.length / batchSize);
+    console.log(`${args.dryRun ? "Would send" : "Sending"} ${batches} batches of up to ${batchSize} recipients`);
+    if (args.dryRun) {
+      return [];
+    }
+
+    return setAirdropAmountsInBatches(airdrop, pending, batchSize, (index, count, receipt) => {
+      console.log(`  Batch ${index + 1}/${count}: ${receipt.hash} (gas ${receipt.gasUsed})`);
+    });
+  });
+
+airdropTask("airdrop:set-uniform", "Sets the AirdropV2 amount every registered user receives")
+  .addParam("amount", "Amount per user in token units")
+  .addFlag("dryRun", "Print the totals without sending the transaction")
+  .setAction(async (args, hre) => {
+    const { isUniformAirdrop, getCampaignStatus } = require("../utils/airdrop");
+    const { formatUnits, parseUnits } = hre.ethers;
+    const { airdrop, token } = await loadAirdrop(hre, args);
+    const format = (amount) => `${formatUnits(amount, token.decimals)} ${token.symbol}`;
+
+    if (!isUniformAirdrop(airdrop)) {
+      throw new Error("Airdrop: this airdrop uses per-user amounts, use airdrop:set-amounts");
+    }
+
+    const status = await getCampaignStatus(airdrop);
+    const amount = parseUnits(args.amount, token.decimals);
+    const required = amount * status.registeredCount;
+    console.log(`Registered users: ${status.registeredCount}`);
+    console.log(`Tokens required: ${format(required)}`);
+    console.log(`Tokens available: ${format(status.totalAirdropAmount)}`);
+    if (required > status.totalAirdropAmount) {
+      throw new Error(`Airdrop: ${format(required - status.totalAirdropAmount)} missing for this amount`);
+    }
+    if (args.dryRun) {
+      return null;
+    }
+
+    return (await airdrop.setUniformAmount(amount)).wait();
+  });
+
+airdropTask("airdrop:distribute", "Sends the allocated tokens to every registered user, in resumable batches")
+  .addOptionalParam("batchSize", "Users per transaction (estimated from the block gas limit by default)", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { estimateDistributeBatchSize, distributeInBatches } = require("../utils/airdrop");
+    const { airdrop } = await loadAirdrop(hre, args);
+
+    if (await airdrop.isDistributionComplete()) {
+      console.log("Distribution already complete");
+      return [];
+    }
+
+    const cursor = await airdrop.distributionCursor();
+    if (cursor > 0n) {
+      console.log(`Resuming distribution at user ${cursor}`);
+    }
+
+    const batchSize = args.batchSize || (await estimateDistributeBatchSize(hre, airdrop));
+    const receipts = await distributeInBatches(airdrop, batchSize, (paid, total, receipt) => {
+      const transfers = receipt.logs
+        .filter((log) => log.address === airdrop.target)
+        .map((log) => airdrop.interface.parseLog(log))
+        .filter((event) => event !== null && event.name === "TokensDistributed");
+      console.log(`  ${paid}/${total} users: ${transfers.length} transfers in ${receipt.hash}`);
+    });
+    console.log(`Distribution complete in ${receipts.length} transactions`);
+    return receipts;
+  });
+
+airdropTask("airdrop:open-claims", "Finalizes the amounts and lets registered users claim until a deadline")
+  .addOptionalParam("deadline", "Unix timestamp or ISO date")
+  .addOptionalParam("duration", "Claim period in seconds from now, if --deadline is not given", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { airdrop } = await loadAirdrop(hre, args);
+    let deadline;
+    if (args.deadline !== undefined) {
+      deadline = await parseTime(hre, args.deadline);
+    } else if (args.duration !== undefined) {
+      deadline = (await parseTime(hre, "now")) + args.duration;
+    } else {
+      throw new Error("Airdrop: either --deadline or --duration is required");
+    }
+
+    const receipt = await (await airdrop.openClaims(deadline)).wait();
+    console.log(`Claims open until ${new Date(deadline * 1000).toISOString()}`);
+    return receipt;
+  });
+
+airdropTask("airdrop:sweep", "Sends the unclaimed tokens to --to (the signer by default) after the claim deadline")
+  .addOptionalParam("to", "Recipient of the unclaimed tokens")
+  .setAction(async (args, hre) => {
+    const { signer, airdrop, token } = await loadAirdrop(hre, args);
+    const to = args.to || signer.address;
+
+    const receipt = await (await airdrop.sweepUnclaimedTokens(to)).wait();
+    const [swept] = receipt.logs
+      .filter((log) => log.address === airdrop.target)
+      .map((log) => airdrop.interface.parseLog(log))
+      .filter((event) => event !== null && event.name === "UnclaimedTokensSwept");
+    console.log(`Swept ${hre.ethers.formatUnits(swept.args.amount, token.decimals)} ${token.symbol} to ${to}`);
+    return receipt;
+  });
+
+task("airdrop:merkle-build", "Builds a MerkleAirdrop allocation from a CSV or JSON recipient list")
+  .addParam("file", "Recipient list, amounts in token units")
+  .addParam("out", "Where to write the root and per-user proofs (JSON)")
+  .addOptionalParam("decimals", "Token decimals used to parse the amounts", 18, types.int)
+  .setAction(async ({ file, out, decimals }, hre) => {
+    const fs = require("fs");
+    const { loadRecipients } = require("../utils/recipients");
+    const { buildMerkleTree } = require("../utils/merkle");
+
+    const { recipients, duplicates } = loadRecipients(file, decimals);
+    if (duplicates.length > 0) {
+      console.log(`Dropped ${duplicates.length} duplicate entries`);
+    }
+
+    const tree = buildMerkleTree(recipients);
+    const output = { root: tree.root, total: tree.total.toString(), decimals, claims: tree.claims };
+    fs.writeFileSync(out, JSON.stringify(output, null, 2) + "\n");
+
+    console.log(`Merkle root: ${tree.root}`);
+    console.log(`Recipients: ${recipients.length}, total ${hre.ethers.formatUnits(tree.total, decimals)}`);
+    console.log(`Proofs written to ${out}`);
+    return output;
+  });
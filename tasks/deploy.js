@@ -0,0 +1,98 @@
+const { task } = require("hardhat/config");
+
+task("stack:deploy", "Deploys the contracts missing from the network's registry, then bootstraps them")
+  .addFlag("dryRun", "Print the planned deployments and estimated gas without sending transactions")
+  .addFlag("skipBootstrap", "Only deploy, do not seed the DEX or fund the Faucet and AirdropV2")
+  .addFlag("skipVerify", "Do not verify the deployed contracts on the block explorers")
+  .addFlag("handoff", "Transfer ownership of DEX, Faucet and AirdropV2 to the Timelock at the end")
+  .addFlag("handoffRoles", "With --handoff, also move the deployer's FUNDER, AIRDROP_MANAGER and FEE_SETTER roles")
+  .setAction(async ({ dryRun, skipBootstrap, skipVerify, handoff, handoffRoles }, hre) => {
+    const { deployStack } = require("../utils/deployer");
+    const { bootstrapStack } = require("../utils/bootstrap");
+    const { loadNetworkConfig } = require("../utils/config");
+    const { verifyStack } = require("../utils/verify");
+    const { handOverOwnership } = require("../utils/timelock");
+
+    await hre.run("compile");
+    const config = loadNetworkConfig(hre.network.name);
+    const addresses = await deployStack(hre, { dryRun, config });
+    if (!skipBootstrap) {
+      await bootstrapStack(hre, addresses, { dryRun, config });
+    }
+    if (!dryRun && !skipVerify) {
+      await verifyStack(hre);
+    }
+    if (!dryRun && handoff) {
+      await handOverOwnership(hre, { roles: handoffRoles });
+    }
+  });
+
+task("stack:bootstrap", "Seeds the DEX and funds the Faucet and AirdropV2 of the registered deployment")
+  .addFlag("dryRun", "Print the planned actions without sending transactions")
+  .setAction(async ({ dryRun }, hre) => {
+    const { bootstrapStack } = require("../utils/bootstrap");
+    const { readRegistry } = require("../utils/registry");
+
+    const { contracts } = readRegistry(hre.network.name);
+    const addresses = Object.fromEntries(Object.entries(contracts).map(([name, { address }]) => [name, address]));
+    await bootstrapStack(hre, addresses, { dryRun });
+  });
+
+task("stack:verify", "Verifies the contracts recorded in the network's registry")
+  .addOptionalVariadicPositionalParam("contracts", "Registry names to verify (defaults to all)")
+  .addFlag("force", "Also re-verify contracts already marked as verified")
+  .setAction(async ({ contracts, force }, hre) => {
+    const { verifyStack } = require("../utils/verify");
+
+    const { failed } = await verifyStack(hre, { names: contracts, force });
+    if (failed.length > 0) {
+      throw new Error(`Verification failed for ${failed.join(", ")}`);
+    }
+  });
+
+function pauseTask(name, paused) {
+  return task(name, `${paused ? "Pauses" : "Unpauses"} every pausable contract in the network's registry`)
+    .addOptionalVariadicPositionalParam("contracts", "Registry names to include (defaults to all)")
+    .setAction(async ({ contracts }, hre) => {
+      const { setStackPaused } = require("../utils/pause");
+
+      const result = await setStackPaused(hre, paused, { names: contracts });
+      if (result.failed.length > 0) {
+        throw new Error(`Could not ${paused ? "pause" : "unpause"} ${result.failed.join(", ")}`);
+      }
+      return result;
+    });
+}
+
+pauseTask("stack:pause", true);
+pauseTask("stack:unpause", false);
+
+task("stack:roles", "Lists the role holders of the registered contracts from their RoleGranted / RoleRevoked events")
+  .addOptionalVariadicPositionalParam("contracts", "Registry names to include (defaults to all)")
+  .setAction(async ({ contracts }, hre) => {
+    const { listStackRoles } = require("../utils/roles");
+
+    const roles = await listStackRoles(hre, { names: contracts });
+    for (const [name, holders] of Object.entries(roles)) {
+      console.log(`${name}:`);
+      for (const [role, accounts] of Object.entries(holders)) {
+        console.log(`  ${role}: ${accounts.join(", ")}`);
+      }
+    }
+    return roles;
+  });
+
+function roleTask(name, granted) {
+  return task(name, `${granted ? "Grants" : "Revokes"} a role on every registered contract that defines it`)
+    .addParam("role", "PAUSER, FUNDER, AIRDROP_MANAGER or FEE_SETTER")
+    .addParam("account", `Address to ${granted ? "grant the role to" : "revoke the role from"}`)
+    .addOptionalVariadicPositionalParam("contracts", "Registry names to include (defaults to all that define the role)")
+    .setAction(async ({ role, account, contracts }, hre) => {
+      const { setStackRole } = require("../utils/roles");
+
+      return setStackRole(hre, role, account, granted, { names: contracts });
+    });
+}
+
+roleTask("stack:grant-role", true);
+roleTask("stack:revoke-role", false);
@@ -0,0 +1,367 @@
+const { task, types } = require("hardhat/config");
+
+const DEFAULT_SLIPPAGE = "0.5";
+
+/**
+ * Loads the DEX (from --dex or the registry) connected to the first signer, with its token pair
+ */
+async function loadDex(hre, address) {
+  const { getDex, getPairTokens } = require("../utils/dex");
+
+  const [signer] = await hre.ethers.getSigners();
+  const dex = await getDex(hre, address, signer);
+  const pair = await getPairTokens(hre, dex);
+  return { signer, dex, pair };
+}
+
+/**
+ * Prints the LiquidityAdded / LiquidityRemoved / TokenSwap events of a receipt with token units
+ */
+function printDexEvents(hre, dex, pair, receipt) {
+  const { decodeDexEvents } = require("../utils/dex");
+  const { formatUnits } = hre.ethers;
+  const tokens = [pair.tokenA, pair.tokenB];
+  const format = (amount, token) => `${formatUnits(amount, token.decimals)} ${token.symbol}`;
+  const byAddress = (address) => tokens.find((token) => token.address.toLowerCase() === address.toLowerCase());
+
+  for (const { name, args } of decodeDexEvents(dex, receipt)) {
+    switch (name) {
+      case "LiquidityAdded":
+      case "LiquidityRemoved":
+        console.log(
+          `${name}: provider ${args.provider}, ${format(args.amountA, pair.tokenA)} + ${format(args.amountB, pair.tokenB)}, ` +
+            `${formatUnits(args.liquidity, 18)} LP`
+        );
+        break;
+      case "TokenSwap":
+        console.log(
+          `${name}: user ${args.user}, ${format(args.amountIn, byAddress(args.tokenIn))} -> ` +
+            `${format(args.amountOut, byAddress(args.tokenOut))}`
+        );
+        break;
+      case "Transfer":
+      case "Approval":
+      case "Sync":
+        // LP token and reserve bookkeeping
+        break;
+      default:
+        console.log(`${name}: ${JSON.stringify(args, (_, value) => (typeof value === "bigint" ? value.toString() : value))}`);
+    }
+  }
+  console.log(`Transaction: ${receipt.hash}`);
+}
+
+task("dex:reserves", "Prints the DEX reserves, LP supply and exchange rates")
+  .addOptionalParam("dex", "DEX address (defaults to the registry)")
+  .setAction(async ({ dex: address }, hre) => {
+    const { formatUnits } = hre.ethers;
+    const { dex, pair } = await loadDex(hre, address);
+    const [reserveA, reserveB] = await dex.getReserves();
+    const [rateAtoB, rateBtoA] = await dex.getExchangeRate();
+
+    console.log(`DEX ${dex.target}`);
+    console.log(`Reserves: ${formatUnits(reserveA, pair.tokenA.decimals)} ${pair.tokenA.symbol} / ${formatUnits(reserveB, pair.tokenB.decimals)} ${pair.tokenB.symbol}`);
+    console.log(`LP supply: ${formatUnits(await dex.totalSupply(), 18)} ${await dex.symbol()}`);
+    console.log(`1 ${pair.tokenA.symbol} = ${formatUnits(rateAtoB, 18)} ${pair.tokenB.symbol}`);
+    console.log(`1 ${pair.tokenB.symbol} = ${formatUnits(rateBtoA, 18)} ${pair.tokenA.symbol}`);
+
+    const [swapFee, protocolFeeShare, feeTo] = await Promise.all([dex.swapFee(), dex.protocolFeeShare(), dex.feeTo()]);
+    const [protocolFeesA, protocolFeesB] = await dex.getProtocolFees();
+    console.log(`Swap fee: ${formatUnits(swapFee, 2)}%`);
+    if (protocolFeeShare > 0n) {
+      console.log(`Protocol fee: ${formatUnits(protocolFeeShare, 2)}% of the swap fee to ${feeTo}`);
+    }
+    if (protocolFeesA > 0n || protocolFeesB > 0n) {
+      console.log(
+        `Uncollected protocol fees: ${formatUnits(protocolFeesA, pair.tokenA.decimals)} ${pair.tokenA.symbol} / ` +
+          `${formatUnits(protocolFeesB, pair.tokenB.decimals)} ${pair.tokenB.symbol}`
+      );
+    }
+
+    return { reserveA, reserveB };
+  });
+
+task("dex:twap", "Prints the time-weighted average price over the last blocks")
+  .addOptionalParam("blocks", "Number of blocks to average over", 100, types.int)
+  .addOptionalParam("dex", "DEX address (defaults to the registry)")
+  .setAction(async ({ blocks, dex: address }, hre) => {
+    const { getDeploymentBlock, observePrices, averagePrice } = require("../utils/dex");
+    const { dex, pair } = await loadDex(hre, address);
+
+    // The accumulators cannot be read before the DEX existed
+    const latest = await hre.ethers.provider.getBlockNumber();
+    const deployedAt = await getDeploymentBlock(hre, dex);
+    const from = Math.max(deployedAt || 0, latest - blocks);
+    if (from >= latest) {
+      throw new Error(`DEX: deployed in block ${deployedAt}, there are no blocks to average over yet`);
+    }
+    let earlier;
+    try {
+      earlier = await observePrices(dex, from);
+    } catch (error) {
+      throw new Error(`DEX: cannot read the prices at block ${from}, before the DEX was deployed? Pass fewer --blocks`);
+    }
+    const later = await observePrices(dex, latest);
+    const average = averagePrice(earlier, later, pair.tokenA.decimals, pair.tokenB.decimals);
+
+    console.log(`Average over ${average.window} seconds (${latest - from} blocks):`);
+    console.log(`1 ${pair.tokenA.symbol} = ${average.priceA} ${pair.tokenB.symbol}`);
+    console.log(`1 ${pair.tokenB.symbol} = ${average.priceB} ${pair.tokenA.symbol}`);
+    return average;
+  });
+
+task("dex:quote", "Quotes the output of a swap")
+  .addParam("tokenIn", "Symbol or address of the input token")
+  .addParam("amount", "Input amount in token units, e.g. 1.5")
+  .addOptionalParam("dex", "DEX address (defaults to the registry)")
+  .setAction(async ({ tokenIn: symbolOrAddress, amount, dex: address }, hre) => {
+    const { resolveToken } = require("../utils/dex");
+    const { parseUnits, formatUnits } = hre.ethers;
+    const { dex, pair } = await loadDex(hre, address);
+    const { tokenIn, tokenOut } = resolveToken(pair, symbolOrAddress);
+
+    const amountIn = parseUnits(amount, tokenIn.decimals);
+    const amountOut = await dex.getAmountOut(amountIn, tokenIn.address);
+
+    console.log(`${amount} ${tokenIn.symbol} -> ${formatUnits(amountOut, tokenOut.decimals)} ${tokenOut.symbol}`);
+    return amountOut;
+  });
+
+task("dex:swap", "Swaps an exact input amount, approving the DEX if needed")
+  .addParam("tokenIn", "Symbol or address of the input token")
+  .addParam("amount", "Input amount in token units, e.g. 1.5")
+  .addOptionalParam("slippage", "Slippage tolerance in percent", DEFAULT_SLIPPAGE)
+  .addOptionalParam("deadline", "Minutes before the transaction expires (20 by default)")
+  .addOptionalParam("to", "Recipient of the output tokens (defaults to the signer)")
+  .addOptionalParam("dex", "DEX address (defaults to the registry)")
+  .addFlag("permit", "Sign an EIP-2612 permit instead of sending an approval")
+  .setAction(async ({ tokenIn: symbolOrAddress, amount, slippage, deadline, to, dex: address, permit }, hre) => {
+    const { resolveToken, parseSlippage, applySlippage, getDeadline } = require("../utils/dex");
+    const { ensureAllowance, signPermit } = require("../utils/tokens");
+    const { parseUnits, formatUnits } = hre.ethers;
+    const { signer, dex, pair } = await loadDex(hre, address);
+    const { tokenIn, tokenOut } = resolveToken(pair, symbolOrAddress);
+
+    const amountIn = parseUnits(amount, tokenIn.decimals);
+    const expectedOut = await dex.getAmountOut(amountIn, tokenIn.address);
+    const amountOutMin = applySlippage(expectedOut, parseSlippage(slippage));
+    console.log(
+      `Swapping ${amount} ${tokenIn.symbol} for at least ${formatUnits(amountOutMin, tokenOut.decimals)} ${tokenOut.symbol}`
+    );
+
+    let tx;
+    if (permit) {
+      const expiry = await getDeadline(hre, deadline);
+      const token = await hre.ethers.getContractAt("ERC20Permit", tokenIn.address, signer);
+      const signature = await signPermit(token, signer, dex.target, amountIn, expiry);
+      tx = await dex.swapWithPermit(amountIn, amountOutMin, tokenIn.address, to || signer.address, expiry, signature);
+    } else {
+      await ensureAllowance(tokenIn.contract, dex.target, amountIn);
+      tx = await dex["swapExactTokensForTokens(uint256,uint256,address,address,uint256)"](
+        amountIn,
+        amountOutMin,
+        tokenIn.address,
+        to || signer.address,
+        await getDeadline(hre, deadline)
+      );
+    }
+    const receipt = await tx.wait();
+    printDexEvents(hre, dex, pair, receipt);
+    return receipt;
+  });
+
+task("dex:add-liquidity", "Adds liquidity, approving the DEX if needed")
+  .addParam("amountA", "Desired tokenA amount in token units")
+  .addParam("amountB", "Desired tokenB amount in token units")
+  .addOptionalParam("slippage", "Slippage tolerance in percent", DEFAULT_SLIPPAGE)
+  .addOptionalParam("deadline", "Minutes before the transaction expires (20 by default)")
+  .addOptionalParam("to", "Recipient of the LP tokens (defaults to the signer)")
+  .addOptionalParam("dex", "DEX address (defaults to the registry)")
+  .addFlag("permit", "Sign EIP-2612 permits instead of sending approvals")
+  .setAction(async ({ amountA, amountB, slippage, deadline, to, dex: address, permit }, hre) => {
+    const { parseSlippage, applySlippage, quoteLiquidityAmounts, getDeadline } = require("../utils/dex");
+    const { ensureAllowance, signPermit } = require("../utils/tokens");
+    const { parseUnits } = hre.ethers;
+    const { signer, dex, pair } = await loadDex(hre, address);
+
+    const amountADesired = parseUnits(amountA, pair.tokenA.decimals);
+    const amountBDesired = parseUnits(amountB, pair.tokenB.decimals);
+    const [reserveA, reserveB] = await dex.getReserves();
+    const expected = quoteLiquidityAmounts(amountADesired, amountBDesired, reserveA, reserveB);
+    const slippageBps = parseSlippage(slippage);
+
+    const args = [
+      amountADesired,
+      amountBDesired,
+      applySlippage(expected.amountA, slippageBps),
+      applySlippage(expected.amountB, slippageBps),
+      to || signer.address,
+      await getDeadline(hre, deadline),
+    ];
+    let tx;
+    if (permit) {
+      const expiry = args[5];
+      const tokenA = await hre.ethers.getContractAt("ERC20Permit", pair.tokenA.address, signer);
+      const tokenB = await hre.ethers.getContractAt("ERC20Permit", pair.tokenB.address, signer);
+      tx = await dex.addLiquidityWithPermit(
+        ...args,
+        await signPermit(tokenA, signer, dex.target, amountADesired, expiry),
+        await signPermit(tokenB, signer, dex.target, amountBDesired, expiry)
+      );
+    } else {
+      await ensureAllowance(pair.tokenA.contract, dex.target, amountADesired);
+      await ensureAllowance(pair.tokenB.contract, dex.target, amountBDesired);
+      tx = await dex["addLiquidity(uint256,uint256,uint256,uint256,address,uint256)"](...args);
+    }
+    const receipt = await tx.wait();
+    printDexEvents(hre, dex, pair, receipt);
+    return receipt;
+  });
+
+task("dex:remove-liquidity", "Burns LP tokens for the underlying tokens")
+  .addParam("liquidity", "LP amount in token units, or \"all\"")
+  .addOptionalParam("slippage", "Slippage tolerance in percent", DEFAULT_SLIPPAGE)
+  .addOptionalParam("deadline", "Minutes before the transaction expires (20 by default)")
+  .addOptionalParam("to", "Recipient of the tokens (defaults to the signer)")
+  .addOptionalParam("dex", "DEX address (defaults to the registry)")
+  .setAction(async ({ liquidity, slippage, deadline, to, dex: address }, hre) => {
+    const { parseSlippage, applySlippage, getDeadline } = require("../utils/dex");
+    const { signer, dex, pair } = await loadDex(hre, address);
+
+    const lpAmount = liquidity === "all" ? await dex.balanceOf(signer.address) : hre.ethers.parseUnits(liquidity, 18);
+    const [reserveA, reserveB] = await dex.getReserves();
+    const totalSupply = await dex.totalSupply();
+    if (totalSupply === 0n) {
+      throw new Error("DEX: the pool has no liquidity to remove");
+    }
+    if (lpAmount === 0n) {
+      throw new Error(liquidity === "all" ? `DEX: ${signer.address} holds no LP tokens` : "DEX: --liquidity must be more than 0");
+    }
+    const slippageBps = parseSlippage(slippage);
+
+    const tx = await dex["removeLiquidity(uint256,uint256,uint256,address,uint256)"](
+      lpAmount,
+      applySlippage((lpAmount * reserveA) / totalSupply, slippageBps),
+      applySlippage((lpAmount * reserveB) / totalSupply, slippageBps),
+      to || signer.address,
+      await getDeadline(hre, deadline)
+    );
+    const receipt = await tx.wait();
+    printDexEvents(hre, dex, pair, receipt);
+    return receipt;
+  });
+
+task("dex:set-fee", "Sets the swap fee and the protocol fee (FEE_SETTER_ROLE only)")
+  .addOptionalParam("fee", "Swap fee in percent of the input, e.g. 0.3")
+  .addOptionalParam("protocolShare", "Share of the swap fee sent to --fee-to, in percent, e.g. 20 (0 turns it off)")
+  .addOptionalParam("feeTo", "Recipient of the protocol fees (defaults to the current one, or the signer)")
+  .addOptionalParam("dex", "DEX address (defaults to the registry)")
+  .setAction(async ({ fee, protocolShare, feeTo, dex: address }, hre) => {
+    const { parsePercent } = require("../utils/dex");
+    const { formatUnits, ZeroAddress } = hre.ethers;
+    const { signer, dex } = await loadDex(hre, address);
+
+    if (fee === undefined && protocolShare === undefined && feeTo === undefined) {
+      throw new Error("DEX: pass --fee, --protocol-share or --fee-to");
+    }
+
+    const receipts = [];
+    if (fee !== undefined) {
+      receipts.push(await (await dex.setSwapFee(parsePercent(fee, "fee"))).wait());
+    }
+    if (protocolShare !== undefined || feeTo !== undefined) {
+      const currentFeeTo = await dex.feeTo();
+      const recipient = feeTo || (currentFeeTo === ZeroAddress ? signer.address : currentFeeTo);
+      const share = protocolShare === undefined ? await dex.protocolFeeShare() : parsePercent(protocolShare, "protocol share");
+      receipts.push(await (await dex.setProtocolFee(recipient, share)).wait());
+    }
+
+    const [swapFee, protocolFeeShare] = await Promise.all([dex.swapFee(), dex.protocolFeeShare()]);
+    console.log(`Swap fee: ${formatUnits(swapFee, 2)}%`);
+    console.log(`Protocol fee: ${formatUnits(protocolFeeShare, 2)}% of the swap fee to ${await dex.feeTo()}`);
+    return receipts;
+  });
+
+task("dex:create-pair", "Creates a pair through the DEXFactory")
+  .addParam("tokenA", "Address of one token")
+  .addParam("tokenB", "Address of the other token")
+  .addOptionalParam("factory", "DEXFactory address (defaults to the registry)")
+  .setAction(async ({ tokenA, tokenB, factory: address }, hre) => {
+    const { getFactory, getPairAddress } = require("../utils/dex");
+    const [signer] = await hre.ethers.getSigners();
+    const factory = await getFactory(hre, address, signer);
+
+    const existing = await getPairAddress(factory, tokenA, tokenB);
+    if (existing !== null) {
+      console.log(`Pair already exists at ${existing}`);
+      return existing;
+    }
+
+    await (await factory.createPair(tokenA, tokenB)).wait();
+    const pair = await getPairAddress(factory, tokenA, tokenB);
+    console.log(`Pair created at ${pair}`);
+    return pair;
+  });
+
+task("dex:route", "Finds the best path between two tokens across the factory pairs, and optionally swaps along it")
+  .addParam("tokenIn", "Address of the input token")
+  .addParam("tokenOut", "Address of the output token")
+  .addParam("amount", "Input amount in token units, e.g. 1.5")
+  .addOptionalParam("maxHops", "Maximum number of pairs to go through", 3, types.int)
+  .addFlag("execute", "Swap along the best path through the DEXRouter")
+  .addOptionalParam("slippage", "Slippage tolerance in percent", DEFAULT_SLIPPAGE)
+  .addOptionalParam("deadline", "Minutes before the transaction expires (20 by default)")
+  .addOptionalParam("to", "Recipient of the output tokens (defaults to the signer)")
+  .addOptionalParam("factory", "DEXFactory address (defaults to the registry)")
+  .addOptionalParam("router", "DEXRouter address (defaults to the registry)")
+  .setAction(async (args, hre) => {
+    const { getFactory, loadPairs, findBestPath, parseSlippage, applySlippage, getDeadline } = require("../utils/dex");
+    const { getDeployedContract } = require("../utils/registry");
+    const { ensureAllowance } = require("../utils/tokens");
+    const { parseUnits, formatUnits } = hre.ethers;
+    const [signer] = await hre.ethers.getSigners();
+    const factory = await getFactory(hre, args.factory, signer);
+
+    const tokens = {};
+    const loadToken = async (address) => {
+      if (!tokens[address]) {
+        const contract = await hre.ethers.getContractAt("IERC20Metadata", address, signer);
+        tokens[address] = { contract, symbol: await contract.symbol(), decimals: await contract.decimals() };
+      }
+      return tokens[address];
+    };
+
+    const tokenIn = await loadToken(args.tokenIn);
+    const amountIn = parseUnits(args.amount, tokenIn.decimals);
+    const best = findBestPath(await loadPairs(hre, factory), args.tokenIn, args.tokenOut, amountIn, args.maxHops);
+    if (best === null) {
+      throw new Error(`DEX: no route with liquidity from ${args.tokenIn} to ${args.tokenOut}`);
+    }
+
+    const steps = [];
+    for (const [i, address] of best.path.entries()) {
+      const token = await loadToken(address);
+      steps.push(`${formatUnits(best.amounts[i], token.decimals)} ${token.symbol}`);
+    }
+    console.log(`Best path: ${steps.join(" -> ")}`);
+    if (!args.execute) {
+      return best;
+    }
+
+    const router = args.router
+      ? await hre.ethers.getContractAt("DEXRouter", args.router, signer)
+      : await getDeployedContract(hre, "DEXRouter", { signer });
+    const amountOutMin = applySlippage(best.amounts[best.amounts.length - 1], parseSlippage(args.slippage));
+
+    await ensureAllowance(tokenIn.contract, router.target, amountIn);
+    const tx = await router.swapExactTokensForTokens(
+      amountIn,
+      amountOutMin,
+      best.path,
+      args.to || signer.address,
+      await getDeadline(hre, args.deadline)
+    );
+    const receipt = await tx.wait();
+    console.log(`Transaction: ${receipt.hash}`);
+    return receipt;
+  });
@@ -0,0 +1,61 @@
+const { task, types } = require("hardhat/config");
+
+task("faucet:allowlist-build", "Builds the Faucet allowlist Merkle tree from a list of addresses")
+  .addParam("file", "One address per line, or a JSON array of addresses")
+  .addParam("out", "Where to write the root and per-address proofs (JSON)")
+  .setAction(async ({ file, out }) => {
+    const fs = require("fs");
+    const { loadAddresses } = require("../utils/recipients");
+    const { buildAllowlist } = require("../utils/merkle");
+
+    const { addresses, duplicates } = loadAddresses(file);
+    if (duplicates.length > 0) {
+      console.log(`Dropped ${duplicates.length} duplicate entries`);
+    }
+
+    const output = buildAllowlist(addresses);
+    fs.writeFileSync(out, JSON.stringify(output, null, 2) + "\n");
+
+    console.log(`Allowlist root: ${output.root}`);
+    console.log(`Accounts: ${addresses.length}`);
+    console.log(`Proofs written to ${out}`);
+    return output;
+  });
+
+task("faucet:voucher-service", "Runs a local service signing Faucet vouchers for requests with a valid captcha")
+  .addOptionalParam("port", "Port to listen on", 8787, types.int)
+  .addOptionalParam("ttl", "Voucher lifetime in seconds", 600, types.int)
+  .addOptionalParam("captchaUrl", "Siteverify endpoint of the captcha provider", "https://api.hcaptcha.com/siteverify")
+  .addFlag("skipCaptcha", "Sign every request, only allowed on local networks")
+  .setAction(async ({ port, ttl, captchaUrl, skipCaptcha }, hre) => {
+    const { LOCAL_NETWORKS } = require("../utils/config");
+    const { getDeployedContract } = require("../utils/registry");
+    const { createSiteVerifier, createVoucherService } = require("../utils/vouchers");
+
+    // The voucher key is kept apart from the deployer's, which ends up behind the timelock
+    const signer = process.env.VOUCHER_SIGNER_KEY
+      ? new hre.ethers.Wallet(process.env.VOUCHER_SIGNER_KEY, hre.ethers.provider)
+      : (await hre.ethers.getSigners())[0];
+    const faucet = await getDeployedContract(hre, "Faucet");
+    const voucherSigner = await faucet.voucherSigner();
+    if (voucherSigner !== signer.address) {
+      console.log(`Warning: the Faucet accepts vouchers from ${voucherSigner}, not from ${signer.address}`);
+    }
+
+    let verifyCaptcha;
+    if (skipCaptcha) {
+      if (!LOCAL_NETWORKS.includes(hre.network.name)) {
+        throw new Error(`Vouchers: --skip-captcha is only allowed on local networks, not ${hre.network.name}`);
+      }
+      verifyCaptcha = async () => true;
+    } else if (process.env.CAPTCHA_SECRET) {
+      verifyCaptcha = createSiteVerifier(captchaUrl, process.env.CAPTCHA_SECRET);
+    } else {
+      throw new Error("Vouchers: set CAPTCHA_SECRET or pass --skip-captcha on a local network");
+    }
+
+    const server = createVoucherService({ faucet, signer, verifyCaptcha, ttl });
+    await new Promise((resolve) => server.listen(port, resolve));
+    console.log(`Signing vouchers for the Faucet at ${faucet.target} on http://localhost:${port}/voucher`);
+    await new Promise((resolve) => server.on("close", resolve));
+  });
@@ -0,0 +1,5 @@
+require("./deploy");
+require("./dex");
+require("./airdrop");
+require("./timelock");
+require("./faucet");
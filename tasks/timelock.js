@@ -0,0 +1,47 @@
+const { task, types } = require("hardhat/config");
+
+task("timelock:handoff", "Transfers ownership of the registered DEX, Faucet and AirdropV2 to the Timelock")
+  .addOptionalVariadicPositionalParam("contracts", "Registry names to hand over (defaults to DEX, Faucet and AirdropV2)")
+  .addFlag("roles", "Also move the deployer's FUNDER, AIRDROP_MANAGER and FEE_SETTER roles to the Timelock")
+  .setAction(async ({ contracts, roles }, hre) => {
+    const { handOverOwnership } = require("../utils/timelock");
+
+    return handOverOwnership(hre, { names: contracts, roles });
+  });
+
+task("timelock:schedule", "Queues a call to a registered contract on the Timelock")
+  .addParam("contract", "Registry name of the target, e.g. Faucet")
+  .addParam("method", "Function name or signature, e.g. withdrawRemainingTokens")
+  .addOptionalParam("args", "Arguments as a JSON array, e.g. '[\"0x...\"]'", [], types.json)
+  .addOptionalParam("delay", "Delay in seconds (defaults to the minimum delay)", undefined, types.int)
+  .addOptionalParam("salt", "bytes32 salt of the operation (random by default)")
+  .setAction(async ({ contract, method, args, delay, salt }, hre) => {
+    const { scheduleOperation } = require("../utils/timelock");
+
+    return scheduleOperation(hre, contract, method, args, { delay, salt });
+  });
+
+task("timelock:list", "Lists the operations queued on the Timelock and their state")
+  .addFlag("pending", "Only list the operations waiting or ready to execute")
+  .setAction(async ({ pending }, hre) => {
+    const { listOperations } = require("../utils/timelock");
+
+    const operations = (await listOperations(hre)).filter(
+      ({ state }) => !pending || state === "Waiting" || state === "Ready"
+    );
+    for (const { id, call, state, readyAt } of operations) {
+      console.log(`${id} ${state.padEnd(9)} ${new Date(Number(readyAt) * 1000).toISOString()} ${call}`);
+    }
+    if (operations.length === 0) {
+      console.log("No operations");
+    }
+    return operations;
+  });
+
+task("timelock:execute", "Executes a queued operation once its delay has passed")
+  .addParam("id", "Operation id, as printed by timelock:schedule and timelock:list")
+  .setAction(async ({ id }, hre) => {
+    const { executeOperation } = require("../utils/timelock");
+
+    return executeOperation(hre, id);
+  });
@@ -292,4 +292,193 @@ describe("Airdrop", function () {
       ).to.be.revertedWith("Airdrop: distribution not complete");
     });
   });
+  
+  describe("Batch Distribution", function () {
+    const USER_AMOUNT = ethers.parseUnits("1000", 18);
+    
+    beforeEach(async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await airdrop.setRegistrationPeriod(latestBlock.timestamp, latestBlock.timestamp + 3600);
+      
+      await airdrop.connect(user1).register();
+      await airdrop.connect(user2).register();
+      await airdrop.connect(user3).register();
+      await airdrop.mintTokensForAirdrop(AIRDROP_AMOUNT);
+      
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      
+      await airdrop.setAirdropAmounts(
+        [user1.address, user2.address, user3.address],
+        [USER_AMOUNT, USER_AMOUNT, USER_AMOUNT]
+      );
+    });
+    
+    it("Should distribute in batches and advance the cursor", async function () {
+      await expect(airdrop.distributeBatch(0, 2))
+        .to.emit(airdrop, "DistributionProgress")
+        .withArgs(2, 3);
+      
+      expect(await airdrop.distributionCursor()).to.equal(2);
+      expect(await airdrop.isPaid(user1.address)).to.be.true;
+      expect(await airdrop.isPaid(user3.address)).to.be.false;
+      expect(await airdrop.isDistributionComplete()).to.be.false;
+      
+      // The last batch is clamped to the number of registered users
+      await airdrop.distributeBatch(2, 10);
+      
+      expect(await tokenA.balanceOf(user3.address)).to.equal(USER_AMOUNT);
+      expect(await airdrop.isDistributionComplete()).to.be.true;
+    });
+    
+    it("Should only accept batches starting at the cursor", async function () {
+      await airdrop.distributeBatch(0, 1);
+      
+      await expect(
+        airdrop.distributeBatch(0, 1)
+      ).to.be.revertedWith("Airdrop: batch must start at the cursor");
+      await expect(
+        airdrop.distributeBatch(2, 1)
+      ).to.be.revertedWith("Airdrop: batch must start at the cursor");
+      expect(await tokenA.balanceOf(user1.address)).to.equal(USER_AMOUNT);
+    });
+    
+    it("Should fail with an empty batch", async function () {
+      await expect(
+        airdrop.distributeBatch(0, 0)
+      ).to.be.revertedWith("Airdrop: count must be greater than zero");
+    });
+    
+    it("Should finish a partial distribution with distributeTokens", async function () {
+      await airdrop.distributeBatch(0, 1);
+      await airdrop.distributeTokens();
+      
+      for (const user of [user1, user2, user3]) {
+        expect(await tokenA.balanceOf(user.address)).to.equal(USER_AMOUNT);
+      }
+      expect(await airdrop.isDistributionComplete()).to.be.true;
+    });
+    
+    it("Should not allow changing amounts once distribution has started", async function () {
+      await airdrop.distributeBatch(0, 1);
+      
+      await expect(
+        airdrop.setAirdropAmounts([user3.address], [USER_AMOUNT])
+      ).to.be.revertedWith("Airdrop: distribution in progress");
+    });
+    
+    it("Should fail if non-owner tries to distribute a batch", async function () {
+      await expect(
+        airdrop.connect(user1).distributeBatch(0, 1)
+      ).to.be.reverted;
+    });
+  });
+  
+  describe("Claims", function () {
+    const USER_AMOUNT = ethers.parseUnits("1000", 18);
+    let deadline;
+    
+    beforeEach(async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await airdrop.setRegistrationPeriod(latestBlock.timestamp, latestBlock.timestamp + 3600);
+      
+      await airdrop.connect(user1).register();
+      await airdrop.connect(user2).register();
+      await airdrop.mintTokensForAirdrop(AIRDROP_AMOUNT);
+      
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      
+      deadline = latestBlock.timestamp + 7 * 24 * 3600;
+    });
+    
+    it("Should not open claims before amounts are set", async function () {
+      await expect(
+        airdrop.openClaims(deadline)
+      ).to.be.revertedWith("Airdrop: amounts not set");
+    });
+    
+    it("Should let users claim their own amount and freeze the amounts", async function () {
+      await airdrop.setAirdropAmounts([user1.address], [USER_AMOUNT]);
+      await airdrop.openClaims(deadline);
+      
+      await expect(airdrop.connect(user1).claim())
+        .to.emit(airdrop, "Claimed")
+        .withArgs(user1.address, USER_AMOUNT);
+      expect(await tokenA.balanceOf(user1.address)).to.equal(USER_AMOUNT);
+      
+      await expect(
+        airdrop.connect(user2).claim()
+      ).to.be.revertedWith("Airdrop: nothing to claim");
+      await expect(
+        airdrop.setAirdropAmounts([user2.address], [USER_AMOUNT])
+      ).to.be.revertedWith("Airdrop: amounts finalized");
+    });
+  });
+
+  describe("Pausing", function () {
+    it("Should block registration and claims while paused", async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await airdrop.setRegistrationPeriod(latestBlock.timestamp, latestBlock.timestamp + 3600);
+      await airdrop.grantRole(await airdrop.PAUSER_ROLE(), user2.address);
+      await airdrop.connect(user2).pause();
+      
+      await expect(airdrop.connect(user1).register()).to.be.revertedWithCustomError(airdrop, "EnforcedPause");
+      await expect(airdrop.connect(user1).claim()).to.be.revertedWithCustomError(airdrop, "EnforcedPause");
+      await expect(airdrop.distributeTokens()).to.be.revertedWithCustomError(airdrop, "EnforcedPause");
+      
+      await airdrop.connect(user2).unpause();
+      await expect(airdrop.connect(user1).register()).to.emit(airdrop, "UserRegistered");
+    });
+  });
+  
+  describe("Roles", function () {
+    it("Should require AIRDROP_MANAGER_ROLE to run the campaign", async function () {
+      const AIRDROP_MANAGER_ROLE = await airdrop.AIRDROP_MANAGER_ROLE();
+      const calls = [
+        () => airdrop.connect(user1).setRegistrationPeriod(0, 1),
+        () => airdrop.connect(user1).setAirdropAmounts([], []),
+        () => airdrop.connect(user1).distributeTokens(),
+        () => airdrop.connect(user1).distributeBatch(0, 1),
+        () => airdrop.connect(user1).openClaims(0)
+      ];
+      
+      for (const call of calls) {
+        await expect(call())
+          .to.be.revertedWithCustomError(airdrop, "AccessControlUnauthorizedAccount")
+          .withArgs(user1.address, AIRDROP_MANAGER_ROLE);
+      }
+      
+      await airdrop.grantRole(AIRDROP_MANAGER_ROLE, user1.address);
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await expect(
+        airdrop.connect(user1).setRegistrationPeriod(latestBlock.timestamp, latestBlock.timestamp + 3600)
+      ).to.emit(airdrop, "RegistrationPeriodSet");
+    });
+    
+    it("Should require FUNDER_ROLE to mint tokens for the airdrop", async function () {
+      const FUNDER_ROLE = await airdrop.FUNDER_ROLE();
+      
+      await expect(airdrop.connect(user1).mintTokensForAirdrop(AIRDROP_AMOUNT))
+        .to.be.revertedWithCustomError(airdrop, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, FUNDER_ROLE);
+      
+      await airdrop.grantRole(FUNDER_ROLE, user1.address);
+      await expect(airdrop.connect(user1).mintTokensForAirdrop(AIRDROP_AMOUNT))
+        .to.emit(airdrop, "TokensMinted")
+        .withArgs(AIRDROP_AMOUNT);
+    });
+    
+    it("Should keep withdrawals to the owner", async function () {
+      await airdrop.grantRole(await airdrop.FUNDER_ROLE(), user1.address);
+      await airdrop.grantRole(await airdrop.AIRDROP_MANAGER_ROLE(), user1.address);
+      
+      await expect(airdrop.connect(user1).withdrawRemainingTokens(user1.address))
+        .to.be.revertedWithCustomError(airdrop, "OwnableUnauthorizedAccount")
+        .withArgs(user1.address);
+      await expect(airdrop.connect(user1).sweepUnclaimedTokens(user1.address))
+        .to.be.revertedWithCustomError(airdrop, "OwnableUnauthorizedAccount")
+        .withArgs(user1.address);
+    });
+  });
 });
@@ -347,4 +347,310 @@ describe("AirdropV2", function () {
       ).to.be.revertedWith("Airdrop: distribution not complete");
     });
   });
+  
+  describe("Batch Distribution", function () {
+    beforeEach(async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await airdropV2.setRegistrationPeriod(latestBlock.timestamp, latestBlock.timestamp + 3600);
+      await airdropV2.addTokensToAirdrop(AIRDROP_AMOUNT);
+      
+      await airdropV2.connect(user1).register();
+      await airdropV2.connect(user2).register();
+      await airdropV2.connect(user3).register();
+      
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+    });
+    
+    it("Should fail if the amount is not set", async function () {
+      await expect(
+        airdropV2.distributeBatch(0, 1)
+      ).to.be.revertedWith("Airdrop: amount not set");
+    });
+    
+    it("Should distribute in batches and advance the cursor", async function () {
+      await airdropV2.setUniformAmount(AMOUNT_PER_USER);
+      
+      await expect(airdropV2.distributeBatch(0, 2))
+        .to.emit(airdropV2, "TokensDistributed")
+        .withArgs(user2.address, AMOUNT_PER_USER)
+        .and.to.emit(airdropV2, "DistributionProgress")
+        .withArgs(2, 3);
+      
+      expect(await airdropV2.isPaid(user2.address)).to.be.true;
+      expect(await airdropV2.isPaid(user3.address)).to.be.false;
+      expect(await airdropV2.isDistributionComplete()).to.be.false;
+      
+      await expect(
+        airdropV2.distributeBatch(1, 1)
+      ).to.be.revertedWith("Airdrop: batch must start at the cursor");
+      
+      await airdropV2.distributeBatch(2, 1);
+      
+      for (const user of [user1, user2, user3]) {
+        expect(await tokenA.balanceOf(user.address)).to.equal(AMOUNT_PER_USER);
+      }
+      expect(await airdropV2.isDistributionComplete()).to.be.true;
+      await expect(
+        airdropV2.distributeBatch(3, 1)
+      ).to.be.revertedWith("Airdrop: distribution already complete");
+    });
+    
+    it("Should finish a partial distribution with distributeTokens", async function () {
+      await airdropV2.setUniformAmount(AMOUNT_PER_USER);
+      await airdropV2.distributeBatch(0, 1);
+      
+      await airdropV2.distributeTokens();
+      
+      expect(await tokenA.balanceOf(user1.address)).to.equal(AMOUNT_PER_USER);
+      expect(await tokenA.balanceOf(user3.address)).to.equal(AMOUNT_PER_USER);
+      expect(await airdropV2.distributionCursor()).to.equal(3);
+    });
+  });
+  
+  describe("Claims", function () {
+    let deadline;
+    
+    beforeEach(async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await airdropV2.setRegistrationPeriod(latestBlock.timestamp, latestBlock.timestamp + 3600);
+      await airdropV2.addTokensToAirdrop(AIRDROP_AMOUNT);
+      
+      await airdropV2.connect(user1).register();
+      await airdropV2.connect(user2).register();
+      
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      
+      deadline = latestBlock.timestamp + 7 * 24 * 3600;
+    });
+    
+    it("Should not open claims before the amount is set", async function () {
+      await expect(
+        airdropV2.openClaims(deadline)
+      ).to.be.revertedWith("Airdrop: amount not set");
+    });
+    
+    it("Should not allow claims before they are open", async function () {
+      await airdropV2.setUniformAmount(AMOUNT_PER_USER);
+      
+      await expect(
+        airdropV2.connect(user1).claim()
+      ).to.be.revertedWith("Airdrop: claims not open");
+    });
+    
+    it("Should fail if the deadline is in the past", async function () {
+      await airdropV2.setUniformAmount(AMOUNT_PER_USER);
+      const latestBlock = await ethers.provider.getBlock("latest");
+      
+      await expect(
+        airdropV2.openClaims(latestBlock.timestamp)
+      ).to.be.revertedWith("Airdrop: deadline must be in the future");
+    });
+    
+    describe("Once open", function () {
+      beforeEach(async function () {
+        await airdropV2.setUniformAmount(AMOUNT_PER_USER);
+        await expect(airdropV2.openClaims(deadline))
+          .to.emit(airdropV2, "ClaimsOpened")
+          .withArgs(deadline);
+      });
+      
+      it("Should let registered users claim", async function () {
+        await expect(airdropV2.connect(user1).claim())
+          .to.emit(airdropV2, "Claimed")
+          .withArgs(user1.address, AMOUNT_PER_USER);
+        
+        expect(await tokenA.balanceOf(user1.address)).to.equal(AMOUNT_PER_USER);
+        expect(await airdropV2.hasClaimed(user1.address)).to.be.true;
+        expect(await airdropV2.hasClaimed(user2.address)).to.be.false;
+      });
+      
+      it("Should prevent double claims", async function () {
+        await airdropV2.connect(user1).claim();
+        
+        await expect(
+          airdropV2.connect(user1).claim()
+        ).to.be.revertedWith("Airdrop: already claimed");
+      });
+      
+      it("Should reject unregistered users", async function () {
+        await expect(
+          airdropV2.connect(user3).claim()
+        ).to.be.revertedWith("Airdrop: not registered");
+      });
+      
+      it("Should not pay claimed users again when distributing", async function () {
+        await airdropV2.connect(user1).claim();
+        
+        await expect(airdropV2.distributeTokens())
+          .to.emit(airdropV2, "TokensDistributed")
+          .withArgs(user2.address, AMOUNT_PER_USER);
+        
+        expect(await tokenA.balanceOf(user1.address)).to.equal(AMOUNT_PER_USER);
+        await expect(
+          airdropV2.connect(user2).claim()
+        ).to.be.revertedWith("Airdrop: already claimed");
+      });
+      
+      it("Should reject claims after the deadline", async function () {
+        await ethers.provider.send("evm_setNextBlockTimestamp", [deadline + 1]);
+        
+        await expect(
+          airdropV2.connect(user1).claim()
+        ).to.be.revertedWith("Airdrop: claim period ended");
+      });
+      
+      it("Should not allow sweeping before the deadline", async function () {
+        await expect(
+          airdropV2.sweepUnclaimedTokens(owner.address)
+        ).to.be.revertedWith("Airdrop: claim period not ended");
+      });
+      
+      it("Should let the owner sweep unclaimed tokens after the deadline", async function () {
+        await airdropV2.connect(user1).claim();
+        await ethers.provider.send("evm_increaseTime", [7 * 24 * 3600]);
+        await ethers.provider.send("evm_mine");
+        
+        const initialOwnerBalance = await tokenA.balanceOf(owner.address);
+        const remainingTokens = AIRDROP_AMOUNT - AMOUNT_PER_USER;
+        
+        await expect(airdropV2.sweepUnclaimedTokens(owner.address))
+          .to.emit(airdropV2, "UnclaimedTokensSwept")
+          .withArgs(owner.address, remainingTokens);
+        
+        expect(await tokenA.balanceOf(owner.address)).to.equal(initialOwnerBalance + remainingTokens);
+        expect(await airdropV2.isDistributionComplete()).to.be.true;
+        await expect(
+          airdropV2.distributeTokens()
+        ).to.be.revertedWith("Airdrop: distribution already complete");
+      });
+      
+      it("Should fail if non-owner tries to sweep", async function () {
+        await ethers.provider.send("evm_increaseTime", [7 * 24 * 3600]);
+        await ethers.provider.send("evm_mine");
+        
+        await expect(
+          airdropV2.connect(user1).sweepUnclaimedTokens(user1.address)
+        ).to.be.reverted;
+      });
+    });
+  });
+
+  describe("Pausing", function () {
+    beforeEach(async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await airdropV2.setRegistrationPeriod(latestBlock.timestamp, latestBlock.timestamp + 3600);
+      await airdropV2.addTokensToAirdrop(AIRDROP_AMOUNT);
+      await airdropV2.connect(user1).register();
+      await airdropV2.grantRole(await airdropV2.PAUSER_ROLE(), user3.address);
+    });
+    
+    it("Should block registration while paused", async function () {
+      await airdropV2.connect(user3).pause();
+      
+      await expect(airdropV2.connect(user2).register()).to.be.revertedWithCustomError(airdropV2, "EnforcedPause");
+      
+      await airdropV2.connect(user3).unpause();
+      await expect(airdropV2.connect(user2).register()).to.emit(airdropV2, "UserRegistered");
+    });
+    
+    it("Should block distribution and claims but not withdrawals", async function () {
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      await airdropV2.setUniformAmount(AMOUNT_PER_USER);
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await airdropV2.openClaims(latestBlock.timestamp + 3600);
+      await airdropV2.connect(user3).pause();
+      
+      await expect(airdropV2.connect(user1).claim()).to.be.revertedWithCustomError(airdropV2, "EnforcedPause");
+      await expect(airdropV2.distributeTokens()).to.be.revertedWithCustomError(airdropV2, "EnforcedPause");
+      await expect(airdropV2.distributeBatch(0, 1)).to.be.revertedWithCustomError(airdropV2, "EnforcedPause");
+      
+      // The campaign can still be wound down
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      await expect(airdropV2.sweepUnclaimedTokens(owner.address))
+        .to.emit(airdropV2, "UnclaimedTokensSwept")
+        .withArgs(owner.address, AIRDROP_AMOUNT);
+    });
+  });
+  
+  describe("Roles", function () {
+    it("Should require AIRDROP_MANAGER_ROLE to run the campaign", async function () {
+      const AIRDROP_MANAGER_ROLE = await airdropV2.AIRDROP_MANAGER_ROLE();
+      const calls = [
+        () => airdropV2.connect(user1).setRegistrationPeriod(0, 1),
+        () => airdropV2.connect(user1).setUniformAmount(AMOUNT_PER_USER),
+        () => airdropV2.connect(user1).distributeTokens(),
+        () => airdropV2.connect(user1).distributeBatch(0, 1),
+        () => airdropV2.connect(user1).openClaims(0)
+      ];
+      
+      for (const call of calls) {
+        await expect(call())
+          .to.be.revertedWithCustomError(airdropV2, "AccessControlUnauthorizedAccount")
+          .withArgs(user1.address, AIRDROP_MANAGER_ROLE);
+      }
+      
+      await airdropV2.grantRole(AIRDROP_MANAGER_ROLE, user1.address);
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await expect(
+        airdropV2.connect(user1).setRegistrationPeriod(latestBlock.timestamp, latestBlock.timestamp + 3600)
+      ).to.emit(airdropV2, "RegistrationPeriodSet");
+    });
+    
+    it("Should require FUNDER_ROLE to add tokens", async function () {
+      const FUNDER_ROLE = await airdropV2.FUNDER_ROLE();
+      await tokenA.transfer(user1.address, AIRDROP_AMOUNT);
+      await tokenA.connect(user1).approve(await airdropV2.getAddress(), AIRDROP_AMOUNT);
+      
+      await expect(airdropV2.connect(user1).addTokensToAirdrop(AIRDROP_AMOUNT))
+        .to.be.revertedWithCustomError(airdropV2, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, FUNDER_ROLE);
+      
+      await airdropV2.grantRole(FUNDER_ROLE, user1.address);
+      await expect(airdropV2.connect(user1).addTokensToAirdrop(AIRDROP_AMOUNT))
+        .to.emit(airdropV2, "TokensAdded")
+        .withArgs(AIRDROP_AMOUNT);
+    });
+    
+    it("Should keep withdrawals to the owner", async function () {
+      await airdropV2.grantRole(await airdropV2.FUNDER_ROLE(), user1.address);
+      await airdropV2.grantRole(await airdropV2.AIRDROP_MANAGER_ROLE(), user1.address);
+      
+      await expect(airdropV2.connect(user1).withdrawRemainingTokens(user1.address))
+        .to.be.revertedWithCustomError(airdropV2, "OwnableUnauthorizedAccount")
+        .withArgs(user1.address);
+      await expect(airdropV2.connect(user1).sweepUnclaimedTokens(user1.address))
+        .to.be.revertedWithCustomError(airdropV2, "OwnableUnauthorizedAccount")
+        .withArgs(user1.address);
+    });
+    
+    it("Should move the admin role with ownership", async function () {
+      const DEFAULT_ADMIN_ROLE = await airdropV2.DEFAULT_ADMIN_ROLE();
+      const FUNDER_ROLE = await airdropV2.FUNDER_ROLE();
+      
+      await expect(airdropV2.grantRole(DEFAULT_ADMIN_ROLE, user1.address)).to.be.revertedWith(
+        "AccessControlPausable: admin role follows ownership"
+      );
+      await expect(airdropV2.renounceRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.revertedWith(
+        "AccessControlPausable: admin role follows ownership"
+      );
+      
+      await expect(airdropV2.transferOwnership(user1.address))
+        .to.emit(airdropV2, "RoleRevoked")
+        .withArgs(DEFAULT_ADMIN_ROLE, owner.address, owner.address)
+        .and.to.emit(airdropV2, "RoleGranted")
+        .withArgs(DEFAULT_ADMIN_ROLE, user1.address, owner.address);
+      
+      // The new owner manages the roles, which stay with their holders until revoked
+      expect(await airdropV2.hasRole(FUNDER_ROLE, owner.address)).to.be.true;
+      await expect(airdropV2.grantRole(FUNDER_ROLE, user2.address))
+        .to.be.revertedWithCustomError(airdropV2, "AccessControlUnauthorizedAccount")
+        .withArgs(owner.address, DEFAULT_ADMIN_ROLE);
+      await airdropV2.connect(user1).revokeRole(FUNDER_ROLE, owner.address);
+      expect(await airdropV2.hasRole(FUNDER_ROLE, owner.address)).to.be.false;
+    });
+  });
 });
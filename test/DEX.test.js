@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildPermitTypedData, signPermit } = require("../utils/tokens");
 
 describe("DEX", function () {
   let dex;
@@ -115,8 +117,9 @@ describe("DEX", function () {
       expect(reserveA).to.equal(LIQUIDITY_AMOUNT_A + additionalAmountA);
       expect(reserveB).to.equal(LIQUIDITY_AMOUNT_B + additionalAmountB);
       
-      // Check LP tokens - just verify it's greater than zero
-      expect(await dex.balanceOf(user1.address)).to.be.gt(0);
+      // Half of the reserves were deposited, so half of the LP supply is minted
+      // (the supply includes the locked minimum liquidity)
+      expect(await dex.balanceOf(user1.address)).to.equal((initialLPBalance + 1000n) / 2n);
     });
     
     it("Should fail when adding liquidity with insufficient token approval", async function () {
@@ -435,6 +438,84 @@ describe("DEX", function () {
         )
       ).to.be.revertedWith("DEX: INSUFFICIENT_OUTPUT_AMOUNT");
     });
+    
+    it("Should swap tokenA for an exact amount of tokenB", async function () {
+      const amountOut = ethers.parseUnits("20", 18);
+      const expectedAmountIn = await dex.getAmountIn(amountOut, await tokenA.getAddress());
+      
+      // Approve tokens for swapping
+      await tokenA.connect(owner).approve(await dex.getAddress(), expectedAmountIn);
+      
+      // Get initial balances
+      const initialTokenABalance = await tokenA.balanceOf(owner.address);
+      const initialTokenBBalance = await tokenB.balanceOf(owner.address);
+      
+      // Perform the swap
+      const tx = await dex.connect(owner).swapTokensForExactTokens(
+        amountOut,
+        expectedAmountIn,
+        await tokenA.getAddress(),
+        owner.address
+      );
+      
+      // Verify token A was spent and exactly amountOut token B was received
+      expect(initialTokenABalance - (await tokenA.balanceOf(owner.address))).to.equal(expectedAmountIn);
+      expect((await tokenB.balanceOf(owner.address)) - initialTokenBBalance).to.equal(amountOut);
+      
+      // Check event
+      await expect(tx)
+        .to.emit(dex, "TokenSwap")
+        .withArgs(owner.address, expectedAmountIn, await tokenA.getAddress(), amountOut, await tokenB.getAddress());
+    });
+    
+    it("Should swap tokenB for an exact amount of tokenA", async function () {
+      const amountOut = ethers.parseUnits("5", 18);
+      const expectedAmountIn = await dex.getAmountIn(amountOut, await tokenB.getAddress());
+      
+      // Approve tokens for swapping
+      await tokenB.connect(user1).approve(await dex.getAddress(), expectedAmountIn);
+      
+      // Perform the swap, sending the output to user2
+      const initialUser2Balance = await tokenA.balanceOf(user2.address);
+      await dex.connect(user1).swapTokensForExactTokens(
+        amountOut,
+        expectedAmountIn,
+        await tokenB.getAddress(),
+        user2.address
+      );
+      
+      expect(await tokenB.balanceOf(user1.address)).to.equal(LIQUIDITY_AMOUNT_B - expectedAmountIn);
+      expect((await tokenA.balanceOf(user2.address)) - initialUser2Balance).to.equal(amountOut);
+    });
+    
+    it("Should fail when input amount is more than maximum", async function () {
+      const amountOut = ethers.parseUnits("20", 18);
+      const expectedAmountIn = await dex.getAmountIn(amountOut, await tokenA.getAddress());
+      
+      // Approve tokens for swapping
+      await tokenA.connect(owner).approve(await dex.getAddress(), expectedAmountIn);
+      
+      // Attempt the swap with a maximum input lower than needed
+      await expect(
+        dex.connect(owner).swapTokensForExactTokens(
+          amountOut,
+          expectedAmountIn - 1n,
+          await tokenA.getAddress(),
+          owner.address
+        )
+      ).to.be.revertedWith("DEX: EXCESSIVE_INPUT_AMOUNT");
+    });
+    
+    it("Should fail when asking for the whole reserve", async function () {
+      await expect(
+        dex.connect(owner).swapTokensForExactTokens(
+          LIQUIDITY_AMOUNT_B,
+          ethers.MaxUint256,
+          await tokenA.getAddress(),
+          owner.address
+        )
+      ).to.be.revertedWith("DEX: INSUFFICIENT_LIQUIDITY");
+    });
   });
   
   describe("Price Queries", function () {
@@ -510,5 +591,686 @@ describe("DEX", function () {
       expect(amountOutA).to.equal(0);
       expect(amountOutB).to.equal(0);
     });
+    
+    it("Should calculate correct input amounts", async function () {
+      // Add liquidity
+      await dex.connect(owner).addLiquidity(
+        LIQUIDITY_AMOUNT_A,
+        LIQUIDITY_AMOUNT_B,
+        0,
+        0,
+        owner.address
+      );
+      
+      const amountOut = ethers.parseUnits("10", 18);
+      
+      // Calculate expected input using the inverted formula, rounded up
+      // amountIn = (reserveIn * amountOut) / ((reserveOut - amountOut) * 0.997) + 1
+      const reserveA = LIQUIDITY_AMOUNT_A;
+      const reserveB = LIQUIDITY_AMOUNT_B;
+      
+      // For A to B
+      const expectedAmountInAtoB = (reserveA * amountOut * 1000n) / ((reserveB - amountOut) * 997n) + 1n;
+      
+      // For B to A
+      const expectedAmountInBtoA = (reserveB * amountOut * 1000n) / ((reserveA - amountOut) * 997n) + 1n;
+      
+      expect(await dex.getAmountIn(amountOut, await tokenA.getAddress())).to.equal(expectedAmountInAtoB);
+      expect(await dex.getAmountIn(amountOut, await tokenB.getAddress())).to.equal(expectedAmountInBtoA);
+    });
+    
+    it("Should round input amounts so the output is always covered", async function () {
+      // Add liquidity
+      await dex.connect(owner).addLiquidity(
+        LIQUIDITY_AMOUNT_A,
+        LIQUIDITY_AMOUNT_B,
+        0,
+        0,
+        owner.address
+      );
+      
+      for (const amountOut of [1n, 999n, ethers.parseUnits("1", 18), ethers.parseUnits("1234.5678", 18)]) {
+        const amountIn = await dex.getAmountIn(amountOut, await tokenA.getAddress());
+        
+        expect(await dex.getAmountOut(amountIn, await tokenA.getAddress())).to.be.gte(amountOut);
+      }
+    });
+    
+    it("Should return zero for getAmountIn when no liquidity", async function () {
+      const amountOut = ethers.parseUnits("10", 18);
+      
+      expect(await dex.getAmountIn(amountOut, await tokenA.getAddress())).to.equal(0);
+      expect(await dex.getAmountIn(amountOut, await tokenB.getAddress())).to.equal(0);
+    });
+  });
+  
+  describe("Deadlines", function () {
+    const HOUR_IN_SECONDS = 3600;
+    
+    // The deadline variants are overloads, so ethers needs their full signatures
+    const ADD_LIQUIDITY = "addLiquidity(uint256,uint256,uint256,uint256,address,uint256)";
+    const REMOVE_LIQUIDITY = "removeLiquidity(uint256,uint256,uint256,address,uint256)";
+    const SWAP_EXACT_IN = "swapExactTokensForTokens(uint256,uint256,address,address,uint256)";
+    const SWAP_EXACT_OUT = "swapTokensForExactTokens(uint256,uint256,address,address,uint256)";
+    let deadline;
+    
+    beforeEach(async function () {
+      deadline = (await time.latest()) + HOUR_IN_SECONDS;
+      
+      await dex.connect(owner)[ADD_LIQUIDITY](
+        LIQUIDITY_AMOUNT_A,
+        LIQUIDITY_AMOUNT_B,
+        0,
+        0,
+        owner.address,
+        deadline
+      );
+    });
+    
+    it("Should accept every operation before the deadline", async function () {
+      const swapAmount = ethers.parseUnits("10", 18);
+      
+      await expect(
+        dex.connect(user1)[ADD_LIQUIDITY](
+          ethers.parseUnits("10", 18),
+          ethers.parseUnits("20", 18),
+          0,
+          0,
+          user1.address,
+          deadline
+        )
+      ).to.emit(dex, "LiquidityAdded");
+      await expect(
+        dex.connect(user1)[SWAP_EXACT_IN](swapAmount, 0, await tokenA.getAddress(), user1.address, deadline)
+      ).to.emit(dex, "TokenSwap");
+      await expect(
+        dex.connect(user1)[SWAP_EXACT_OUT](
+          swapAmount,
+          ethers.MaxUint256,
+          await tokenB.getAddress(),
+          user1.address,
+          deadline
+        )
+      ).to.emit(dex, "TokenSwap");
+      
+      // The deadline itself is still valid
+      await time.setNextBlockTimestamp(deadline);
+      await expect(
+        dex.connect(user1)[REMOVE_LIQUIDITY](await dex.balanceOf(user1.address), 0, 0, user1.address, deadline)
+      ).to.emit(dex, "LiquidityRemoved");
+    });
+    
+    it("Should reject every operation after the deadline", async function () {
+      const swapAmount = ethers.parseUnits("10", 18);
+      await time.increaseTo(deadline + 1);
+      
+      await expect(
+        dex.connect(user1)[ADD_LIQUIDITY](swapAmount, swapAmount, 0, 0, user1.address, deadline)
+      ).to.be.revertedWith("DEX: EXPIRED");
+      await expect(
+        dex.connect(owner)[REMOVE_LIQUIDITY](1000, 0, 0, owner.address, deadline)
+      ).to.be.revertedWith("DEX: EXPIRED");
+      await expect(
+        dex.connect(user1)[SWAP_EXACT_IN](swapAmount, 0, await tokenA.getAddress(), user1.address, deadline)
+      ).to.be.revertedWith("DEX: EXPIRED");
+      await expect(
+        dex.connect(user1)[SWAP_EXACT_OUT](
+          swapAmount,
+          ethers.MaxUint256,
+          await tokenA.getAddress(),
+          user1.address,
+          deadline
+        )
+      ).to.be.revertedWith("DEX: EXPIRED");
+    });
+    
+    it("Should still apply the usual checks", async function () {
+      const swapAmount = ethers.parseUnits("10", 18);
+      const expectedAmountOut = await dex.getAmountOut(swapAmount, await tokenA.getAddress());
+      
+      await expect(
+        dex.connect(user1)[SWAP_EXACT_IN](
+          swapAmount,
+          expectedAmountOut + 1n,
+          await tokenA.getAddress(),
+          user1.address,
+          deadline
+        )
+      ).to.be.revertedWith("DEX: INSUFFICIENT_OUTPUT_AMOUNT");
+    });
+  });
+  
+  describe("Stored Reserves", function () {
+    const DONATION = ethers.parseUnits("500", 18);
+    
+    beforeEach(async function () {
+      await dex.connect(owner).addLiquidity(
+        LIQUIDITY_AMOUNT_A,
+        LIQUIDITY_AMOUNT_B,
+        0,
+        0,
+        owner.address
+      );
+    });
+    
+    it("Should emit Sync with the new reserves on every operation", async function () {
+      const swapAmount = ethers.parseUnits("10", 18);
+      const amountOut = await dex.getAmountOut(swapAmount, await tokenA.getAddress());
+      
+      await expect(
+        dex.connect(user1).swapExactTokensForTokens(swapAmount, 0, await tokenA.getAddress(), user1.address)
+      )
+        .to.emit(dex, "Sync")
+        .withArgs(LIQUIDITY_AMOUNT_A + swapAmount, LIQUIDITY_AMOUNT_B - amountOut);
+    });
+    
+    it("Should ignore donations when pricing swaps", async function () {
+      const swapAmount = ethers.parseUnits("10", 18);
+      const quoteBefore = await dex.getAmountOut(swapAmount, await tokenA.getAddress());
+      
+      // Donate tokenB to try to make tokenA look more valuable
+      await tokenB.connect(user2).transfer(await dex.getAddress(), DONATION);
+      
+      const [reserveA, reserveB] = await dex.getReserves();
+      expect(reserveA).to.equal(LIQUIDITY_AMOUNT_A);
+      expect(reserveB).to.equal(LIQUIDITY_AMOUNT_B);
+      expect(await dex.getAmountOut(swapAmount, await tokenA.getAddress())).to.equal(quoteBefore);
+      
+      await dex.connect(user1).swapExactTokensForTokens(swapAmount, 0, await tokenA.getAddress(), user1.address);
+      expect(await tokenB.balanceOf(user1.address)).to.equal(LIQUIDITY_AMOUNT_B + quoteBefore);
+    });
+    
+    it("Should skim donations to any address", async function () {
+      await tokenA.connect(user2).transfer(await dex.getAddress(), DONATION);
+      await tokenB.connect(user2).transfer(await dex.getAddress(), DONATION);
+      
+      await dex.connect(user1).skim(user1.address);
+      
+      expect(await tokenA.balanceOf(user1.address)).to.equal(LIQUIDITY_AMOUNT_A + DONATION);
+      expect(await tokenB.balanceOf(user1.address)).to.equal(LIQUIDITY_AMOUNT_B + DONATION);
+      expect(await tokenA.balanceOf(await dex.getAddress())).to.equal(LIQUIDITY_AMOUNT_A);
+      expect(await tokenB.balanceOf(await dex.getAddress())).to.equal(LIQUIDITY_AMOUNT_B);
+    });
+    
+    it("Should sync reserves to the balances", async function () {
+      await tokenA.connect(user2).transfer(await dex.getAddress(), DONATION);
+      
+      await expect(dex.sync())
+        .to.emit(dex, "Sync")
+        .withArgs(LIQUIDITY_AMOUNT_A + DONATION, LIQUIDITY_AMOUNT_B);
+      
+      const [reserveA] = await dex.getReserves();
+      expect(reserveA).to.equal(LIQUIDITY_AMOUNT_A + DONATION);
+    });
+    
+    it("Should not pay out donations made between operations to a withdrawing LP", async function () {
+      // user1 joins the pool, then a donation lands before they withdraw
+      await dex.connect(user1).addLiquidity(
+        LIQUIDITY_AMOUNT_A / 2n,
+        LIQUIDITY_AMOUNT_B / 2n,
+        0,
+        0,
+        user1.address
+      );
+      const [reserveA, reserveB] = await dex.getReserves();
+      const totalSupply = await dex.totalSupply();
+      const lpBalance = await dex.balanceOf(user1.address);
+      
+      await tokenA.connect(user2).transfer(await dex.getAddress(), DONATION);
+      
+      const tokenABefore = await tokenA.balanceOf(user1.address);
+      const tokenBBefore = await tokenB.balanceOf(user1.address);
+      await dex.connect(user1).removeLiquidity(lpBalance, 0, 0, user1.address);
+      
+      // The payout is the LP share of the stored reserves only
+      expect((await tokenA.balanceOf(user1.address)) - tokenABefore).to.equal((lpBalance * reserveA) / totalSupply);
+      expect((await tokenB.balanceOf(user1.address)) - tokenBBefore).to.equal((lpBalance * reserveB) / totalSupply);
+    });
+    
+    it("Should share absorbed donations with every LP in proportion", async function () {
+      const ownerLp = await dex.balanceOf(owner.address);
+      const [reserveABefore] = await dex.getReserves();
+      const totalSupply = await dex.totalSupply();
+      
+      // A donation followed by a sync grows every LP position by the same fraction
+      await tokenA.connect(user2).transfer(await dex.getAddress(), DONATION);
+      await dex.sync();
+      
+      const tokenABefore = await tokenA.balanceOf(owner.address);
+      await dex.connect(owner).removeLiquidity(ownerLp, 0, 0, owner.address);
+      
+      const received = (await tokenA.balanceOf(owner.address)) - tokenABefore;
+      expect(received).to.equal((ownerLp * (reserveABefore + DONATION)) / totalSupply);
+      // Only the locked minimum liquidity keeps a share of the pool
+      expect(await dex.totalSupply()).to.equal(1000);
+    });
+    
+    it("Should not let a one-sided donation to an empty pool block the first deposit", async function () {
+      const DEX = await ethers.getContractFactory("DEX");
+      const emptyDex = await DEX.deploy(await tokenA.getAddress(), await tokenB.getAddress());
+      
+      await tokenA.connect(user2).transfer(await emptyDex.getAddress(), 1n);
+      await emptyDex.sync();
+      
+      await tokenA.connect(owner).approve(await emptyDex.getAddress(), LIQUIDITY_AMOUNT_A);
+      await tokenB.connect(owner).approve(await emptyDex.getAddress(), LIQUIDITY_AMOUNT_B);
+      await emptyDex.connect(owner).addLiquidity(LIQUIDITY_AMOUNT_A, LIQUIDITY_AMOUNT_B, 0, 0, owner.address);
+      
+      const [reserveA, reserveB] = await emptyDex.getReserves();
+      expect(reserveA).to.equal(LIQUIDITY_AMOUNT_A + 1n);
+      expect(reserveB).to.equal(LIQUIDITY_AMOUNT_B);
+    });
+  });
+  
+  describe("LP Share", function () {
+    // Deterministic pseudo-random amounts between 1 and 1000 tokens
+    function* amounts(seed, count) {
+      let value = BigInt(seed);
+      for (let i = 0; i < count; i++) {
+        value = (value * 6364136223846793005n + 1442695040888963407n) % 2n ** 64n;
+        yield (value % ethers.parseUnits("1000", 18)) + ethers.parseUnits("1", 18);
+      }
+    }
+    
+    beforeEach(async function () {
+      await dex.connect(owner).addLiquidity(
+        LIQUIDITY_AMOUNT_A,
+        LIQUIDITY_AMOUNT_B,
+        0,
+        0,
+        owner.address
+      );
+    });
+    
+    it("Should quote the first deposit with the minimum liquidity locked", async function () {
+      const DEX = await ethers.getContractFactory("DEX");
+      const emptyDex = await DEX.deploy(await tokenA.getAddress(), await tokenB.getAddress());
+      
+      const [amountA, amountB, liquidity] = await emptyDex.getLiquidityMinted(LIQUIDITY_AMOUNT_A, LIQUIDITY_AMOUNT_B);
+      
+      expect(amountA).to.equal(LIQUIDITY_AMOUNT_A);
+      expect(amountB).to.equal(LIQUIDITY_AMOUNT_B);
+      expect(liquidity).to.equal(await dex.balanceOf(owner.address));
+      
+      const [, , tooSmall] = await emptyDex.getLiquidityMinted(1000, 1000);
+      expect(tooSmall).to.equal(0);
+    });
+    
+    it("Should mint exactly the quoted amount", async function () {
+      const [amountA, amountB, liquidity] = await dex.getLiquidityMinted(
+        ethers.parseUnits("100", 18),
+        ethers.parseUnits("500", 18)
+      );
+      
+      await expect(
+        dex.connect(user1).addLiquidity(ethers.parseUnits("100", 18), ethers.parseUnits("500", 18), 0, 0, user1.address)
+      )
+        .to.emit(dex, "LiquidityAdded")
+        .withArgs(user1.address, amountA, amountB, liquidity);
+    });
+    
+    it("Should give each deposit an LP share equal to its share of the pool", async function () {
+      const values = [...amounts(42, 8)];
+      
+      for (const amountA of values) {
+        const [reserveA] = await dex.getReserves();
+        const totalSupply = await dex.totalSupply();
+        await tokenA.transfer(user1.address, amountA);
+        await tokenB.transfer(user1.address, amountA * 3n);
+        await tokenA.connect(user1).approve(await dex.getAddress(), amountA);
+        await tokenB.connect(user1).approve(await dex.getAddress(), amountA * 3n);
+        
+        const lpBefore = await dex.balanceOf(user1.address);
+        const [depositA, , quoted] = await dex.getLiquidityMinted(amountA, amountA * 3n);
+        await dex.connect(user1).addLiquidity(amountA, amountA * 3n, 0, 0, user1.address);
+        const minted = (await dex.balanceOf(user1.address)) - lpBefore;
+        
+        expect(minted).to.equal(quoted);
+        // minted / totalSupply == depositA / reserveA, rounded down
+        expect(minted * reserveA).to.be.lte(depositA * totalSupply);
+        expect((minted + 1n) * reserveA).to.be.gt(depositA * totalSupply);
+      }
+    });
+    
+    it("Should not reward the unbalanced part of a deposit", async function () {
+      const [reserveA] = await dex.getReserves();
+      const totalSupply = await dex.totalSupply();
+      const amountA = ethers.parseUnits("100", 18);
+      
+      // Exact amounts bypass the ratio adjustment of addLiquidity
+      const [, , balanced] = await dex.getLiquidityMinted(amountA, ethers.parseUnits("200", 18));
+      const [, , unbalanced] = await dex.getLiquidityMinted(amountA, ethers.parseUnits("1000", 18));
+      
+      expect(balanced).to.equal((amountA * totalSupply) / reserveA);
+      expect(unbalanced).to.equal(balanced);
+    });
+    
+    it("Should return every LP their deposit when they all withdraw", async function () {
+      const depositors = [user1, user2];
+      const values = [...amounts(7, depositors.length)];
+      
+      for (const [i, user] of depositors.entries()) {
+        await tokenA.connect(user).approve(await dex.getAddress(), values[i]);
+        await tokenB.connect(user).approve(await dex.getAddress(), values[i] * 2n);
+        await dex.connect(user).addLiquidity(values[i], values[i] * 2n, 0, 0, user.address);
+      }
+      
+      for (const [i, user] of depositors.entries()) {
+        const before = await tokenA.balanceOf(user.address);
+        await dex.connect(user).removeLiquidity(await dex.balanceOf(user.address), 0, 0, user.address);
+        const returned = (await tokenA.balanceOf(user.address)) - before;
+        
+        // Rounding always favours the pool, by at most a few wei
+        expect(returned).to.be.lte(values[i]);
+        expect(values[i] - returned).to.be.lt(10n);
+      }
+    });
+  });
+
+  describe("Fees", function () {
+    const SWAP_AMOUNT = ethers.parseUnits("10", 18);
+    
+    // Mirrors the contract formula for a fee in basis points
+    function amountOutWithFee(amountIn, reserveIn, reserveOut, fee) {
+      const amountInWithFee = amountIn * (10000n - fee);
+      return (amountInWithFee * reserveOut) / (reserveIn * 10000n + amountInWithFee);
+    }
+    
+    beforeEach(async function () {
+      await dex.connect(owner).addLiquidity(
+        LIQUIDITY_AMOUNT_A,
+        LIQUIDITY_AMOUNT_B,
+        0,
+        0,
+        owner.address
+      );
+    });
+    
+    it("Should start at 0.3% with no protocol fee", async function () {
+      expect(await dex.swapFee()).to.equal(30);
+      expect(await dex.protocolFeeShare()).to.equal(0);
+      expect(await dex.feeTo()).to.equal(ethers.ZeroAddress);
+      expect(await dex.getProtocolFees()).to.deep.equal([0n, 0n]);
+    });
+    
+    it("Should only let fee setters change the fees", async function () {
+      const FEE_SETTER_ROLE = await dex.FEE_SETTER_ROLE();
+      
+      await expect(dex.connect(user1).setSwapFee(10))
+        .to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, FEE_SETTER_ROLE);
+      await expect(dex.connect(user1).setProtocolFee(user1.address, 1000))
+        .to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, FEE_SETTER_ROLE);
+      
+      await dex.grantRole(FEE_SETTER_ROLE, user1.address);
+      await expect(dex.connect(user1).setSwapFee(10)).to.emit(dex, "FeeUpdated");
+    });
+    
+    it("Should bound the fees", async function () {
+      await expect(dex.setSwapFee(101)).to.be.revertedWith("DEX: FEE_TOO_HIGH");
+      await expect(dex.setProtocolFee(user2.address, 5001)).to.be.revertedWith("DEX: FEE_TOO_HIGH");
+      await expect(dex.setProtocolFee(ethers.ZeroAddress, 1000)).to.be.revertedWith("DEX: INVALID_FEE_TO");
+      
+      await expect(dex.setSwapFee(100)).to.emit(dex, "FeeUpdated").withArgs(100, ethers.ZeroAddress, 0);
+      await expect(dex.setProtocolFee(user2.address, 5000))
+        .to.emit(dex, "FeeUpdated")
+        .withArgs(100, user2.address, 5000);
+    });
+    
+    it("Should keep quotes and swaps in lockstep after fee changes", async function () {
+      for (const fee of [0n, 5n, 30n, 100n]) {
+        await dex.setSwapFee(fee);
+        
+        const [reserveA, reserveB] = await dex.getReserves();
+        const quotedOut = await dex.getAmountOut(SWAP_AMOUNT, await tokenA.getAddress());
+        expect(quotedOut).to.equal(amountOutWithFee(SWAP_AMOUNT, reserveA, reserveB, fee));
+        
+        await expect(dex.connect(user1).swapExactTokensForTokens(SWAP_AMOUNT, quotedOut, await tokenA.getAddress(), user1.address))
+          .to.emit(dex, "TokenSwap")
+          .withArgs(user1.address, SWAP_AMOUNT, await tokenA.getAddress(), quotedOut, await tokenB.getAddress());
+        
+        const amountOut = ethers.parseUnits("5", 18);
+        const quotedIn = await dex.getAmountIn(amountOut, await tokenB.getAddress());
+        await tokenB.connect(user1).approve(await dex.getAddress(), quotedIn);
+        await expect(dex.connect(user1).swapTokensForExactTokens(amountOut, quotedIn, await tokenB.getAddress(), user1.address))
+          .to.emit(dex, "TokenSwap")
+          .withArgs(user1.address, quotedIn, await tokenB.getAddress(), amountOut, await tokenA.getAddress());
+      }
+    });
+    
+    it("Should accrue the protocol share of the fee outside the reserves", async function () {
+      await dex.setProtocolFee(user2.address, 2000);
+      const [reserveA, reserveB] = await dex.getReserves();
+      const amountOut = await dex.getAmountOut(SWAP_AMOUNT, await tokenA.getAddress());
+      
+      await dex.connect(user1).swapExactTokensForTokens(SWAP_AMOUNT, 0, await tokenA.getAddress(), user1.address);
+      
+      // 20% of the 0.3% fee
+      const protocolFee = (SWAP_AMOUNT * 30n * 2000n) / 10000n ** 2n;
+      expect(await dex.protocolFeesA()).to.equal(protocolFee);
+      expect(await dex.getReserves()).to.deep.equal([reserveA + SWAP_AMOUNT - protocolFee, reserveB - amountOut]);
+      
+      // The reserves still grow by more than the fee-adjusted input, so k never decreases
+      const [newReserveA, newReserveB] = await dex.getReserves();
+      expect(newReserveA * newReserveB).to.be.gte(reserveA * reserveB);
+      
+      // The accrued fees are neither skimmable nor synced into the reserves
+      await dex.skim(user1.address);
+      await dex.sync();
+      expect(await dex.getReserves()).to.deep.equal([newReserveA, newReserveB]);
+    });
+    
+    it("Should send the accrued protocol fees to feeTo", async function () {
+      await dex.setProtocolFee(user2.address, 5000);
+      await dex.connect(user1).swapExactTokensForTokens(SWAP_AMOUNT, 0, await tokenA.getAddress(), user1.address);
+      await tokenB.connect(user1).approve(await dex.getAddress(), SWAP_AMOUNT);
+      await dex.connect(user1).swapExactTokensForTokens(SWAP_AMOUNT, 0, await tokenB.getAddress(), user1.address);
+      
+      const [feesA, feesB] = await dex.getProtocolFees();
+      expect(feesA).to.equal((SWAP_AMOUNT * 15n) / 10000n);
+      expect(feesB).to.equal(feesA);
+      
+      const reserves = await dex.getReserves();
+      const balanceA = await tokenA.balanceOf(user2.address);
+      const balanceB = await tokenB.balanceOf(user2.address);
+      await expect(dex.connect(user1).collectProtocolFees())
+        .to.emit(dex, "ProtocolFeesCollected")
+        .withArgs(user2.address, feesA, feesB);
+      
+      expect(await tokenA.balanceOf(user2.address)).to.equal(balanceA + feesA);
+      expect(await tokenB.balanceOf(user2.address)).to.equal(balanceB + feesB);
+      expect(await dex.getProtocolFees()).to.deep.equal([0n, 0n]);
+      expect(await dex.getReserves()).to.deep.equal(reserves);
+    });
+    
+    it("Should stop accruing once the protocol fee is turned off", async function () {
+      await dex.setProtocolFee(user2.address, 5000);
+      await dex.connect(user1).swapExactTokensForTokens(SWAP_AMOUNT, 0, await tokenA.getAddress(), user1.address);
+      const [feesA] = await dex.getProtocolFees();
+      
+      await dex.setProtocolFee(user2.address, 0);
+      await dex.connect(user1).swapExactTokensForTokens(SWAP_AMOUNT, 0, await tokenA.getAddress(), user1.address);
+      
+      expect(await dex.protocolFeesA()).to.equal(feesA);
+      await expect(dex.setProtocolFee(ethers.ZeroAddress, 0)).to.emit(dex, "FeeUpdated");
+      await expect(dex.collectProtocolFees()).to.be.revertedWith("DEX: INVALID_FEE_TO");
+    });
+  });
+
+  describe("Pausing", function () {
+    beforeEach(async function () {
+      await dex.connect(owner).addLiquidity(
+        LIQUIDITY_AMOUNT_A,
+        LIQUIDITY_AMOUNT_B,
+        0,
+        0,
+        owner.address
+      );
+      await dex.grantRole(await dex.PAUSER_ROLE(), user2.address);
+      await dex.connect(user2).pause();
+    });
+    
+    it("Should block trading and deposits while paused", async function () {
+      const amount = ethers.parseUnits("10", 18);
+      
+      await expect(
+        dex.connect(user1).swapExactTokensForTokens(amount, 0, await tokenA.getAddress(), user1.address)
+      ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+      await expect(
+        dex.connect(user1).swapTokensForExactTokens(amount, amount * 3n, await tokenA.getAddress(), user1.address)
+      ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+      await expect(
+        dex.connect(user1).addLiquidity(amount, amount * 2n, 0, 0, user1.address)
+      ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+      await expect(
+        dex.flashSwap(amount, 0, user1.address, "0x")
+      ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+      await expect(
+        dex.flashLoan(user1.address, await tokenA.getAddress(), amount, "0x")
+      ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+    });
+    
+    it("Should still let liquidity providers exit", async function () {
+      const lpBalance = await dex.balanceOf(owner.address);
+      
+      await expect(dex.removeLiquidity(lpBalance, 0, 0, owner.address)).to.emit(dex, "LiquidityRemoved");
+      expect(await dex.balanceOf(owner.address)).to.equal(0);
+    });
+    
+    it("Should resume trading once unpaused", async function () {
+      await dex.connect(user2).unpause();
+      
+      await expect(
+        dex.connect(user1).swapExactTokensForTokens(ethers.parseUnits("10", 18), 0, await tokenA.getAddress(), user1.address)
+      ).to.emit(dex, "TokenSwap");
+    });
+  });
+  
+  describe("Permits", function () {
+    let signer;
+    let deadline;
+    
+    beforeEach(async function () {
+      // A fresh account that never sent an approval
+      signer = (await ethers.getSigners())[3];
+      await tokenA.transfer(signer.address, LIQUIDITY_AMOUNT_A);
+      await tokenB.transfer(signer.address, LIQUIDITY_AMOUNT_B);
+      deadline = BigInt(await time.latest()) + 3600n;
+      
+      await dex.connect(owner).addLiquidity(
+        LIQUIDITY_AMOUNT_A,
+        LIQUIDITY_AMOUNT_B,
+        0,
+        0,
+        owner.address
+      );
+    });
+    
+    it("Should build the EIP-712 typed data from the token", async function () {
+      const { domain, message } = await buildPermitTypedData(
+        tokenA, signer.address, await dex.getAddress(), 100n, deadline
+      );
+      
+      expect(domain).to.deep.equal({
+        name: "Test Token A",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await tokenA.getAddress()
+      });
+      expect(message.nonce).to.equal(0);
+      expect((await dex.eip712Domain()).name).to.equal(await dex.name());
+    });
+    
+    it("Should add liquidity with permits instead of approvals", async function () {
+      const amountA = ethers.parseUnits("100", 18);
+      const amountB = ethers.parseUnits("200", 18);
+      const permitA = await signPermit(tokenA, signer, await dex.getAddress(), amountA, deadline);
+      const permitB = await signPermit(tokenB, signer, await dex.getAddress(), amountB, deadline);
+      const [, , liquidity] = await dex.getLiquidityMinted(amountA, amountB);
+      
+      await expect(
+        dex.connect(signer).addLiquidityWithPermit(amountA, amountB, 0, 0, signer.address, deadline, permitA, permitB)
+      ).to.emit(dex, "LiquidityAdded").withArgs(signer.address, amountA, amountB, liquidity);
+      
+      expect(await tokenA.nonces(signer.address)).to.equal(1);
+      expect(await tokenB.nonces(signer.address)).to.equal(1);
+      expect(await tokenA.allowance(signer.address, await dex.getAddress())).to.equal(0);
+    });
+    
+    it("Should swap with a permit", async function () {
+      const amountIn = ethers.parseUnits("10", 18);
+      const expectedOut = await dex.getAmountOut(amountIn, await tokenA.getAddress());
+      const permit = await signPermit(tokenA, signer, await dex.getAddress(), amountIn, deadline);
+      
+      await expect(
+        dex.connect(signer).swapWithPermit(amountIn, expectedOut, await tokenA.getAddress(), user1.address, deadline, permit)
+      ).to.emit(dex, "TokenSwap").withArgs(signer.address, amountIn, await tokenA.getAddress(), expectedOut, await tokenB.getAddress());
+      
+      await expect(
+        dex.connect(signer).swapWithPermit(amountIn, 0, await dex.getAddress(), user1.address, deadline, permit)
+      ).to.be.revertedWith("DEX: INVALID_TOKEN");
+    });
+    
+    it("Should still work when the permit was front-run", async function () {
+      const amountIn = ethers.parseUnits("10", 18);
+      const permit = await signPermit(tokenA, signer, await dex.getAddress(), amountIn, deadline);
+      
+      // Someone submits the signature first, which uses up the nonce
+      await tokenA.connect(user2).permit(
+        signer.address, await dex.getAddress(), permit.value, permit.deadline, permit.v, permit.r, permit.s
+      );
+      
+      await expect(
+        dex.connect(signer).swapWithPermit(amountIn, 0, await tokenA.getAddress(), signer.address, deadline, permit)
+      ).to.emit(dex, "TokenSwap");
+    });
+    
+    it("Should revert on invalid or expired permits", async function () {
+      const amountIn = ethers.parseUnits("10", 18);
+      
+      // Signed for less than the swap
+      const short = await signPermit(tokenA, signer, await dex.getAddress(), amountIn - 1n, deadline);
+      await expect(
+        dex.connect(signer).swapWithPermit(amountIn, 0, await tokenA.getAddress(), signer.address, deadline, short)
+      ).to.be.revertedWithCustomError(tokenA, "ERC20InsufficientAllowance");
+      
+      // Signed by someone else
+      const forged = await signPermit(tokenA, user1, await dex.getAddress(), amountIn, deadline);
+      await expect(
+        dex.connect(signer).swapWithPermit(amountIn, 0, await tokenA.getAddress(), signer.address, deadline, forged)
+      ).to.be.revertedWithCustomError(tokenA, "ERC20InsufficientAllowance");
+      
+      await time.increaseTo(deadline + 1n);
+      const valid = await signPermit(tokenA, signer, await dex.getAddress(), amountIn, deadline);
+      await expect(
+        dex.connect(signer).swapWithPermit(amountIn, 0, await tokenA.getAddress(), signer.address, deadline, valid)
+      ).to.be.revertedWith("DEX: EXPIRED");
+    });
+    
+    it("Should let a relayer remove liquidity with an LP token permit", async function () {
+      const lpBalance = await dex.balanceOf(owner.address);
+      const liquidity = lpBalance / 2n;
+      const [reserveA, reserveB] = await dex.getReserves();
+      const totalSupply = await dex.totalSupply();
+      const permit = await signPermit(dex, owner, user1.address, liquidity, deadline);
+      
+      await expect(
+        dex.connect(user1).removeLiquidityWithPermit(owner.address, liquidity, 0, 0, user2.address, deadline, permit)
+      ).to.emit(dex, "LiquidityRemoved").withArgs(
+        owner.address,
+        liquidity * reserveA / totalSupply,
+        liquidity * reserveB / totalSupply,
+        liquidity
+      );
+      
+      expect(await dex.balanceOf(owner.address)).to.equal(lpBalance - liquidity);
+      expect(await dex.allowance(owner.address, user1.address)).to.equal(0);
+      
+      // The permit was for user1 only, and is used up
+      await expect(
+        dex.connect(user2).removeLiquidityWithPermit(owner.address, liquidity, 0, 0, user2.address, deadline, permit)
+      ).to.be.revertedWithCustomError(dex, "ERC20InsufficientAllowance");
+    });
   });
 });
@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("DEX flash loans and swaps", function () {
+  let dex;
+  let tokenA;
+  let tokenB;
+  let borrower;
+  let owner;
+  let user1;
+
+  const LIQUIDITY_AMOUNT_A = ethers.parseUnits("1000", 18);
+  const LIQUIDITY_AMOUNT_B = ethers.parseUnits("2000", 18);
+  const LOAN_AMOUNT = ethers.parseUnits("100", 18);
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const TokenA = await ethers.getContractFactory("TestTokenA");
+    tokenA = await TokenA.deploy();
+    const TokenB = await ethers.getContractFactory("TestTokenB");
+    tokenB = await TokenB.deploy();
+    const DEX = await ethers.getContractFactory("DEX");
+    dex = await DEX.deploy(await tokenA.getAddress(), await tokenB.getAddress());
+
+    await tokenA.approve(await dex.getAddress(), ethers.MaxUint256);
+    await tokenB.approve(await dex.getAddress(), ethers.MaxUint256);
+    await dex.addLiquidity(LIQUIDITY_AMOUNT_A, LIQUIDITY_AMOUNT_B, 0, 0, owner.address);
+
+    const Borrower = await ethers.getContractFactory("DEXFlashBorrower");
+    borrower = await Borrower.deploy(await dex.getAddress());
+  });
+
+  describe("ERC-3156 flash loans", function () {
+    it("Should lend up to the reserves for the swap fee", async function () {
+      expect(await dex.maxFlashLoan(await tokenA.getAddress())).to.equal(LIQUIDITY_AMOUNT_A);
+      expect(await dex.maxFlashLoan(await tokenB.getAddress())).to.equal(LIQUIDITY_AMOUNT_B);
+      expect(await dex.maxFlashLoan(await dex.getAddress())).to.equal(0);
+
+      expect(await dex.flashFee(await tokenA.getAddress(), LOAN_AMOUNT)).to.equal((LOAN_AMOUNT * 30n) / 10000n);
+      // Rounded up, so small loans are never free
+      expect(await dex.flashFee(await tokenA.getAddress(), 1)).to.equal(1);
+      await expect(dex.flashFee(await dex.getAddress(), LOAN_AMOUNT)).to.be.revertedWith("DEX: INVALID_TOKEN");
+    });
+
+    it("Should lend and take back the loan plus the fee", async function () {
+      const fee = await dex.flashFee(await tokenA.getAddress(), LOAN_AMOUNT);
+      await tokenA.transfer(await borrower.getAddress(), fee);
+      const [reserveA, reserveB] = await dex.getReserves();
+
+      await expect(borrower.flashBorrow(await tokenA.getAddress(), LOAN_AMOUNT))
+        .to.emit(borrower, "FlashLoanReceived")
+        .withArgs(await tokenA.getAddress(), LOAN_AMOUNT, fee)
+        .and.to.emit(dex, "FlashLoan")
+        .withArgs(await borrower.getAddress(), await tokenA.getAddress(), LOAN_AMOUNT, fee);
+
+      // The fee goes to the liquidity providers
+      expect(await dex.getReserves()).to.deep.equal([reserveA + fee, reserveB]);
+      expect(await tokenA.balanceOf(await borrower.getAddress())).to.equal(0);
+    });
+
+    it("Should revert when the borrower cannot repay the fee", async function () {
+      const fee = await dex.flashFee(await tokenA.getAddress(), LOAN_AMOUNT);
+      await tokenA.transfer(await borrower.getAddress(), fee - 1n);
+
+      await expect(borrower.flashBorrow(await tokenA.getAddress(), LOAN_AMOUNT)).to.be.revertedWithCustomError(
+        tokenA,
+        "ERC20InsufficientBalance"
+      );
+    });
+
+    it("Should not lend more than the reserves", async function () {
+      await expect(
+        borrower.flashBorrow(await tokenA.getAddress(), LIQUIDITY_AMOUNT_A + 1n)
+      ).to.be.revertedWith("DEX: INSUFFICIENT_LIQUIDITY");
+      await expect(borrower.flashBorrow(await dex.getAddress(), 1)).to.be.revertedWith("DEX: INSUFFICIENT_LIQUIDITY");
+    });
+
+    it("Should let the borrower reject loans it did not start", async function () {
+      await expect(
+        dex.connect(user1).flashLoan(await borrower.getAddress(), await tokenA.getAddress(), LOAN_AMOUNT, "0x")
+      ).to.be.revertedWith("DEXFlashBorrower: untrusted initiator");
+    });
+
+    it("Should send the protocol share of the fee to feeTo", async function () {
+      await dex.setProtocolFee(user1.address, 5000);
+      const fee = await dex.flashFee(await tokenA.getAddress(), LOAN_AMOUNT);
+      await tokenA.transfer(await borrower.getAddress(), fee);
+      const [reserveA] = await dex.getReserves();
+
+      await borrower.flashBorrow(await tokenA.getAddress(), LOAN_AMOUNT);
+
+      expect(await dex.protocolFeesA()).to.equal(fee / 2n);
+      expect((await dex.getReserves())[0]).to.equal(reserveA + fee - fee / 2n);
+    });
+  });
+
+  describe("Flash swaps", function () {
+    // 99.7 out needs exactly 100 in at the 0.3% fee
+    const AMOUNT_OUT = ethers.parseUnits("99.7", 18);
+    const SAME_TOKEN_REPAYMENT = ethers.parseUnits("100", 18);
+
+    beforeEach(async function () {
+      await tokenA.transfer(await borrower.getAddress(), ethers.parseUnits("10", 18));
+      await tokenB.transfer(await borrower.getAddress(), ethers.parseUnits("250", 18));
+    });
+
+    it("Should accept repayment in the borrowed token plus the fee", async function () {
+      const [reserveA, reserveB] = await dex.getReserves();
+
+      await expect(borrower.flashSwap(AMOUNT_OUT, 0, SAME_TOKEN_REPAYMENT, 0))
+        .to.emit(dex, "FlashSwap")
+        .withArgs(await borrower.getAddress(), await borrower.getAddress(), SAME_TOKEN_REPAYMENT, 0, AMOUNT_OUT, 0);
+
+      expect(await dex.getReserves()).to.deep.equal([reserveA - AMOUNT_OUT + SAME_TOKEN_REPAYMENT, reserveB]);
+    });
+
+    it("Should accept repayment in the other token at the swap price", async function () {
+      const repayment = await dex.getAmountIn(AMOUNT_OUT, await tokenB.getAddress());
+      const [reserveA, reserveB] = await dex.getReserves();
+
+      await borrower.flashSwap(AMOUNT_OUT, 0, 0, repayment);
+
+      const [newReserveA, newReserveB] = await dex.getReserves();
+      expect([newReserveA, newReserveB]).to.deep.equal([reserveA - AMOUNT_OUT, reserveB + repayment]);
+      expect(newReserveA * newReserveB).to.be.gte(reserveA * reserveB);
+    });
+
+    it("Should revert on underpayment", async function () {
+      const repayment = await dex.getAmountIn(AMOUNT_OUT, await tokenB.getAddress());
+
+      await expect(borrower.flashSwap(AMOUNT_OUT, 0, SAME_TOKEN_REPAYMENT - 1n, 0)).to.be.revertedWith("DEX: K");
+      // getAmountIn rounds up by one, so go two below it
+      await expect(borrower.flashSwap(AMOUNT_OUT, 0, 0, repayment - 2n)).to.be.revertedWith("DEX: K");
+      await expect(borrower.flashSwap(AMOUNT_OUT, 0, 0, 0)).to.be.revertedWith("DEX: INSUFFICIENT_INPUT_AMOUNT");
+    });
+
+    it("Should honour the current swap fee", async function () {
+      await dex.setSwapFee(100);
+
+      await expect(borrower.flashSwap(AMOUNT_OUT, 0, SAME_TOKEN_REPAYMENT, 0)).to.be.revertedWith("DEX: K");
+
+      const repayment = await dex.getAmountIn(AMOUNT_OUT, await tokenB.getAddress());
+      await expect(borrower.flashSwap(AMOUNT_OUT, 0, 0, repayment)).to.emit(dex, "FlashSwap");
+    });
+
+    it("Should reject empty and oversized outputs", async function () {
+      await expect(borrower.flashSwap(0, 0, 0, 0)).to.be.revertedWith("DEX: INSUFFICIENT_OUTPUT_AMOUNT");
+      await expect(borrower.flashSwap(LIQUIDITY_AMOUNT_A, 0, 0, 0)).to.be.revertedWith("DEX: INSUFFICIENT_LIQUIDITY");
+      await expect(
+        dex.flashSwap(1000, 0, await tokenA.getAddress(), "0x")
+      ).to.be.revertedWith("DEX: INVALID_TO");
+    });
+  });
+
+  describe("Arbitrage example", function () {
+    let cheapPool;
+    let arbitrage;
+
+    beforeEach(async function () {
+      // A second pool pricing tokenA at 1.5 tokenB instead of 2
+      const DEX = await ethers.getContractFactory("DEX");
+      cheapPool = await DEX.deploy(await tokenA.getAddress(), await tokenB.getAddress());
+      await tokenA.approve(await cheapPool.getAddress(), ethers.MaxUint256);
+      await tokenB.approve(await cheapPool.getAddress(), ethers.MaxUint256);
+      await cheapPool.addLiquidity(LIQUIDITY_AMOUNT_A, ethers.parseUnits("1500", 18), 0, 0, owner.address);
+
+      const Arbitrage = await ethers.getContractFactory("DEXFlashArbitrage");
+      arbitrage = await Arbitrage.connect(user1).deploy();
+    });
+
+    it("Should profit from a price gap without capital", async function () {
+      const amount = ethers.parseUnits("50", 18);
+      const sold = await dex.getAmountOut(amount, await tokenA.getAddress());
+      const repayment = await cheapPool.getAmountIn(amount, await tokenB.getAddress());
+      const balanceBefore = await tokenB.balanceOf(user1.address);
+
+      await expect(
+        arbitrage
+          .connect(user1)
+          .execute(await cheapPool.getAddress(), await dex.getAddress(), await tokenA.getAddress(), amount, 1)
+      )
+        .to.emit(arbitrage, "ArbitrageExecuted")
+        .withArgs(await cheapPool.getAddress(), await dex.getAddress(), await tokenA.getAddress(), amount, sold - repayment);
+
+      expect(await tokenB.balanceOf(user1.address)).to.equal(balanceBefore + sold - repayment);
+    });
+
+    it("Should revert when the arbitrage is not profitable", async function () {
+      // Borrowing where tokenA is expensive cannot be repaid by selling it where it is cheap
+      await expect(
+        arbitrage
+          .connect(user1)
+          .execute(await dex.getAddress(), await cheapPool.getAddress(), await tokenA.getAddress(), LOAN_AMOUNT, 0)
+      ).to.be.revertedWithCustomError(tokenB, "ERC20InsufficientBalance");
+    });
+
+    it("Should not let the callback trade on the pool it is borrowing from", async function () {
+      await expect(
+        arbitrage
+          .connect(user1)
+          .execute(await dex.getAddress(), await dex.getAddress(), await tokenA.getAddress(), LOAN_AMOUNT, 0)
+      ).to.be.revertedWithCustomError(dex, "ReentrancyGuardReentrantCall");
+    });
+  });
+});
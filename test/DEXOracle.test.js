@@ -0,0 +1,242 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { getDeploymentBlock, observePrices, averagePrice } = require("../utils/dex");
+const { recordDeployment } = require("../utils/registry");
+
+describe("DEX price oracle", function () {
+  let dex;
+  let tokenA;
+  let tokenB;
+  let owner;
+
+  const PRECISION = 10n ** 18n;
+  const HOUR_IN_SECONDS = 3600;
+  const LIQUIDITY_AMOUNT_A = ethers.parseUnits("1000", 18);
+  const LIQUIDITY_AMOUNT_B = ethers.parseUnits("2000", 18);
+
+  // Swaps in the next block, mined exactly at `timestamp`
+  async function swapAt(timestamp, amountIn, token) {
+    await time.setNextBlockTimestamp(timestamp);
+    await dex.connect(owner).swapExactTokensForTokens(amountIn, 0, await token.getAddress(), owner.address);
+  }
+
+  async function priceA() {
+    const [reserveA, reserveB] = await dex.getReserves();
+    return (reserveB * PRECISION) / reserveA;
+  }
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+
+    const TokenA = await ethers.getContractFactory("TestTokenA");
+    tokenA = await TokenA.deploy();
+    const TokenB = await ethers.getContractFactory("TestTokenB");
+    tokenB = await TokenB.deploy();
+    const DEX = await ethers.getContractFactory("DEX");
+    dex = await DEX.deploy(await tokenA.getAddress(), await tokenB.getAddress());
+
+    await tokenA.approve(await dex.getAddress(), ethers.MaxUint256);
+    await tokenB.approve(await dex.getAddress(), ethers.MaxUint256);
+    await dex.addLiquidity(LIQUIDITY_AMOUNT_A, LIQUIDITY_AMOUNT_B, 0, 0, owner.address);
+  });
+
+  describe("Accumulators", function () {
+    it("Should start at zero with the first liquidity", async function () {
+      expect(await dex.priceACumulativeLast()).to.equal(0);
+      expect(await dex.priceBCumulativeLast()).to.equal(0);
+      expect(await dex.blockTimestampLast()).to.equal(await time.latest());
+    });
+
+    it("Should accumulate the price times the elapsed time", async function () {
+      const start = await time.latest();
+      await time.increase(HOUR_IN_SECONDS);
+
+      const [priceACumulative, priceBCumulative, timestamp] = await dex.getCumulativePrices();
+
+      expect(timestamp).to.equal(start + HOUR_IN_SECONDS);
+      expect(priceACumulative).to.equal(2n * PRECISION * BigInt(HOUR_IN_SECONDS));
+      expect(priceBCumulative).to.equal((PRECISION / 2n) * BigInt(HOUR_IN_SECONDS));
+    });
+
+    it("Should store the accumulators on every reserve change", async function () {
+      const start = await time.latest();
+      const initialPrice = await priceA();
+
+      await swapAt(start + 100, ethers.parseUnits("10", 18), tokenA);
+
+      expect(await dex.priceACumulativeLast()).to.equal(initialPrice * 100n);
+      expect(await dex.blockTimestampLast()).to.equal(start + 100);
+    });
+
+    it("Should weight each price by how long it was in effect", async function () {
+      const start = await time.latest();
+      const initialPrice = await priceA();
+
+      // The initial price holds for 10 minutes, the new one for 50
+      await swapAt(start + 600, ethers.parseUnits("100", 18), tokenA);
+      const newPrice = await priceA();
+      await time.increaseTo(start + HOUR_IN_SECONDS);
+
+      const [priceACumulative] = await dex.getCumulativePrices();
+      expect(priceACumulative).to.equal(initialPrice * 600n + newPrice * 3000n);
+    });
+  });
+
+  describe("DEXOracle", function () {
+    let oracle;
+
+    beforeEach(async function () {
+      const Oracle = await ethers.getContractFactory("DEXOracle");
+      oracle = await Oracle.deploy(await dex.getAddress(), HOUR_IN_SECONDS);
+    });
+
+    it("Should not update before the period has elapsed", async function () {
+      await time.increase(HOUR_IN_SECONDS - 10);
+
+      await expect(oracle.update()).to.be.revertedWith("DEXOracle: PERIOD_NOT_ELAPSED");
+      await expect(oracle.consult(await tokenA.getAddress(), 1000)).to.be.revertedWith("DEXOracle: NOT_UPDATED");
+    });
+
+    it("Should consult at the average price of the window", async function () {
+      const start = Number(await oracle.blockTimestampLast());
+      const initialPrice = await priceA();
+      await swapAt(start + HOUR_IN_SECONDS / 2, ethers.parseUnits("200", 18), tokenA);
+      const newPrice = await priceA();
+
+      await time.setNextBlockTimestamp(start + HOUR_IN_SECONDS);
+      await expect(oracle.update()).to.emit(oracle, "OracleUpdated");
+
+      const average = (initialPrice + newPrice) / 2n;
+      expect(await oracle.priceAAverage()).to.equal(average);
+      expect(await oracle.consult(await tokenA.getAddress(), ethers.parseUnits("3", 18))).to.equal(
+        (ethers.parseUnits("3", 18) * average) / PRECISION
+      );
+      await expect(oracle.consult(await dex.getAddress(), 1000)).to.be.revertedWith("DEXOracle: INVALID_TOKEN");
+    });
+
+    it("Should barely move when the price is manipulated right before an update", async function () {
+      const start = Number(await oracle.blockTimestampLast());
+
+      // Push the price of tokenA up more than 2x, one second before the window closes
+      await swapAt(start + HOUR_IN_SECONDS - 1, ethers.parseUnits("1000", 18), tokenB);
+      expect(await priceA()).to.be.gt(4n * PRECISION);
+
+      await time.setNextBlockTimestamp(start + HOUR_IN_SECONDS);
+      await oracle.update();
+
+      // One manipulated second out of 3600 shifts the average by well under 1%
+      const average = await oracle.priceAAverage();
+      expect(average).to.be.gt(2n * PRECISION);
+      expect(average).to.be.lt((2n * PRECISION * 101n) / 100n);
+    });
+
+    it("Should ignore a price moved and restored within the same block", async function () {
+      const start = Number(await oracle.blockTimestampLast());
+      const amountIn = ethers.parseUnits("500", 18);
+      const amountOut = await dex.getAmountOut(amountIn, await tokenA.getAddress());
+
+      // Both swaps land in one block, so the manipulated price is never in effect
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        await dex.swapExactTokensForTokens(amountIn, 0, await tokenA.getAddress(), owner.address);
+        await dex.swapExactTokensForTokens(amountOut, 0, await tokenB.getAddress(), owner.address);
+        await time.setNextBlockTimestamp(start + 600);
+        await mine();
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      await time.setNextBlockTimestamp(start + HOUR_IN_SECONDS);
+      await oracle.update();
+
+      // Only the initial price was in effect for the first 600 seconds; the
+      // round trip fees leave the price afterwards within 1% of it
+      const average = await oracle.priceAAverage();
+      expect(average).to.be.gt((2n * PRECISION * 99n) / 100n);
+      expect(average).to.be.lt((2n * PRECISION * 101n) / 100n);
+    });
+
+    it("Should reject pairs without liquidity", async function () {
+      const DEX = await ethers.getContractFactory("DEX");
+      const emptyDex = await DEX.deploy(await tokenA.getAddress(), await tokenB.getAddress());
+      const Oracle = await ethers.getContractFactory("DEXOracle");
+
+      await expect(Oracle.deploy(await emptyDex.getAddress(), HOUR_IN_SECONDS)).to.be.revertedWith(
+        "DEXOracle: NO_RESERVES"
+      );
+    });
+  });
+
+  describe("JS helpers", function () {
+    it("Should compute a human readable average price from two observations", async function () {
+      const earlier = await observePrices(dex);
+      await time.increase(HOUR_IN_SECONDS - 1);
+      const later = await observePrices(dex);
+
+      const average = averagePrice(earlier, later);
+
+      expect(average.window).to.equal(BigInt(HOUR_IN_SECONDS - 1));
+      expect(average.priceA).to.equal("2.0");
+      expect(average.priceB).to.equal("0.5");
+      expect(() => averagePrice(later, later)).to.throw("DEX: observations must be at least one second apart");
+    });
+
+    it("Should adjust prices for token decimals", function () {
+      const earlier = { timestamp: 0n, priceACumulative: 0n, priceBCumulative: 0n };
+      // 1 tokenA (18 decimals) = 2 tokenB (6 decimals), in raw units
+      const later = { timestamp: 10n, priceACumulative: 2n * 10n ** 6n * 10n, priceBCumulative: 5n * 10n ** 29n * 10n };
+
+      const average = averagePrice(earlier, later, 18, 6);
+
+      expect(average.priceA).to.equal("2.0");
+      expect(average.priceB).to.equal("0.5");
+    });
+
+    it("Should handle accumulators that wrapped around", function () {
+      const earlier = { timestamp: 0n, priceACumulative: 2n ** 256n - PRECISION, priceBCumulative: 0n };
+      const later = { timestamp: 2n, priceACumulative: 3n * PRECISION, priceBCumulative: PRECISION };
+
+      expect(averagePrice(earlier, later).priceA).to.equal("2.0");
+    });
+
+    it("Should average over past blocks with dex:twap", async function () {
+      const log = console.log;
+      console.log = () => {};
+      try {
+        const from = await ethers.provider.getBlock("latest");
+        await mine(10, { interval: 60 });
+        const average = await hre.run("dex:twap", { blocks: 10, dex: await dex.getAddress() });
+
+        expect(average.window).to.equal(BigInt((await time.latest()) - from.timestamp));
+        expect(average.priceA).to.equal("2.0");
+      } finally {
+        console.log = log;
+      }
+    });
+
+    it("Should not average dex:twap over blocks before the DEX was deployed", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "twap-"));
+      const log = console.log;
+      console.log = () => {};
+      try {
+        expect(await getDeploymentBlock(hre, dex, { dir })).to.be.undefined;
+        const { blockNumber } = await recordDeployment(hre, "DEX", dex, [], { dir });
+        expect(await getDeploymentBlock(hre, dex, { dir })).to.equal(blockNumber);
+
+        const DEX = await ethers.getContractFactory("DEX");
+        const fresh = await DEX.deploy(await tokenA.getAddress(), await tokenB.getAddress());
+        await expect(hre.run("dex:twap", { blocks: 100000, dex: await fresh.getAddress() })).to.be.rejectedWith(
+          "DEX: cannot read the prices at block 0, before the DEX was deployed? Pass fewer --blocks"
+        );
+      } finally {
+        console.log = log;
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,260 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getAmountOut, getPairAddress, loadPairs, findBestPath } = require("../utils/dex");
+
+describe("DEXFactory and DEXRouter", function () {
+  let factory;
+  let router;
+  let tokenA;
+  let tokenB;
+  let tokenC;
+  let owner;
+  let user1;
+
+  const LIQUIDITY = ethers.parseUnits("10000", 18);
+
+  async function createPair(token0, token1, amount0 = LIQUIDITY, amount1 = LIQUIDITY) {
+    await factory.createPair(await token0.getAddress(), await token1.getAddress());
+    const pair = await ethers.getContractAt(
+      "DEX",
+      await factory.getPair(await token0.getAddress(), await token1.getAddress())
+    );
+
+    // The pair sorts its tokens, so match the amounts to tokenA / tokenB
+    const flipped = (await pair.tokenA()) !== (await token0.getAddress());
+    await token0.approve(await pair.getAddress(), amount0);
+    await token1.approve(await pair.getAddress(), amount1);
+    await pair.addLiquidity(flipped ? amount1 : amount0, flipped ? amount0 : amount1, 0, 0, owner.address);
+    return pair;
+  }
+
+  async function deadline() {
+    return (await time.latest()) + 600;
+  }
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const TokenA = await ethers.getContractFactory("TestTokenA");
+    tokenA = await TokenA.deploy();
+    tokenC = await TokenA.deploy();
+    const TokenB = await ethers.getContractFactory("TestTokenB");
+    tokenB = await TokenB.deploy();
+
+    const Factory = await ethers.getContractFactory("DEXFactory");
+    factory = await Factory.deploy();
+    const Router = await ethers.getContractFactory("DEXRouter");
+    router = await Router.deploy(await factory.getAddress());
+  });
+
+  describe("Factory", function () {
+    it("Should create and index a pair with sorted tokens", async function () {
+      const addressA = await tokenA.getAddress();
+      const addressB = await tokenB.getAddress();
+      const [token0, token1] = addressA.toLowerCase() < addressB.toLowerCase() ? [addressA, addressB] : [addressB, addressA];
+
+      await expect(factory.createPair(addressA, addressB)).to.emit(factory, "PairCreated");
+
+      const pairAddress = await factory.getPair(addressA, addressB);
+      expect(await factory.getPair(addressB, addressA)).to.equal(pairAddress);
+      expect(await factory.allPairsLength()).to.equal(1);
+      expect(await factory.allPairs(0)).to.equal(pairAddress);
+
+      const pair = await ethers.getContractAt("DEX", pairAddress);
+      expect(await pair.tokenA()).to.equal(token0);
+      expect(await pair.tokenB()).to.equal(token1);
+      expect(await pair.owner()).to.equal(owner.address);
+    });
+
+    it("Should not create the same pair twice", async function () {
+      await factory.createPair(await tokenA.getAddress(), await tokenB.getAddress());
+
+      await expect(
+        factory.createPair(await tokenB.getAddress(), await tokenA.getAddress())
+      ).to.be.revertedWith("DEXFactory: PAIR_EXISTS");
+    });
+
+    it("Should reject identical and zero addresses", async function () {
+      await expect(
+        factory.createPair(await tokenA.getAddress(), await tokenA.getAddress())
+      ).to.be.revertedWith("DEXFactory: IDENTICAL_ADDRESSES");
+      await expect(
+        factory.createPair(await tokenA.getAddress(), ethers.ZeroAddress)
+      ).to.be.revertedWith("DEXFactory: ZERO_ADDRESS");
+    });
+
+    it("Should hand the pair roles over to the factory owner", async function () {
+      const pair = await createPair(tokenA, tokenB);
+      const roles = [await pair.DEFAULT_ADMIN_ROLE(), await pair.PAUSER_ROLE(), await pair.FEE_SETTER_ROLE()];
+
+      for (const role of roles) {
+        expect(await pair.hasRole(role, owner.address)).to.be.true;
+        expect(await pair.hasRole(role, await factory.getAddress())).to.be.false;
+      }
+    });
+  });
+
+  describe("Router", function () {
+    beforeEach(async function () {
+      await createPair(tokenA, tokenB);
+      await createPair(tokenB, tokenC);
+    });
+
+    it("Should swap across two pairs", async function () {
+      const amountIn = ethers.parseUnits("100", 18);
+      const path = [await tokenA.getAddress(), await tokenB.getAddress(), await tokenC.getAddress()];
+      const amounts = await router.getAmountsOut(amountIn, path);
+
+      // Both pools are balanced, so each hop follows the plain constant-product formula
+      const hop1 = getAmountOut(amountIn, LIQUIDITY, LIQUIDITY);
+      expect(amounts).to.deep.equal([amountIn, hop1, getAmountOut(hop1, LIQUIDITY, LIQUIDITY)]);
+
+      await tokenA.approve(await router.getAddress(), amountIn);
+      await router.swapExactTokensForTokens(amountIn, amounts[2], path, user1.address, await deadline());
+
+      expect(await tokenC.balanceOf(user1.address)).to.equal(amounts[2]);
+      expect(await tokenB.balanceOf(await router.getAddress())).to.equal(0);
+    });
+
+    it("Should fail if the output is below the minimum", async function () {
+      const amountIn = ethers.parseUnits("100", 18);
+      const path = [await tokenA.getAddress(), await tokenB.getAddress(), await tokenC.getAddress()];
+      const amounts = await router.getAmountsOut(amountIn, path);
+      await tokenA.approve(await router.getAddress(), amountIn);
+
+      await expect(
+        router.swapExactTokensForTokens(amountIn, amounts[2] + 1n, path, user1.address, await deadline())
+      ).to.be.revertedWith("DEXRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+    });
+
+    it("Should fail after the deadline", async function () {
+      const path = [await tokenA.getAddress(), await tokenB.getAddress()];
+      const expired = (await time.latest()) - 1;
+
+      await expect(
+        router.swapExactTokensForTokens(1000, 0, path, user1.address, expired)
+      ).to.be.revertedWith("DEXRouter: EXPIRED");
+    });
+
+    it("Should reject unknown pairs and short paths", async function () {
+      await expect(
+        router.getAmountsOut(1000, [await tokenA.getAddress(), await tokenC.getAddress()])
+      ).to.be.revertedWith("DEXRouter: PAIR_NOT_FOUND");
+      await expect(
+        router.getAmountsOut(1000, [await tokenA.getAddress()])
+      ).to.be.revertedWith("DEXRouter: INVALID_PATH");
+    });
+  });
+
+  describe("Path finding", function () {
+    it("Should find pair addresses", async function () {
+      expect(await getPairAddress(factory, await tokenA.getAddress(), await tokenB.getAddress())).to.be.null;
+
+      const pair = await createPair(tokenA, tokenB);
+
+      expect(await getPairAddress(factory, await tokenB.getAddress(), await tokenA.getAddress())).to.equal(
+        await pair.getAddress()
+      );
+    });
+
+    it("Should prefer a deeper two-hop route over a shallow direct pair", async function () {
+      await createPair(tokenA, tokenB);
+      await createPair(tokenB, tokenC);
+      await createPair(tokenA, tokenC, ethers.parseUnits("100", 18), ethers.parseUnits("100", 18));
+      const [addressA, addressB, addressC] = [
+        await tokenA.getAddress(),
+        await tokenB.getAddress(),
+        await tokenC.getAddress(),
+      ];
+      const pairs = await loadPairs(hre, factory);
+
+      const large = findBestPath(pairs, addressA, addressC, ethers.parseUnits("50", 18));
+      expect(large.path).to.deep.equal([addressA, addressB, addressC]);
+      expect(large.amounts).to.deep.equal(
+        [...(await router.getAmountsOut(ethers.parseUnits("50", 18), large.path))]
+      );
+
+      const small = findBestPath(pairs, addressA, addressC, ethers.parseUnits("0.001", 18));
+      expect(small.path).to.deep.equal([addressA, addressC]);
+
+      expect(findBestPath(pairs, addressA, addressC, ethers.parseUnits("50", 18), 1).path).to.deep.equal([
+        addressA,
+        addressC,
+      ]);
+    });
+
+    it("Should quote each pair at its own swap fee", async function () {
+      const pairAB = await createPair(tokenA, tokenB);
+      await createPair(tokenB, tokenC);
+      await pairAB.setSwapFee(100);
+      const path = [await tokenA.getAddress(), await tokenB.getAddress(), await tokenC.getAddress()];
+      const amountIn = ethers.parseUnits("50", 18);
+
+      const pairs = await loadPairs(hre, factory);
+      expect(pairs.find(({ address }) => address === pairAB.target).swapFee).to.equal(100n);
+
+      const best = findBestPath(pairs, path[0], path[2], amountIn);
+      expect(best.amounts).to.deep.equal([...(await router.getAmountsOut(amountIn, path))]);
+      expect(getAmountOut(amountIn, LIQUIDITY, LIQUIDITY, 100n)).to.equal(best.amounts[1]);
+    });
+
+    it("Should return null when no route exists", async function () {
+      await createPair(tokenA, tokenB);
+
+      const pairs = await loadPairs(hre, factory);
+      expect(findBestPath(pairs, await tokenA.getAddress(), await tokenC.getAddress(), 1000n)).to.be.null;
+    });
+
+    describe("Tasks", function () {
+      let log;
+
+      beforeEach(function () {
+        log = console.log;
+        console.log = () => {};
+      });
+
+      afterEach(function () {
+        console.log = log;
+      });
+
+      it("Should create pairs and swap along the best route", async function () {
+        const factoryAddress = await factory.getAddress();
+        const pair = await hre.run("dex:create-pair", {
+          tokenA: await tokenA.getAddress(),
+          tokenB: await tokenB.getAddress(),
+          factory: factoryAddress,
+        });
+        expect(pair).to.equal(await factory.getPair(await tokenA.getAddress(), await tokenB.getAddress()));
+        expect(
+          await hre.run("dex:create-pair", {
+            tokenA: await tokenB.getAddress(),
+            tokenB: await tokenA.getAddress(),
+            factory: factoryAddress,
+          })
+        ).to.equal(pair);
+
+        await createPair(tokenB, tokenC);
+        const pairAB = await ethers.getContractAt("DEX", pair);
+        await tokenA.approve(pair, LIQUIDITY);
+        await tokenB.approve(pair, LIQUIDITY);
+        await pairAB.addLiquidity(LIQUIDITY, LIQUIDITY, 0, 0, owner.address);
+
+        const args = {
+          tokenIn: await tokenA.getAddress(),
+          tokenOut: await tokenC.getAddress(),
+          amount: "10",
+          maxHops: 3,
+          slippage: "0.5",
+          factory: factoryAddress,
+          router: await router.getAddress(),
+        };
+        const quote = await hre.run("dex:route", args);
+        await hre.run("dex:route", { ...args, execute: true, to: user1.address });
+
+        expect(await tokenC.balanceOf(user1.address)).to.equal(quote.amounts[2]);
+      });
+    });
+  });
+});
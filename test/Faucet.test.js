@@ -1,6 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildAllowlist } = require("../utils/merkle");
+const { signVoucher } = require("../utils/vouchers");
 
 describe("Faucet Contract", function () {
     let faucet;
@@ -32,7 +34,7 @@ describe("Faucet Contract", function () {
         it("Should allow owner to fund faucet", async function () {
             const amount = ethers.parseEther("500");
             await token.connect(owner).approve(faucet.target, amount);
-            await faucet.connect(owner).fundFaucet(amount);
+            await faucet.connect(owner).fundFaucet(token.target, amount);
             
             const balance = await token.balanceOf(faucet.target);
             expect(balance).to.equal(ethers.parseEther("1500"));
@@ -42,28 +44,28 @@ describe("Faucet Contract", function () {
     describe("Withdrawals", function () {
         it("Should allow first withdrawal", async function () {
             const initialBalance = await token.balanceOf(user1.address);
-            await faucet.connect(user1).withdraw();
+            await faucet.connect(user1).withdraw(token.target);
             
             const newBalance = await token.balanceOf(user1.address);
             expect(newBalance).to.equal(initialBalance + BigInt(DAILY_LIMIT));
         });
 
         it("Should prevent second withdrawal within 24h", async function () {
-            await faucet.connect(user1).withdraw();
-            await expect(faucet.connect(user1).withdraw())
+            await faucet.connect(user1).withdraw(token.target);
+            await expect(faucet.connect(user1).withdraw(token.target))
                 .to.be.revertedWithCustomError(faucet, "DailyLimitExceeded");
         });
 
         it("Should allow withdrawal after 24h", async function () {
             // First withdrawal
-            await faucet.connect(user1).withdraw();
+            await faucet.connect(user1).withdraw(token.target);
             
             // Fast forward exactly 24 hours
             await time.increase(DAY_IN_SECONDS);
             
             // Second withdrawal
             const initialBalance = await token.balanceOf(user1.address);
-            await faucet.connect(user1).withdraw();
+            await faucet.connect(user1).withdraw(token.target);
             
             // Verify balance increased by daily limit
             const newBalance = await token.balanceOf(user1.address);
@@ -73,8 +75,8 @@ describe("Faucet Contract", function () {
 
     describe("Multi-user functionality", function () {
         it("Should allow multiple users to withdraw", async function () {
-            await faucet.connect(user1).withdraw();
-            await faucet.connect(user2).withdraw();
+            await faucet.connect(user1).withdraw(token.target);
+            await faucet.connect(user2).withdraw(token.target);
             
             const balance1 = await token.balanceOf(user1.address);
             const balance2 = await token.balanceOf(user2.address);
@@ -85,11 +87,513 @@ describe("Faucet Contract", function () {
 
     describe("Tracking", function () {
         it("Should track total distributions", async function () {
-            await faucet.connect(user1).withdraw();
-            await faucet.connect(user2).withdraw();
+            await faucet.connect(user1).withdraw(token.target);
+            await faucet.connect(user2).withdraw(token.target);
             
-            const total = await faucet.getTotalDistributed();
+            const total = await faucet.totalDistributed(token.target);
             expect(total).to.equal(BigInt(DAILY_LIMIT) * 2n);
+            expect(await faucet.getTotalDistributed()).to.equal(total);
+            expect(await faucet.getDailyTotal(user1.address)).to.equal(DAILY_LIMIT);
+        });
+    });
+
+    describe("Pausing", function () {
+        it("Should only let pausers pause", async function () {
+            const PAUSER_ROLE = await faucet.PAUSER_ROLE();
+            await faucet.grantRole(PAUSER_ROLE, user2.address);
+            
+            await expect(faucet.connect(user1).pause())
+                .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, PAUSER_ROLE);
+            await expect(faucet.connect(user2).pause()).to.emit(faucet, "Paused").withArgs(user2.address);
+            await expect(faucet.connect(user1).unpause())
+                .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, PAUSER_ROLE);
+            await expect(faucet.unpause()).to.emit(faucet, "Unpaused").withArgs(owner.address);
+        });
+        
+        it("Should block withdrawals while paused", async function () {
+            await faucet.pause();
+            
+            await expect(faucet.connect(user1).withdraw(token.target)).to.be.revertedWithCustomError(faucet, "EnforcedPause");
+            
+            await faucet.unpause();
+            await faucet.connect(user1).withdraw(token.target);
+            expect(await faucet.totalWithdrawn(token.target, user1.address)).to.equal(DAILY_LIMIT);
+        });
+        
+        it("Should still accept funding while paused", async function () {
+            await faucet.pause();
+            
+            const amount = ethers.parseEther("500");
+            await token.approve(faucet.target, amount);
+            await expect(faucet.fundFaucet(token.target, amount)).to.emit(faucet, "TokensFunded");
+        });
+    });
+
+    describe("Roles", function () {
+        it("Should give the deployer every role", async function () {
+            expect(await faucet.hasRole(await faucet.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+            expect(await faucet.hasRole(await faucet.FUNDER_ROLE(), owner.address)).to.be.true;
+            expect(await faucet.hasRole(await faucet.PAUSER_ROLE(), owner.address)).to.be.true;
+        });
+        
+        it("Should require FUNDER_ROLE to fund the faucet", async function () {
+            const FUNDER_ROLE = await faucet.FUNDER_ROLE();
+            const amount = ethers.parseEther("500");
+            await token.connect(user1).approve(faucet.target, amount);
+            
+            await expect(faucet.connect(user1).fundFaucet(token.target, amount))
+                .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, FUNDER_ROLE);
+            
+            await faucet.grantRole(FUNDER_ROLE, user1.address);
+            await expect(faucet.connect(user1).fundFaucet(token.target, amount))
+                .to.emit(faucet, "TokensFunded")
+                .withArgs(user1.address, token.target, amount);
+        });
+    });
+
+    describe("Rolling window", function () {
+        it("Should report when each user can withdraw again", async function () {
+            expect(await faucet.nextWithdrawalTime(token.target, user1.address)).to.equal(await time.latest());
+            expect(await faucet.availableToWithdraw(token.target, user1.address)).to.equal(DAILY_LIMIT);
+            
+            await faucet.connect(user1).withdraw(token.target);
+            const windowEnd = (await time.latest()) + DAY_IN_SECONDS;
+            
+            expect(await faucet.nextWithdrawalTime(token.target, user1.address)).to.equal(windowEnd);
+            expect(await faucet.availableToWithdraw(token.target, user1.address)).to.equal(0);
+            await expect(faucet.connect(user1).withdraw(token.target))
+                .to.be.revertedWithCustomError(faucet, "DailyLimitExceeded")
+                .withArgs(windowEnd);
+        });
+
+        it("Should renew each user's limit on their own schedule", async function () {
+            await faucet.connect(user1).withdraw(token.target);
+            await time.increase(DAY_IN_SECONDS / 2);
+            await faucet.connect(user2).withdraw(token.target);
+            const user2WindowEnd = (await time.latest()) + DAY_IN_SECONDS;
+            
+            await time.increase(DAY_IN_SECONDS / 2);
+            await faucet.connect(user1).withdraw(token.target);
+            await expect(faucet.connect(user2).withdraw(token.target))
+                .to.be.revertedWithCustomError(faucet, "DailyLimitExceeded")
+                .withArgs(user2WindowEnd);
+            
+            await time.increaseTo(user2WindowEnd);
+            await faucet.connect(user2).withdraw(token.target);
+            expect(await faucet.totalWithdrawn(token.target, user1.address)).to.equal(DAILY_LIMIT * 2);
+            expect(await faucet.totalWithdrawn(token.target, user2.address)).to.equal(DAILY_LIMIT * 2);
+        });
+
+        it("Should count each user once", async function () {
+            await faucet.connect(user1).withdraw(token.target);
+            await faucet.connect(user2).withdraw(token.target);
+            await time.increase(DAY_IN_SECONDS);
+            await faucet.connect(user1).withdraw(token.target);
+            
+            expect(await faucet.userCount()).to.equal(2);
+            expect(await faucet.isUser(user1.address)).to.be.true;
+            expect(await faucet.isUser(owner.address)).to.be.false;
+        });
+    });
+
+    describe("Configuration", function () {
+        it("Should let the owner set limits, caps and the cooldown", async function () {
+            await expect(faucet.setDailyLimit(token.target, 50))
+                .to.emit(faucet, "DailyLimitSet")
+                .withArgs(token.target, 50);
+            await expect(faucet.setDailyCap(token.target, 1000))
+                .to.emit(faucet, "DailyCapSet")
+                .withArgs(token.target, 1000);
+            await expect(faucet.setCooldown(3600)).to.emit(faucet, "CooldownSet").withArgs(3600);
+            
+            expect(await faucet.dailyLimit(token.target)).to.equal(50);
+            expect(await faucet.dailyCap(token.target)).to.equal(1000);
+            expect(await faucet.cooldown()).to.equal(3600);
+        });
+        
+        it("Should reject configuration changes from other accounts", async function () {
+            await faucet.grantRole(await faucet.FUNDER_ROLE(), user1.address);
+            
+            for (const call of [
+                () => faucet.connect(user1).setDailyLimit(token.target, 50),
+                () => faucet.connect(user1).setDailyCap(token.target, 1000),
+                () => faucet.connect(user1).setCooldown(3600),
+            ]) {
+                await expect(call()).to.be.revertedWithCustomError(faucet, "OwnableUnauthorizedAccount").withArgs(user1.address);
+            }
+            await expect(faucet.setCooldown(0)).to.be.revertedWithCustomError(faucet, "InvalidCooldown");
+        });
+        
+        it("Should apply a new cooldown to current windows", async function () {
+            await faucet.connect(user1).withdraw(token.target);
+            const windowStart = await time.latest();
+            
+            await faucet.setCooldown(3600);
+            expect(await faucet.nextWithdrawalTime(token.target, user1.address)).to.equal(windowStart + 3600);
+            
+            await time.increaseTo(windowStart + 3600);
+            await faucet.connect(user1).withdraw(token.target);
+            expect(await faucet.totalWithdrawn(token.target, user1.address)).to.equal(DAILY_LIMIT * 2);
+        });
+        
+        it("Should top users up to a raised limit within their window", async function () {
+            await faucet.connect(user1).withdraw(token.target);
+            await faucet.setDailyLimit(token.target, DAILY_LIMIT * 3);
+            
+            await expect(faucet.connect(user1).withdraw(token.target))
+                .to.emit(faucet, "TokensWithdrawn")
+                .withArgs(user1.address, token.target, DAILY_LIMIT * 2);
+        });
+        
+        it("Should stop dispensing an asset whose limit is set to 0", async function () {
+            await faucet.setDailyLimit(token.target, 0);
+            
+            await expect(faucet.connect(user1).withdraw(token.target))
+                .to.be.revertedWithCustomError(faucet, "AssetNotDispensed")
+                .withArgs(token.target);
+            expect(await faucet.nextWithdrawalTime(token.target, user1.address)).to.equal(ethers.MaxUint256);
+            // Disabled assets stay listed
+            expect(await faucet.getAssets()).to.deep.equal([token.target]);
+        });
+    });
+
+    describe("Daily cap", function () {
+        const CAP = DAILY_LIMIT + DAILY_LIMIT / 2;
+        
+        beforeEach(async function () {
+            // Start at the beginning of a UTC day so the test does not straddle two
+            const latest = await time.latest();
+            await time.increaseTo((Math.floor(latest / DAY_IN_SECONDS) + 1) * DAY_IN_SECONDS);
+            await faucet.setDailyCap(token.target, CAP);
+        });
+        
+        it("Should hand out what is left of the cap", async function () {
+            await faucet.connect(user1).withdraw(token.target);
+            expect(await faucet.availableToWithdraw(token.target, user2.address)).to.equal(CAP - DAILY_LIMIT);
+            
+            await expect(faucet.connect(user2).withdraw(token.target))
+                .to.emit(faucet, "TokensWithdrawn")
+                .withArgs(user2.address, token.target, CAP - DAILY_LIMIT);
+            expect(await faucet.distributedOnDay(token.target, Math.floor((await time.latest()) / DAY_IN_SECONDS))).to.equal(CAP);
+        });
+        
+        it("Should reject withdrawals once the cap is reached until the next day", async function () {
+            await faucet.connect(user1).withdraw(token.target);
+            await faucet.connect(user2).withdraw(token.target);
+            const nextDay = (Math.floor((await time.latest()) / DAY_IN_SECONDS) + 1) * DAY_IN_SECONDS;
+            
+            await expect(faucet.connect(owner).withdraw(token.target))
+                .to.be.revertedWithCustomError(faucet, "DailyCapReached")
+                .withArgs(nextDay);
+            expect(await faucet.nextWithdrawalTime(token.target, owner.address)).to.equal(nextDay);
+            
+            // user2 got half their limit and can take the rest once the cap renews
+            await time.increaseTo(nextDay);
+            await expect(faucet.connect(user2).withdraw(token.target))
+                .to.emit(faucet, "TokensWithdrawn")
+                .withArgs(user2.address, token.target, DAILY_LIMIT / 2);
+        });
+    });
+
+    describe("Native ETH", function () {
+        const ETH_LIMIT = ethers.parseEther("0.1");
+        
+        beforeEach(async function () {
+            await faucet.setDailyLimit(ethers.ZeroAddress, ETH_LIMIT);
+        });
+        
+        it("Should accept ETH through fundFaucet and plain transfers", async function () {
+            const amount = ethers.parseEther("1");
+            await expect(faucet.fundFaucet(ethers.ZeroAddress, amount, { value: amount }))
+                .to.emit(faucet, "TokensFunded")
+                .withArgs(owner.address, ethers.ZeroAddress, amount);
+            await expect(user1.sendTransaction({ to: faucet.target, value: amount }))
+                .to.emit(faucet, "TokensFunded")
+                .withArgs(user1.address, ethers.ZeroAddress, amount);
+            
+            expect(await ethers.provider.getBalance(faucet.target)).to.equal(amount * 2n);
+        });
+        
+        it("Should reject funding with mismatched ETH", async function () {
+            await expect(faucet.fundFaucet(ethers.ZeroAddress, 1, { value: 2 })).to.be.revertedWithCustomError(
+                faucet,
+                "InvalidFunding"
+            );
+            await token.approve(faucet.target, 1);
+            await expect(faucet.fundFaucet(token.target, 1, { value: 1 })).to.be.revertedWithCustomError(
+                faucet,
+                "InvalidFunding"
+            );
+        });
+        
+        it("Should dispense ETH and tokens with separate limits", async function () {
+            await owner.sendTransaction({ to: faucet.target, value: ethers.parseEther("1") });
+            
+            await expect(faucet.connect(user1).withdraw(ethers.ZeroAddress)).to.changeEtherBalances(
+                [faucet, user1],
+                [-ETH_LIMIT, ETH_LIMIT]
+            );
+            await faucet.connect(user1).withdraw(token.target);
+            await expect(faucet.connect(user1).withdraw(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+                faucet,
+                "DailyLimitExceeded"
+            );
+            
+            expect(await faucet.getAssets()).to.deep.equal([token.target, ethers.ZeroAddress]);
+            expect(await faucet.totalDistributed(ethers.ZeroAddress)).to.equal(ETH_LIMIT);
+            // The single-token views only cover the token the faucet was deployed with
+            expect(await faucet.getTotalDistributed()).to.equal(DAILY_LIMIT);
+            expect(await faucet.getDailyTotal(user1.address)).to.equal(DAILY_LIMIT);
+            expect(await faucet.userCount()).to.equal(1);
+        });
+    });
+
+    describe("Owner withdrawals", function () {
+        it("Should let the owner withdraw dispensed tokens and ETH", async function () {
+            const amount = ethers.parseEther("400");
+            await expect(faucet.withdrawFunds(token.target, user2.address, amount))
+                .to.emit(faucet, "FundsWithdrawn")
+                .withArgs(token.target, user2.address, amount);
+            expect(await token.balanceOf(faucet.target)).to.equal(ethers.parseEther("600"));
+
+            await owner.sendTransaction({ to: faucet.target, value: 1000 });
+            await expect(faucet.withdrawFunds(ethers.ZeroAddress, user2.address, 1000)).to.changeEtherBalances(
+                [faucet, user2],
+                [-1000, 1000]
+            );
+        });
+
+        it("Should let the owner withdraw ETH the faucet never dispensed", async function () {
+            await faucet.fundFaucet(ethers.ZeroAddress, 500, { value: 500 });
+            expect(await faucet.getAssets()).to.deep.equal([token.target]);
+
+            await expect(faucet.withdrawFunds(ethers.ZeroAddress, user2.address, 500))
+                .to.emit(faucet, "FundsWithdrawn")
+                .withArgs(ethers.ZeroAddress, user2.address, 500);
+            expect(await ethers.provider.getBalance(faucet.target)).to.equal(0);
+        });
+
+        it("Should let the owner rescue tokens the faucet does not dispense", async function () {
+            const other = await (await ethers.getContractFactory("TestTokenB")).deploy();
+            await other.transfer(faucet.target, 500);
+            
+            await expect(faucet.withdrawFunds(other.target, owner.address, 500))
+                .to.be.revertedWithCustomError(faucet, "AssetNotDispensed")
+                .withArgs(other.target);
+            await expect(faucet.rescueTokens(other.target, user2.address, 500))
+                .to.emit(faucet, "TokensRescued")
+                .withArgs(other.target, user2.address, 500);
+            expect(await other.balanceOf(user2.address)).to.equal(500);
+            
+            await expect(faucet.rescueTokens(token.target, owner.address, 1))
+                .to.be.revertedWithCustomError(faucet, "AssetListed")
+                .withArgs(token.target);
+        });
+        
+        it("Should keep withdrawals and rescues to the owner", async function () {
+            await faucet.grantRole(await faucet.FUNDER_ROLE(), user1.address);
+            
+            await expect(faucet.connect(user1).withdrawFunds(token.target, user1.address, 1))
+                .to.be.revertedWithCustomError(faucet, "OwnableUnauthorizedAccount")
+                .withArgs(user1.address);
+            await expect(faucet.connect(user1).rescueTokens(token.target, user1.address, 1))
+                .to.be.revertedWithCustomError(faucet, "OwnableUnauthorizedAccount")
+                .withArgs(user1.address);
+        });
+    });
+
+    describe("Allowlist", function () {
+        const NO_VOUCHER = { deadline: 0, signature: "0x" };
+        let allowlist;
+        
+        beforeEach(async function () {
+            allowlist = buildAllowlist([user1.address, owner.address]);
+            await expect(faucet.setAllowlistRoot(allowlist.root))
+                .to.emit(faucet, "AllowlistRootSet")
+                .withArgs(allowlist.root);
+        });
+        
+        it("Should require a proof to withdraw", async function () {
+            await expect(faucet.connect(user1).withdraw(token.target)).to.be.revertedWithCustomError(
+                faucet,
+                "CredentialsRequired"
+            );
+            
+            await expect(faucet.connect(user1).withdrawWithCredentials(token.target, allowlist.proofs[user1.address], NO_VOUCHER))
+                .to.emit(faucet, "TokensWithdrawn")
+                .withArgs(user1.address, token.target, DAILY_LIMIT);
+        });
+        
+        it("Should reject accounts outside the allowlist", async function () {
+            expect(await faucet.isAllowlisted(user2.address, allowlist.proofs[user1.address])).to.be.false;
+            await expect(faucet.connect(user2).withdrawWithCredentials(token.target, allowlist.proofs[user1.address], NO_VOUCHER))
+                .to.be.revertedWithCustomError(faucet, "NotAllowlisted")
+                .withArgs(user2.address);
+            
+            // A zero root turns the allowlist off
+            await faucet.setAllowlistRoot(ethers.ZeroHash);
+            await faucet.connect(user2).withdraw(token.target);
+        });
+    });
+
+    describe("Vouchers", function () {
+        let signer;
+        
+        async function voucherFor(user, asset, ttl = 600) {
+            return signVoucher(faucet, signer, user.address, asset, BigInt((await time.latest()) + ttl));
+        }
+        
+        beforeEach(async function () {
+            signer = user2;
+            await expect(faucet.setVoucherSigner(signer.address))
+                .to.emit(faucet, "VoucherSignerSet")
+                .withArgs(signer.address);
+        });
+        
+        it("Should pay out once per voucher", async function () {
+            await expect(faucet.connect(user1).withdraw(token.target)).to.be.revertedWithCustomError(
+                faucet,
+                "CredentialsRequired"
+            );
+            
+            await faucet.setCooldown(60);
+            const voucher = await voucherFor(user1, token.target);
+            await faucet.connect(user1).withdrawWithCredentials(token.target, [], voucher);
+            expect(await faucet.nonces(user1.address)).to.equal(1);
+            
+            await time.increase(60);
+            await expect(faucet.connect(user1).withdrawWithCredentials(token.target, [], voucher)).to.be.revertedWithCustomError(
+                faucet,
+                "InvalidVoucher"
+            );
+            await faucet.connect(user1).withdrawWithCredentials(token.target, [], await voucherFor(user1, token.target));
+        });
+        
+        it("Should reject expired vouchers", async function () {
+            const voucher = await voucherFor(user1, token.target, 10);
+            await time.increase(11);
+            
+            await expect(faucet.connect(user1).withdrawWithCredentials(token.target, [], voucher))
+                .to.be.revertedWithCustomError(faucet, "VoucherExpired")
+                .withArgs(voucher.deadline);
+        });
+        
+        it("Should bind vouchers to the signer, the user and the asset", async function () {
+            await faucet.setDailyLimit(ethers.ZeroAddress, 1);
+            await owner.sendTransaction({ to: faucet.target, value: 1 });
+            
+            const forgeries = [
+                [user1, token.target, await signVoucher(faucet, owner, user1.address, token.target, BigInt((await time.latest()) + 600))],
+                [owner, token.target, await voucherFor(user1, token.target)],
+                [user1, ethers.ZeroAddress, await voucherFor(user1, token.target)],
+            ];
+            for (const [user, asset, voucher] of forgeries) {
+                await expect(faucet.connect(user).withdrawWithCredentials(asset, [], voucher)).to.be.revertedWithCustomError(
+                    faucet,
+                    "InvalidVoucher"
+                );
+            }
+        });
+        
+        it("Should require both a proof and a voucher when both are enabled", async function () {
+            const allowlist = buildAllowlist([user1.address]);
+            await faucet.setAllowlistRoot(allowlist.root);
+            const voucher = await voucherFor(user1, token.target);
+            
+            await expect(faucet.connect(user1).withdrawWithCredentials(token.target, [ethers.ZeroHash], voucher))
+                .to.be.revertedWithCustomError(faucet, "NotAllowlisted")
+                .withArgs(user1.address);
+            await faucet.connect(user1).withdrawWithCredentials(token.target, allowlist.proofs[user1.address], voucher);
+        });
+    });
+
+    describe("Eligibility", function () {
+        it("Should require a minimum ETH balance", async function () {
+            const balance = await ethers.provider.getBalance(user1.address);
+            await expect(faucet.setEligibility(balance + 1n, 0))
+                .to.emit(faucet, "EligibilitySet")
+                .withArgs(balance + 1n, 0);
+            
+            await expect(faucet.connect(user1).withdraw(token.target))
+                .to.be.revertedWithCustomError(faucet, "BalanceTooLow")
+                .withArgs(balance + 1n);
+            
+            await owner.sendTransaction({ to: user1.address, value: ethers.parseEther("1") });
+            await faucet.connect(user1).withdraw(token.target);
+        });
+        
+        it("Should require users to wait out the registration delay", async function () {
+            await faucet.setEligibility(0, DAY_IN_SECONDS);
+            
+            await expect(faucet.connect(user1).withdraw(token.target))
+                .to.be.revertedWithCustomError(faucet, "NotRegistered")
+                .withArgs(user1.address);
+            
+            await expect(faucet.connect(user1).register()).to.emit(faucet, "Registered").withArgs(user1.address);
+            const eligibleAt = (await time.latest()) + DAY_IN_SECONDS;
+            expect(await faucet.registeredAt(user1.address)).to.equal(eligibleAt - DAY_IN_SECONDS);
+            await expect(faucet.connect(user1).register())
+                .to.be.revertedWithCustomError(faucet, "AlreadyRegistered")
+                .withArgs(user1.address);
+            
+            await expect(faucet.connect(user1).withdraw(token.target))
+                .to.be.revertedWithCustomError(faucet, "RegistrationTooRecent")
+                .withArgs(eligibleAt);
+            await time.increaseTo(eligibleAt);
+            await faucet.connect(user1).withdraw(token.target);
+        });
+        
+        it("Should keep the gates to the owner", async function () {
+            for (const call of [
+                () => faucet.connect(user1).setAllowlistRoot(ethers.ZeroHash),
+                () => faucet.connect(user1).setVoucherSigner(user1.address),
+                () => faucet.connect(user1).setEligibility(0, 0),
+            ]) {
+                await expect(call()).to.be.revertedWithCustomError(faucet, "OwnableUnauthorizedAccount").withArgs(user1.address);
+            }
+        });
+    });
+
+    describe("Gas", function () {
+        const USERS = 1000;
+        
+        async function withdrawAs(address) {
+            const signer = await ethers.getImpersonatedSigner(address);
+            const tx = await faucet.connect(signer).withdraw(token.target);
+            return (await tx.wait()).gasUsed;
+        }
+        
+        it("Should keep the cost of a withdrawal flat as users grow", async function () {
+            this.timeout(600000);
+            
+            const addresses = Array.from({ length: USERS + 1 }, (_, i) => ethers.getAddress(ethers.toBeHex(0x10000 + i, 20)));
+            for (const address of addresses) {
+                await ethers.provider.send("hardhat_setBalance", [address, ethers.toBeHex(ethers.parseEther("1"))]);
+            }
+            
+            // Start at the beginning of a UTC day so each day's totals are first written by the same withdrawals
+            const latest = await time.latest();
+            await time.increaseTo((Math.floor(latest / DAY_IN_SECONDS) + 1) * DAY_IN_SECONDS);
+            
+            // The first user also initializes the faucet's counters, so compare from the second one
+            await faucet.connect(user1).withdraw(token.target);
+            const firstNewUser = await withdrawAs(addresses[0]);
+            await time.increase(DAY_IN_SECONDS);
+            const firstReturningUser = await withdrawAs(addresses[0]);
+            
+            for (const address of addresses.slice(1, USERS)) {
+                await withdrawAs(address);
+            }
+            const lastNewUser = await withdrawAs(addresses[USERS]);
+            await time.increase(DAY_IN_SECONDS);
+            const lastReturningUser = await withdrawAs(addresses[USERS - 1]);
+            
+            expect(await faucet.userCount()).to.equal(USERS + 2);
+            expect(lastNewUser).to.equal(firstNewUser);
+            expect(lastReturningUser).to.equal(firstReturningUser);
         });
     });
 });
@@ -0,0 +1,56 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const FullStackModule = require("../ignition/modules/FullStack");
+
+describe("FullStackModule", function () {
+  const FAUCET_DAILY_LIMIT = ethers.parseUnits("50", 18);
+  const FAUCET_FUNDING = ethers.parseUnits("5000", 18);
+  const LIQUIDITY_AMOUNT_A = ethers.parseUnits("1000", 18);
+  const LIQUIDITY_AMOUNT_B = ethers.parseUnits("2000", 18);
+  const AIRDROP_FUNDING = ethers.parseUnits("30000", 18);
+
+  let deployment;
+  let owner;
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+
+    deployment = await ignition.deploy(FullStackModule, {
+      parameters: {
+        FullStackModule: {
+          faucetDailyLimit: FAUCET_DAILY_LIMIT,
+          faucetFunding: FAUCET_FUNDING,
+          initialLiquidityA: LIQUIDITY_AMOUNT_A,
+          initialLiquidityB: LIQUIDITY_AMOUNT_B,
+          airdropFunding: AIRDROP_FUNDING,
+        },
+      },
+    });
+  });
+
+  it("Should wire the DEX, airdrop and faucet to the deployed tokens", async function () {
+    const { tokenA, tokenB, dex, airdrop, faucet } = deployment;
+
+    expect(await dex.tokenA()).to.equal(await tokenA.getAddress());
+    expect(await dex.tokenB()).to.equal(await tokenB.getAddress());
+    expect(await airdrop.token()).to.equal(await tokenA.getAddress());
+    expect(await faucet.getAssets()).to.deep.equal([await tokenA.getAddress()]);
+    expect(await faucet.dailyLimit(tokenA)).to.equal(FAUCET_DAILY_LIMIT);
+  });
+
+  it("Should seed the DEX with the initial liquidity", async function () {
+    const { dex } = deployment;
+
+    const [reserveA, reserveB] = await dex.getReserves();
+    expect(reserveA).to.equal(LIQUIDITY_AMOUNT_A);
+    expect(reserveB).to.equal(LIQUIDITY_AMOUNT_B);
+    expect(await dex.balanceOf(owner.address)).to.be.gt(0);
+  });
+
+  it("Should fund the faucet and the airdrop", async function () {
+    const { tokenA, airdrop, faucet } = deployment;
+
+    expect(await tokenA.balanceOf(await faucet.getAddress())).to.equal(FAUCET_FUNDING);
+    expect(await airdrop.totalAirdropAmount()).to.equal(AIRDROP_FUNDING);
+  });
+});
@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildMerkleTree, verifyProof } = require("../utils/merkle");
+
+describe("MerkleAirdrop", function () {
+  let merkleAirdrop;
+  let tokenA;
+  let owner;
+  let user1;
+  let user2;
+  let user3;
+  let tree;
+  let deadline;
+
+  const AIRDROP_AMOUNT = ethers.parseUnits("100000", 18);
+
+  function claimArgs(account) {
+    const { index, amount, proof } = tree.claims[account.address];
+    return [index, account.address, amount, proof];
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const TokenA = await ethers.getContractFactory("TestTokenA");
+    tokenA = await TokenA.deploy();
+
+    const MerkleAirdrop = await ethers.getContractFactory("MerkleAirdrop");
+    merkleAirdrop = await MerkleAirdrop.deploy(await tokenA.getAddress());
+
+    await tokenA.approve(await merkleAirdrop.getAddress(), AIRDROP_AMOUNT);
+    await merkleAirdrop.addTokensToAirdrop(AIRDROP_AMOUNT);
+
+    tree = buildMerkleTree([
+      { address: user1.address, amount: ethers.parseUnits("100", 18) },
+      { address: user2.address, amount: ethers.parseUnits("250", 18) },
+      { address: user3.address, amount: ethers.parseUnits("75", 18) },
+    ]);
+    deadline = (await time.latest()) + 7 * 24 * 3600;
+  });
+
+  describe("Merkle root", function () {
+    it("Should set the root and deadline", async function () {
+      await expect(merkleAirdrop.setMerkleRoot(tree.root, deadline))
+        .to.emit(merkleAirdrop, "MerkleRootSet")
+        .withArgs(tree.root, deadline);
+
+      expect(await merkleAirdrop.merkleRoot()).to.equal(tree.root);
+      expect(await merkleAirdrop.claimDeadline()).to.equal(deadline);
+    });
+
+    it("Should only allow the root to be set once", async function () {
+      await merkleAirdrop.setMerkleRoot(tree.root, deadline);
+
+      await expect(merkleAirdrop.setMerkleRoot(tree.root, deadline)).to.be.revertedWith(
+        "MerkleAirdrop: merkle root already set"
+      );
+    });
+
+    it("Should fail if the deadline is in the past", async function () {
+      await expect(merkleAirdrop.setMerkleRoot(tree.root, (await time.latest()) - 1)).to.be.revertedWith(
+        "MerkleAirdrop: deadline must be in the future"
+      );
+    });
+
+    it("Should fail if non-owner tries to set the root", async function () {
+      await expect(merkleAirdrop.connect(user1).setMerkleRoot(tree.root, deadline)).to.be.reverted;
+    });
+  });
+
+  describe("Claims", function () {
+    beforeEach(async function () {
+      await merkleAirdrop.setMerkleRoot(tree.root, deadline);
+    });
+
+    it("Should let every recipient claim with their proof", async function () {
+      for (const user of [user1, user2, user3]) {
+        const [index, account, amount] = claimArgs(user);
+
+        await expect(merkleAirdrop.connect(user).claim(...claimArgs(user)))
+          .to.emit(merkleAirdrop, "Claimed")
+          .withArgs(index, account, amount);
+
+        expect(await tokenA.balanceOf(user.address)).to.equal(amount);
+        expect(await merkleAirdrop.isClaimed(index)).to.be.true;
+      }
+
+      expect(await merkleAirdrop.claimedAmount()).to.equal(tree.total);
+    });
+
+    it("Should send the tokens to the account even if someone else submits", async function () {
+      await merkleAirdrop.connect(user3).claim(...claimArgs(user1));
+
+      expect(await tokenA.balanceOf(user1.address)).to.equal(ethers.parseUnits("100", 18));
+      expect(await tokenA.balanceOf(user3.address)).to.equal(0);
+    });
+
+    it("Should prevent double claims", async function () {
+      await merkleAirdrop.connect(user1).claim(...claimArgs(user1));
+
+      await expect(merkleAirdrop.connect(user1).claim(...claimArgs(user1))).to.be.revertedWith(
+        "MerkleAirdrop: already claimed"
+      );
+    });
+
+    it("Should reject a tampered amount or account", async function () {
+      const [index, account, amount, proof] = claimArgs(user1);
+
+      await expect(merkleAirdrop.claim(index, account, amount + 1n, proof)).to.be.revertedWith(
+        "MerkleAirdrop: invalid proof"
+      );
+      await expect(merkleAirdrop.claim(index, user2.address, amount, proof)).to.be.revertedWith(
+        "MerkleAirdrop: invalid proof"
+      );
+    });
+
+    it("Should reject claims after the deadline", async function () {
+      await time.increaseTo(deadline + 1);
+
+      await expect(merkleAirdrop.connect(user1).claim(...claimArgs(user1))).to.be.revertedWith(
+        "MerkleAirdrop: claim period ended"
+      );
+    });
+  });
+
+  describe("Unclaimed tokens", function () {
+    beforeEach(async function () {
+      await merkleAirdrop.setMerkleRoot(tree.root, deadline);
+      await merkleAirdrop.connect(user1).claim(...claimArgs(user1));
+    });
+
+    it("Should not allow withdrawal before the deadline", async function () {
+      await expect(merkleAirdrop.withdrawRemainingTokens(owner.address)).to.be.revertedWith(
+        "MerkleAirdrop: claim period not ended"
+      );
+    });
+
+    it("Should let the owner reclaim unclaimed tokens after the deadline", async function () {
+      await time.increaseTo(deadline + 1);
+      const initialOwnerBalance = await tokenA.balanceOf(owner.address);
+      const remaining = AIRDROP_AMOUNT - ethers.parseUnits("100", 18);
+
+      await expect(merkleAirdrop.withdrawRemainingTokens(owner.address))
+        .to.emit(merkleAirdrop, "UnclaimedTokensWithdrawn")
+        .withArgs(owner.address, remaining);
+
+      expect(await tokenA.balanceOf(owner.address)).to.equal(initialOwnerBalance + remaining);
+    });
+
+    it("Should fail if non-owner tries to withdraw", async function () {
+      await time.increaseTo(deadline + 1);
+
+      await expect(merkleAirdrop.connect(user1).withdrawRemainingTokens(user1.address)).to.be.reverted;
+    });
+  });
+
+  describe("Tree builder", function () {
+    let dir;
+    let log;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "merkle-"));
+      log = console.log;
+      console.log = () => {};
+    });
+
+    afterEach(function () {
+      console.log = log;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should produce proofs the contract accepts for larger, odd-sized lists", async function () {
+      const signers = (await ethers.getSigners()).slice(1, 12);
+      const file = path.join(dir, "recipients.csv");
+      const out = path.join(dir, "proofs.json");
+      fs.writeFileSync(file, signers.map((signer, i) => `${signer.address},${i + 1}`).join("\n"));
+
+      const { root, claims } = await hre.run("airdrop:merkle-build", { file, out, decimals: 18 });
+      expect(JSON.parse(fs.readFileSync(out, "utf8")).root).to.equal(root);
+
+      await merkleAirdrop.setMerkleRoot(root, deadline);
+      for (const signer of signers) {
+        const { index, amount, proof } = claims[signer.address];
+        expect(verifyProof(root, index, signer.address, amount, proof)).to.be.true;
+        await merkleAirdrop.connect(signer).claim(index, signer.address, amount, proof);
+      }
+
+      expect(await merkleAirdrop.claimedAmount()).to.equal(ethers.parseUnits("66", 18));
+    });
+
+    it("Should handle a single recipient", async function () {
+      const single = buildMerkleTree([{ address: user1.address, amount: 5n }]);
+
+      await merkleAirdrop.setMerkleRoot(single.root, deadline);
+      await merkleAirdrop.claim(0, user1.address, 5n, single.claims[user1.address].proof);
+
+      expect(await tokenA.balanceOf(user1.address)).to.equal(5n);
+    });
+  });
+});
@@ -0,0 +1,249 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { normalizeRecipients, parseCsv, parseJson, chunk } = require("../utils/recipients");
+
+describe("Airdrop tasks", function () {
+  let dir;
+  let log;
+  let owner;
+  let users;
+
+  beforeEach(async function () {
+    [owner, ...users] = await ethers.getSigners();
+    users = users.slice(0, 5);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "recipients-"));
+
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Recipient lists", function () {
+    const ADDRESS = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+    it("Should parse CSV with or without a header", function () {
+      expect(parseCsv(`address,amount\n${ADDRESS},1.5\n\n`)).to.deep.equal([
+        { address: ADDRESS, amount: "1.5", line: 2 },
+      ]);
+      expect(parseCsv(`${ADDRESS}, 2`)).to.deep.equal([{ address: ADDRESS, amount: "2", line: 1 }]);
+    });
+
+    it("Should parse JSON arrays and maps", function () {
+      expect(parseJson(JSON.stringify([{ address: ADDRESS, amount: 3 }]))).to.deep.equal([
+        { address: ADDRESS, amount: "3", line: 1 },
+      ]);
+      expect(parseJson(JSON.stringify({ [ADDRESS]: "4" }))).to.deep.equal([{ address: ADDRESS, amount: "4", line: 1 }]);
+    });
+
+    it("Should checksum addresses and drop exact duplicates", function () {
+      const { recipients, duplicates } = normalizeRecipients(
+        [
+          { address: ADDRESS.toLowerCase(), amount: "1", line: 1 },
+          { address: ADDRESS, amount: "1", line: 2 },
+        ],
+        18
+      );
+
+      expect(recipients).to.deep.equal([{ address: ADDRESS, amount: ethers.parseUnits("1", 18) }]);
+      expect(duplicates).to.deep.equal([ADDRESS]);
+    });
+
+    it("Should reject bad checksums, bad amounts and conflicting duplicates", function () {
+      const badChecksum = ADDRESS.replace("C8", "c8");
+
+      expect(() =>
+        normalizeRecipients(
+          [
+            { address: badChecksum, amount: "1", line: 1 },
+            { address: ADDRESS, amount: "abc", line: 2 },
+            { address: ADDRESS, amount: "1", line: 3 },
+            { address: ADDRESS, amount: "2", line: 4 },
+          ],
+          18
+        )
+      ).to.throw(/3 invalid entries[\s\S]*entry 1: invalid address[\s\S]*entry 2: invalid amount[\s\S]*entry 4/);
+    });
+
+    it("Should chunk lists", function () {
+      expect(chunk([1, 2, 3, 4, 5], 2)).to.deep.equal([[1, 2], [3, 4], [5]]);
+    });
+  });
+
+  describe("Airdrop campaign", function () {
+    let airdrop;
+    let tokenA;
+    let args;
+
+    beforeEach(async function () {
+      const TokenA = await ethers.getContractFactory("TestTokenA");
+      tokenA = await TokenA.deploy();
+      const Airdrop = await ethers.getContractFactory("Airdrop");
+      airdrop = await Airdrop.deploy(await tokenA.getAddress());
+      args = { airdrop: await airdrop.getAddress(), contractName: "Airdrop" };
+
+      await hre.run("airdrop:set-period", { ...args, duration: 3600 });
+      for (const user of users) {
+        await airdrop.connect(user).register();
+      }
+      await airdrop.mintTokensForAirdrop(ethers.parseUnits("1000", 18));
+      await time.increase(3601);
+    });
+
+    function writeCsv(lines) {
+      const file = path.join(dir, "recipients.csv");
+      fs.writeFileSync(file, ["address,amount", ...lines].join("\n"));
+      return file;
+    }
+
+    it("Should set amounts in batches", async function () {
+      const file = writeCsv(users.map((user, i) => `${user.address.toLowerCase()},${10 * (i + 1)}`));
+
+      const receipts = await hre.run("airdrop:set-amounts", { ...args, file, batchSize: 2 });
+
+      expect(receipts).to.have.lengthOf(3);
+      for (const [i, user] of users.entries()) {
+        expect(await airdrop.airdropAmounts(user.address)).to.equal(ethers.parseUnits(String(10 * (i + 1)), 18));
+      }
+      expect(await airdrop.distributedAmount()).to.equal(ethers.parseUnits("150", 18));
+    });
+
+    it("Should resume setting amounts without allocating them twice", async function () {
+      const amounts = users.map((user, i) => ethers.parseUnits(String(10 * (i + 1)), 18));
+      const file = writeCsv(users.map((user, i) => `${user.address},${10 * (i + 1)}`));
+
+      // Simulate a run that stopped after the first batch
+      await airdrop.setAirdropAmounts([users[0].address, users[1].address], amounts.slice(0, 2));
+      const receipts = await hre.run("airdrop:set-amounts", { ...args, file, batchSize: 2 });
+
+      expect(receipts).to.have.lengthOf(2);
+      for (const [i, user] of users.entries()) {
+        expect(await airdrop.airdropAmounts(user.address)).to.equal(amounts[i]);
+      }
+      expect(await airdrop.distributedAmount()).to.equal(ethers.parseUnits("150", 18));
+      expect(await hre.run("airdrop:set-amounts", { ...args, file })).to.deep.equal([]);
+      expect(await airdrop.distributedAmount()).to.equal(ethers.parseUnits("150", 18));
+    });
+
+    it("Should estimate a batch size when none is given", async function () {
+      const file = writeCsv(users.map((user) => `${user.address},1`));
+
+      const receipts = await hre.run("airdrop:set-amounts", { ...args, file });
+
+      expect(receipts).to.have.lengthOf(1);
+    });
+
+    it("Should not send anything in dry-run mode", async function () {
+      const file = writeCsv(users.map((user) => `${user.address},1`));
+
+      await hre.run("airdrop:set-amounts", { ...args, file, dryRun: true });
+
+      expect(await airdrop.distributedAmount()).to.equal(0);
+    });
+
+    it("Should refuse allocations above the funded amount", async function () {
+      const file = writeCsv(users.map((user) => `${user.address},300`));
+
+      await expect(hre.run("airdrop:set-amounts", { ...args, file })).to.be.rejectedWith(
+        "Airdrop: 500.0 TTA missing for this allocation"
+      );
+    });
+
+    it("Should refuse unregistered recipients", async function () {
+      const file = writeCsv([`${users[0].address},1`, `${owner.address},1`]);
+
+      await expect(hre.run("airdrop:set-amounts", { ...args, file })).to.be.rejectedWith(
+        `Airdrop: 1 recipients are not registered: ${owner.address}`
+      );
+    });
+
+    it("Should report campaign status and distribute", async function () {
+      const file = writeCsv(users.map((user) => `${user.address},1`));
+      await hre.run("airdrop:set-amounts", { ...args, file });
+
+      await hre.run("airdrop:distribute", args);
+      const status = await hre.run("airdrop:status", args);
+
+      expect(status.registeredCount).to.equal(5);
+      expect(status.isDistributionComplete).to.be.true;
+      expect(status.balance).to.equal(ethers.parseUnits("995", 18));
+    });
+
+    it("Should distribute in batches and resume from the on-chain cursor", async function () {
+      const file = writeCsv(users.map((user) => `${user.address},1`));
+      await hre.run("airdrop:set-amounts", { ...args, file });
+
+      // Simulate a run that stopped after the first batch
+      await airdrop.distributeBatch(0, 2);
+      const receipts = await hre.run("airdrop:distribute", { ...args, batchSize: 2 });
+
+      expect(receipts).to.have.lengthOf(2);
+      expect(await airdrop.distributionCursor()).to.equal(5);
+      for (const user of users) {
+        expect(await tokenA.balanceOf(user.address)).to.equal(ethers.parseUnits("1", 18));
+      }
+      expect(await hre.run("airdrop:distribute", args)).to.deep.equal([]);
+    });
+  });
+
+  describe("AirdropV2 campaign", function () {
+    let airdropV2;
+    let tokenA;
+    let args;
+
+    beforeEach(async function () {
+      const TokenA = await ethers.getContractFactory("TestTokenA");
+      tokenA = await TokenA.deploy();
+      const AirdropV2 = await ethers.getContractFactory("AirdropV2");
+      airdropV2 = await AirdropV2.deploy(await tokenA.getAddress());
+      args = { airdrop: await airdropV2.getAddress(), contractName: "AirdropV2" };
+
+      await tokenA.approve(await airdropV2.getAddress(), ethers.parseUnits("100", 18));
+      await airdropV2.addTokensToAirdrop(ethers.parseUnits("100", 18));
+      await hre.run("airdrop:set-period", { ...args, duration: 3600 });
+      for (const user of users) {
+        await airdropV2.connect(user).register();
+      }
+      await time.increase(3601);
+    });
+
+    it("Should set the uniform amount when it is covered", async function () {
+      await hre.run("airdrop:set-uniform", { ...args, amount: "20" });
+
+      expect(await airdropV2.amountPerUser()).to.equal(ethers.parseUnits("20", 18));
+    });
+
+    it("Should refuse a uniform amount above the funded amount", async function () {
+      await expect(hre.run("airdrop:set-uniform", { ...args, amount: "21" })).to.be.rejectedWith(
+        "Airdrop: 5.0 TTA missing for this amount"
+      );
+    });
+
+    it("Should open claims and sweep what is left after the deadline", async function () {
+      await hre.run("airdrop:set-uniform", { ...args, amount: "20" });
+      await hre.run("airdrop:open-claims", { ...args, duration: 3600 });
+      await airdropV2.connect(users[0]).claim();
+
+      await expect(hre.run("airdrop:sweep", args)).to.be.rejectedWith("Airdrop: claim period not ended");
+      await time.increase(3601);
+      await hre.run("airdrop:sweep", { ...args, to: users[1].address });
+
+      expect(await tokenA.balanceOf(users[1].address)).to.equal(ethers.parseUnits("80", 18));
+      expect((await hre.run("airdrop:status", args)).isDistributionComplete).to.be.true;
+    });
+
+    it("Should refuse per-user amounts", async function () {
+      await expect(hre.run("airdrop:set-amounts", { ...args, file: "unused.csv" })).to.be.rejectedWith(
+        "use airdrop:set-uniform"
+      );
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployStack } = require("../utils/deployer");
+const { bootstrapStack } = require("../utils/bootstrap");
+
+describe("bootstrapStack", function () {
+  const config = {
+    liquidity: { amountA: "1000", ratio: "2.5" },
+    faucet: { dailyLimit: "10", funding: "500" },
+    airdrop: { funding: "20000", registrationStartDelay: 60, registrationDuration: 3600 },
+    timelock: { minDelay: 60 },
+  };
+
+  let dir;
+  let log;
+  let addresses;
+  let dex;
+  let faucet;
+  let airdrop;
+  let tokenA;
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bootstrap-"));
+    log = console.log;
+    console.log = () => {};
+
+    addresses = await deployStack(hre, { dir, config });
+    dex = await ethers.getContractAt("DEX", addresses.DEX);
+    faucet = await ethers.getContractAt("Faucet", addresses.Faucet);
+    airdrop = await ethers.getContractAt("AirdropV2", addresses.AirdropV2);
+    tokenA = await ethers.getContractAt("TestTokenA", addresses.TestTokenA);
+  });
+
+  afterEach(function () {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should seed the DEX at the target ratio", async function () {
+    await bootstrapStack(hre, addresses, { config });
+
+    const [reserveA, reserveB] = await dex.getReserves();
+    expect(reserveA).to.equal(ethers.parseUnits("1000", 18));
+    expect(reserveB).to.equal(ethers.parseUnits("2500", 18));
+  });
+
+  it("Should fund the faucet and the airdrop and open registration", async function () {
+    await bootstrapStack(hre, addresses, { config });
+
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    expect(await tokenA.balanceOf(addresses.Faucet)).to.equal(ethers.parseUnits("500", 18));
+    expect(await faucet.dailyLimit(addresses.TestTokenA)).to.equal(ethers.parseUnits("10", 18));
+    expect(await airdrop.totalAirdropAmount()).to.equal(ethers.parseUnits("20000", 18));
+
+    const startTime = await airdrop.registrationStartTime();
+    expect(startTime).to.be.closeTo(BigInt(timestamp + 60), 5n);
+    expect(await airdrop.registrationEndTime()).to.equal(startTime + 3600n);
+  });
+
+  it("Should be safe to run twice", async function () {
+    await bootstrapStack(hre, addresses, { config });
+    const [reserveA, reserveB] = await dex.getReserves();
+
+    await bootstrapStack(hre, addresses, { config });
+
+    expect(await dex.getReserves()).to.deep.equal([reserveA, reserveB]);
+    expect(await tokenA.balanceOf(addresses.Faucet)).to.equal(ethers.parseUnits("500", 18));
+    expect(await airdrop.totalAirdropAmount()).to.equal(ethers.parseUnits("20000", 18));
+  });
+
+  it("Should only top up the faucet balance", async function () {
+    await tokenA.transfer(addresses.Faucet, ethers.parseUnits("200", 18));
+
+    await bootstrapStack(hre, addresses, { config });
+
+    expect(await tokenA.balanceOf(addresses.Faucet)).to.equal(ethers.parseUnits("500", 18));
+  });
+
+  it("Should not send transactions in dry-run mode", async function () {
+    const [deployer] = await ethers.getSigners();
+    const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+
+    await bootstrapStack(hre, addresses, { config, dryRun: true });
+
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore);
+    expect(await dex.totalSupply()).to.equal(0);
+  });
+});
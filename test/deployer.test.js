@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { STACK, deployStack } = require("../utils/deployer");
+const { readRegistry } = require("../utils/registry");
+
+describe("deployStack", function () {
+  let dir;
+  let deployer;
+  let log;
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployer-"));
+    [deployer] = await ethers.getSigners();
+
+    // Keep the deployment output out of the test report
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should deploy the whole stack and record it", async function () {
+    const addresses = await deployStack(hre, { dir });
+    const registry = readRegistry(hre.network.name, dir);
+
+    expect(Object.keys(registry.contracts)).to.deep.equal(["TestTokenA", "TestTokenB", "DEX", "DEXFactory", "DEXRouter", "AirdropV2", "Faucet", "Timelock"]);
+
+    const dex = await ethers.getContractAt("DEX", addresses.DEX);
+    expect(await dex.tokenA()).to.equal(addresses.TestTokenA);
+    expect(await dex.tokenB()).to.equal(addresses.TestTokenB);
+  });
+
+  it("Should only deploy what is missing after an interrupted run", async function () {
+    // Simulate a run that failed after the DEX
+    const first = await deployStack(hre, { dir, stack: STACK.slice(0, 3) });
+    const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+
+    const second = await deployStack(hre, { dir });
+
+    expect(second.TestTokenA).to.equal(first.TestTokenA);
+    expect(second.TestTokenB).to.equal(first.TestTokenB);
+    expect(second.DEX).to.equal(first.DEX);
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore + 5);
+
+    const airdrop = await ethers.getContractAt("AirdropV2", second.AirdropV2);
+    expect(await airdrop.token()).to.equal(first.TestTokenA);
+  });
+
+  it("Should redeploy contracts whose code is gone", async function () {
+    const first = await deployStack(hre, { dir });
+    await ethers.provider.send("hardhat_setCode", [first.DEX, "0x"]);
+
+    const second = await deployStack(hre, { dir });
+
+    expect(second.DEX).to.not.equal(first.DEX);
+    expect(second.TestTokenA).to.equal(first.TestTokenA);
+    expect(second.AirdropV2).to.equal(first.AirdropV2);
+  });
+
+  it("Should redeploy dependents when a dependency is redeployed", async function () {
+    const first = await deployStack(hre, { dir });
+    await ethers.provider.send("hardhat_setCode", [first.TestTokenB, "0x"]);
+
+    const second = await deployStack(hre, { dir });
+
+    expect(second.TestTokenB).to.not.equal(first.TestTokenB);
+    expect(second.DEX).to.not.equal(first.DEX);
+    expect(second.AirdropV2).to.equal(first.AirdropV2);
+  });
+
+  it("Should not reuse contracts recorded on another chain", async function () {
+    const first = await deployStack(hre, { dir });
+    const file = path.join(dir, `${hre.network.name}.json`);
+    const registry = JSON.parse(fs.readFileSync(file, "utf8"));
+    fs.writeFileSync(file, JSON.stringify({ ...registry, chainId: 1 }));
+
+    // The addresses still have code here, but were recorded for another chain
+    const second = await deployStack(hre, { dir });
+
+    for (const name of Object.keys(first)) {
+      expect(second[name]).to.not.equal(first[name]);
+    }
+    expect(readRegistry(hre.network.name, dir).chainId).to.equal(Number((await ethers.provider.getNetwork()).chainId));
+  });
+
+  it("Should not send transactions in dry-run mode", async function () {
+    const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+
+    const planned = await deployStack(hre, { dir, dryRun: true });
+
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore);
+    expect(fs.existsSync(path.join(dir, `${hre.network.name}.json`))).to.be.false;
+
+    // Predicted addresses match the real deployment
+    const deployed = await deployStack(hre, { dir });
+    expect(planned).to.deep.equal(deployed);
+  });
+});
@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { applySlippage, parseSlippage, quoteLiquidityAmounts, getDeadline } = require("../utils/dex");
+
+describe("DEX tasks", function () {
+  let dex;
+  let tokenA;
+  let tokenB;
+  let owner;
+  let user1;
+  let log;
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const TokenA = await ethers.getContractFactory("TestTokenA");
+    tokenA = await TokenA.deploy();
+    const TokenB = await ethers.getContractFactory("TestTokenB");
+    tokenB = await TokenB.deploy();
+    const DEX = await ethers.getContractFactory("DEX");
+    dex = await DEX.deploy(await tokenA.getAddress(), await tokenB.getAddress());
+
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = log;
+  });
+
+  describe("Helpers", function () {
+    it("Should convert slippage percentages to basis points", function () {
+      expect(parseSlippage("0.5")).to.equal(50n);
+      expect(parseSlippage(1)).to.equal(100n);
+      expect(() => parseSlippage("101")).to.throw("DEX: invalid slippage 101%");
+      expect(() => parseSlippage("abc")).to.throw("DEX: invalid slippage abc%");
+    });
+
+    it("Should apply slippage to expected amounts", function () {
+      expect(applySlippage(10_000n, 50n)).to.equal(9_950n);
+      expect(applySlippage(10_000n, 0n)).to.equal(10_000n);
+    });
+
+    it("Should mirror the DEX liquidity ratio", function () {
+      expect(quoteLiquidityAmounts(100n, 300n, 0n, 0n)).to.deep.equal({ amountA: 100n, amountB: 300n });
+      expect(quoteLiquidityAmounts(100n, 300n, 1000n, 2000n)).to.deep.equal({ amountA: 100n, amountB: 200n });
+      expect(quoteLiquidityAmounts(100n, 100n, 1000n, 2000n)).to.deep.equal({ amountA: 50n, amountB: 100n });
+    });
+    it("Should compute deadlines from the latest block", async function () {
+      await time.increase(7 * 24 * 3600);
+      const latest = await time.latest();
+
+      expect(await getDeadline(hre)).to.equal(latest + 20 * 60);
+      expect(await getDeadline(hre, "1.5")).to.equal(latest + 90);
+      await expect(getDeadline(hre, "0")).to.be.rejectedWith("DEX: invalid deadline of 0 minutes");
+    });
+  });
+
+  describe("Tasks", function () {
+    beforeEach(async function () {
+      await hre.run("dex:add-liquidity", { dex: await dex.getAddress(), amountA: "1000", amountB: "2000" });
+    });
+
+    it("Should add liquidity with human readable amounts", async function () {
+      const [reserveA, reserveB] = await dex.getReserves();
+      expect(reserveA).to.equal(ethers.parseUnits("1000", 18));
+      expect(reserveB).to.equal(ethers.parseUnits("2000", 18));
+      expect(await dex.balanceOf(owner.address)).to.be.gt(0);
+    });
+
+    it("Should return the reserves", async function () {
+      const { reserveA, reserveB } = await hre.run("dex:reserves", { dex: await dex.getAddress() });
+      expect(reserveA).to.equal(ethers.parseUnits("1000", 18));
+      expect(reserveB).to.equal(ethers.parseUnits("2000", 18));
+    });
+
+    it("Should quote by token symbol", async function () {
+      const amountOut = await hre.run("dex:quote", { dex: await dex.getAddress(), tokenIn: "TTA", amount: "10" });
+      expect(amountOut).to.equal(await dex.getAmountOut(ethers.parseUnits("10", 18), await tokenA.getAddress()));
+    });
+
+    it("Should swap and emit TokenSwap", async function () {
+      const amountIn = ethers.parseUnits("20", 18);
+      const expectedAmountOut = await dex.getAmountOut(amountIn, await tokenB.getAddress());
+
+      const receipt = await hre.run("dex:swap", {
+        dex: await dex.getAddress(),
+        tokenIn: await tokenB.getAddress(),
+        amount: "20",
+        to: user1.address,
+      });
+
+      await expect(receipt)
+        .to.emit(dex, "TokenSwap")
+        .withArgs(owner.address, amountIn, await tokenB.getAddress(), expectedAmountOut, await tokenA.getAddress());
+      expect(await tokenA.balanceOf(user1.address)).to.equal(expectedAmountOut);
+    });
+
+    it("Should reject unknown tokens", async function () {
+      await expect(
+        hre.run("dex:quote", { dex: await dex.getAddress(), tokenIn: "XYZ", amount: "1" })
+      ).to.be.rejectedWith("DEX: XYZ is neither TTA nor TTB");
+    });
+
+    it("Should remove all liquidity", async function () {
+      await hre.run("dex:remove-liquidity", { dex: await dex.getAddress(), liquidity: "all" });
+
+      expect(await dex.balanceOf(owner.address)).to.equal(0);
+    });
+
+    it("Should reject removing liquidity from an empty pool or without LP tokens", async function () {
+      const DEX = await ethers.getContractFactory("DEX");
+      const empty = await DEX.deploy(await tokenA.getAddress(), await tokenB.getAddress());
+      await expect(
+        hre.run("dex:remove-liquidity", { dex: await empty.getAddress(), liquidity: "all" })
+      ).to.be.rejectedWith("DEX: the pool has no liquidity to remove");
+
+      await expect(
+        hre.run("dex:remove-liquidity", { dex: await dex.getAddress(), liquidity: "0" })
+      ).to.be.rejectedWith("DEX: --liquidity must be more than 0");
+      await dex.transfer(user1.address, await dex.balanceOf(owner.address));
+      await expect(
+        hre.run("dex:remove-liquidity", { dex: await dex.getAddress(), liquidity: "all" })
+      ).to.be.rejectedWith(`DEX: ${owner.address} holds no LP tokens`);
+    });
+
+    it("Should send swaps with a deadline relative to the latest block", async function () {
+      const receipt = await hre.run("dex:swap", {
+        dex: await dex.getAddress(),
+        tokenIn: "TTA",
+        amount: "1",
+        deadline: "5",
+      });
+
+      // The deadline is based on the block before the swap (after the approval)
+      const previous = await ethers.provider.getBlock(receipt.blockNumber - 1);
+      const { args } = dex.interface.parseTransaction(await ethers.provider.getTransaction(receipt.hash));
+      expect(args.deadline).to.equal(previous.timestamp + 5 * 60);
+    });
+
+    it("Should set the swap and protocol fees in percent", async function () {
+      await hre.run("dex:set-fee", { dex: await dex.getAddress(), fee: "0.25", protocolShare: "20" });
+
+      expect(await dex.swapFee()).to.equal(25);
+      expect(await dex.protocolFeeShare()).to.equal(2000);
+      expect(await dex.feeTo()).to.equal(owner.address);
+
+      await hre.run("dex:set-fee", { dex: await dex.getAddress(), feeTo: user1.address });
+      expect(await dex.feeTo()).to.equal(user1.address);
+      expect(await dex.protocolFeeShare()).to.equal(2000);
+
+      await expect(hre.run("dex:set-fee", { dex: await dex.getAddress() })).to.be.rejectedWith(
+        "DEX: pass --fee, --protocol-share or --fee-to"
+      );
+    });
+
+    it("Should swap and add liquidity with permits instead of approvals", async function () {
+      const swap = await hre.run("dex:swap", { dex: await dex.getAddress(), tokenIn: "TTA", amount: "10", permit: true });
+      expect(dex.interface.parseTransaction(await ethers.provider.getTransaction(swap.hash)).name).to.equal("swapWithPermit");
+
+      await hre.run("dex:add-liquidity", { dex: await dex.getAddress(), amountA: "10", amountB: "20", permit: true });
+
+      // One permit per token and transaction, and no allowance left behind
+      expect(await tokenA.nonces(owner.address)).to.equal(2);
+      expect(await tokenB.nonces(owner.address)).to.equal(1);
+      expect(await tokenA.allowance(owner.address, await dex.getAddress())).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadAddresses } = require("../utils/recipients");
+const { verifyAllowlistProof } = require("../utils/merkle");
+const { createVoucherService } = require("../utils/vouchers");
+
+describe("Faucet tasks", function () {
+  const DAILY_LIMIT = 100n;
+  const NO_VOUCHER = { deadline: 0, signature: "0x" };
+
+  let dir;
+  let log;
+  let owner;
+  let signer;
+  let user;
+  let token;
+  let faucet;
+
+  beforeEach(async function () {
+    [owner, signer, user] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "faucet-"));
+
+    log = console.log;
+    console.log = () => {};
+
+    token = await (await ethers.getContractFactory("TestTokenA")).deploy();
+    faucet = await (await ethers.getContractFactory("Faucet")).deploy(token.target, DAILY_LIMIT);
+    await token.transfer(faucet.target, 1000n);
+  });
+
+  afterEach(function () {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Allowlist", function () {
+    it("Should load addresses from text, CSV and JSON files", function () {
+      const text = path.join(dir, "allowlist.txt");
+      fs.writeFileSync(text, `# testers\n${user.address.toLowerCase()}\n\n${user.address}\n${owner.address}\n`);
+      expect(loadAddresses(text)).to.deep.equal({ addresses: [user.address, owner.address], duplicates: [user.address] });
+
+      const csv = path.join(dir, "recipients.csv");
+      fs.writeFileSync(csv, `address,amount\n${owner.address},10\n`);
+      expect(loadAddresses(csv).addresses).to.deep.equal([owner.address]);
+
+      const json = path.join(dir, "allowlist.json");
+      fs.writeFileSync(json, JSON.stringify([user.address, "0x1234"]));
+      expect(() => loadAddresses(json)).to.throw("Recipients: 1 invalid entries\n  entry 2: invalid address 0x1234");
+    });
+
+    it("Should build an allowlist the Faucet accepts", async function () {
+      const file = path.join(dir, "allowlist.txt");
+      const out = path.join(dir, "allowlist.json");
+      fs.writeFileSync(file, `${user.address}\n${owner.address}\n${signer.address}\n`);
+
+      const output = await hre.run("faucet:allowlist-build", { file, out });
+      expect(JSON.parse(fs.readFileSync(out, "utf8"))).to.deep.equal(output);
+      expect(Object.keys(output.proofs)).to.deep.equal([user.address, owner.address, signer.address]);
+      expect(verifyAllowlistProof(output.root, user.address, output.proofs[user.address])).to.be.true;
+      expect(verifyAllowlistProof(output.root, user.address, output.proofs[owner.address])).to.be.false;
+
+      await faucet.setAllowlistRoot(output.root);
+      await expect(faucet.connect(user).withdrawWithCredentials(token.target, output.proofs[user.address], NO_VOUCHER))
+        .to.emit(faucet, "TokensWithdrawn")
+        .withArgs(user.address, token.target, DAILY_LIMIT);
+    });
+  });
+
+  describe("Voucher service", function () {
+    let server;
+    let url;
+
+    async function requestVoucher(body) {
+      const response = await fetch(url, { method: "POST", body: JSON.stringify(body) });
+      return { status: response.status, body: await response.json() };
+    }
+
+    beforeEach(async function () {
+      await faucet.setVoucherSigner(signer.address);
+      server = createVoucherService({
+        faucet,
+        signer,
+        ttl: 600,
+        verifyCaptcha: async (response) => response === "solved",
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      url = `http://127.0.0.1:${server.address().port}/voucher`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("Should sign vouchers for solved captchas", async function () {
+      const { status, body } = await requestVoucher({ address: user.address, asset: token.target, captcha: "solved" });
+
+      expect(status).to.equal(200);
+      expect(body).to.include({ user: user.address, asset: token.target, nonce: "0" });
+      expect(BigInt(body.deadline)).to.equal(BigInt((await time.latest()) + 600));
+
+      await expect(faucet.connect(user).withdrawWithCredentials(token.target, [], body))
+        .to.emit(faucet, "TokensWithdrawn")
+        .withArgs(user.address, token.target, DAILY_LIMIT);
+      expect(await faucet.nonces(user.address)).to.equal(1);
+    });
+
+    it("Should not let a voucher be replayed", async function () {
+      await faucet.setCooldown(60);
+      const { body: voucher } = await requestVoucher({ address: user.address, asset: token.target, captcha: "solved" });
+      await faucet.connect(user).withdrawWithCredentials(token.target, [], voucher);
+
+      // Even once the user's window has renewed, within the voucher's lifetime
+      await time.increase(60);
+      await expect(faucet.connect(user).withdrawWithCredentials(token.target, [], voucher)).to.be.revertedWithCustomError(
+        faucet,
+        "InvalidVoucher"
+      );
+      // Nor be used by someone else
+      const { body: next } = await requestVoucher({ address: user.address, asset: token.target, captcha: "solved" });
+      expect(next.nonce).to.equal("1");
+      await expect(faucet.connect(owner).withdrawWithCredentials(token.target, [], next)).to.be.revertedWithCustomError(
+        faucet,
+        "InvalidVoucher"
+      );
+      await faucet.connect(user).withdrawWithCredentials(token.target, [], next);
+    });
+
+    it("Should reject expired vouchers", async function () {
+      const { body: voucher } = await requestVoucher({ address: user.address, asset: token.target, captcha: "solved" });
+
+      await time.increaseTo(BigInt(voucher.deadline) + 1n);
+      await expect(faucet.connect(user).withdrawWithCredentials(token.target, [], voucher))
+        .to.be.revertedWithCustomError(faucet, "VoucherExpired")
+        .withArgs(voucher.deadline);
+    });
+
+    it("Should reject failed captchas and invalid requests", async function () {
+      const valid = { address: user.address, asset: token.target, captcha: "solved" };
+
+      expect(await requestVoucher({ ...valid, captcha: "guessed" })).to.deep.equal({
+        status: 403,
+        body: { error: "Invalid captcha" },
+      });
+      expect(await requestVoucher({ ...valid, address: "0x1234" })).to.deep.equal({
+        status: 400,
+        body: { error: "Invalid address 0x1234" },
+      });
+      expect(await requestVoucher({ ...valid, asset: ethers.ZeroAddress })).to.deep.equal({
+        status: 400,
+        body: { error: `Asset ${ethers.ZeroAddress} is not dispensed` },
+      });
+      expect(await requestVoucher({ ...valid, captcha: undefined })).to.deep.equal({
+        status: 400,
+        body: { error: "Missing captcha" },
+      });
+      expect((await fetch(url)).status).to.equal(404);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployStack } = require("../utils/deployer");
+const { getDeployedContract } = require("../utils/registry");
+const { getPausableContracts, setStackPaused } = require("../utils/pause");
+const { setStackRole } = require("../utils/roles");
+
+describe("Stack pause switch", function () {
+  let dir;
+  let owner;
+  let pauser;
+  let log;
+
+  beforeEach(async function () {
+    [owner, pauser] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "pause-"));
+
+    log = console.log;
+    console.log = () => {};
+    await deployStack(hre, { dir });
+  });
+
+  afterEach(function () {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should find the pausable contracts of the registry", async function () {
+    expect(await getPausableContracts(hre, { dir })).to.deep.equal(["DEX", "AirdropV2", "Faucet"]);
+    expect(await getPausableContracts(hre, { dir, names: ["TestTokenA", "Faucet"] })).to.deep.equal(["Faucet"]);
+    await expect(getPausableContracts(hre, { dir, names: ["Airdrop"] })).to.be.rejectedWith(
+      "Registry: Airdrop is not deployed on hardhat"
+    );
+  });
+
+  it("Should pause and unpause every contract with a pauser key", async function () {
+    expect(await setStackRole(hre, "PAUSER", pauser.address, true, { dir })).to.deep.equal(["DEX", "AirdropV2", "Faucet"]);
+
+    const paused = await setStackPaused(hre, true, { dir, signer: pauser });
+    expect(paused).to.deep.equal({ changed: ["DEX", "AirdropV2", "Faucet"], skipped: [], failed: [] });
+    for (const name of paused.changed) {
+      expect(await (await getDeployedContract(hre, name, { dir })).paused()).to.be.true;
+    }
+
+    const unpaused = await setStackPaused(hre, false, { dir, signer: pauser, names: ["DEX"] });
+    expect(unpaused.changed).to.deep.equal(["DEX"]);
+    expect(await (await getDeployedContract(hre, "DEX", { dir })).paused()).to.be.false;
+  });
+
+  it("Should skip contracts already in the requested state and report failures", async function () {
+    await (await getDeployedContract(hre, "Faucet", { dir, signer: owner })).pause();
+    const error = console.error;
+    console.error = () => {};
+    try {
+      // Without PAUSER_ROLE the signer cannot pause anything else
+      const result = await setStackPaused(hre, true, { dir, signer: pauser });
+      expect(result).to.deep.equal({ changed: [], skipped: ["Faucet"], failed: ["DEX", "AirdropV2"] });
+    } finally {
+      console.error = error;
+    }
+  });
+});
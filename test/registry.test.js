@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+  readRegistry,
+  recordDeployment,
+  getDeployedContract,
+  writeRegistry,
+} = require("../utils/registry");
+
+describe("Deployment registry", function () {
+  let dir;
+  let tokenA;
+  let dex;
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "registry-"));
+
+    const TokenA = await ethers.getContractFactory("TestTokenA");
+    tokenA = await TokenA.deploy();
+    await tokenA.waitForDeployment();
+
+    const TokenB = await ethers.getContractFactory("TestTokenB");
+    const tokenB = await TokenB.deploy();
+    await tokenB.waitForDeployment();
+
+    const DEX = await ethers.getContractFactory("DEX");
+    const args = [await tokenA.getAddress(), await tokenB.getAddress()];
+    dex = await DEX.deploy(...args);
+    await dex.waitForDeployment();
+
+    await recordDeployment(hre, "TestTokenA", tokenA, [], { dir });
+    await recordDeployment(hre, "DEX", dex, args, { dir });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should record address, transaction and constructor arguments", async function () {
+    const registry = readRegistry(hre.network.name, dir);
+    const receipt = await dex.deploymentTransaction().wait();
+
+    expect(registry.chainId).to.equal(31337);
+    expect(registry.contracts.DEX.address).to.equal(await dex.getAddress());
+    expect(registry.contracts.DEX.txHash).to.equal(receipt.hash);
+    expect(registry.contracts.DEX.blockNumber).to.equal(receipt.blockNumber);
+    expect(registry.contracts.DEX.constructorArgs).to.deep.equal([
+      await tokenA.getAddress(),
+      await dex.tokenB(),
+    ]);
+    expect(registry.contracts.DEX.abiHash).to.match(/^0x[0-9a-f]{64}$/);
+  });
+
+  it("Should attach to a recorded contract", async function () {
+    const loaded = await getDeployedContract(hre, "DEX", { dir });
+
+    expect(await loaded.getAddress()).to.equal(await dex.getAddress());
+    expect(await loaded.tokenA()).to.equal(await tokenA.getAddress());
+  });
+
+  it("Should fail for a contract that is not recorded", async function () {
+    await expect(getDeployedContract(hre, "AirdropV2", { dir })).to.be.rejectedWith(
+      "Registry: AirdropV2 is not deployed on hardhat"
+    );
+  });
+
+  it("Should fail when the registry belongs to another chain", async function () {
+    const registry = readRegistry(hre.network.name, dir);
+    registry.chainId = 1;
+    writeRegistry(registry, dir);
+
+    await expect(getDeployedContract(hre, "DEX", { dir })).to.be.rejectedWith("registry is for chain 1");
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployStack } = require("../utils/deployer");
+const { getDeployedContract } = require("../utils/registry");
+const { parseRole, getRoleId, getRoleHolders, listStackRoles, setStackRole } = require("../utils/roles");
+
+describe("Stack roles", function () {
+  let dir;
+  let owner;
+  let funder;
+  let log;
+
+  beforeEach(async function () {
+    [owner, funder] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "roles-"));
+
+    log = console.log;
+    console.log = () => {};
+    await deployStack(hre, { dir });
+  });
+
+  afterEach(function () {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should parse role names and compute their ids", async function () {
+    const faucet = await getDeployedContract(hre, "Faucet", { dir });
+
+    expect(parseRole("funder_role")).to.equal("FUNDER");
+    expect(parseRole("admin")).to.equal("DEFAULT_ADMIN");
+    expect(getRoleId("FUNDER")).to.equal(await faucet.FUNDER_ROLE());
+    expect(getRoleId("DEFAULT_ADMIN")).to.equal(await faucet.DEFAULT_ADMIN_ROLE());
+    expect(() => parseRole("MINTER")).to.throw("Roles: unknown role MINTER");
+  });
+
+  it("Should list the deployer as the holder of every role", async function () {
+    const roles = await listStackRoles(hre, { dir });
+
+    expect(Object.keys(roles)).to.deep.equal(["DEX", "AirdropV2", "Faucet", "Timelock"]);
+    expect(roles.DEX).to.deep.equal({
+      DEFAULT_ADMIN: [owner.address],
+      PAUSER: [owner.address],
+      FEE_SETTER: [owner.address],
+    });
+    expect(roles.AirdropV2).to.deep.equal({
+      DEFAULT_ADMIN: [owner.address],
+      PAUSER: [owner.address],
+      FUNDER: [owner.address],
+      AIRDROP_MANAGER: [owner.address],
+    });
+    // The timelock administers itself and lets anyone execute
+    const timelock = await getDeployedContract(hre, "Timelock", { dir });
+    expect(roles.Timelock).to.deep.equal({
+      DEFAULT_ADMIN: [timelock.target],
+      PROPOSER: [owner.address],
+      CANCELLER: [owner.address],
+      EXECUTOR: [ethers.ZeroAddress],
+    });
+  });
+
+  it("Should grant and revoke a role on every contract that defines it", async function () {
+    expect(await setStackRole(hre, "FUNDER", funder.address, true, { dir })).to.deep.equal(["AirdropV2", "Faucet"]);
+    expect(await setStackRole(hre, "FUNDER", funder.address, true, { dir })).to.deep.equal([]);
+    expect(await setStackRole(hre, "FUNDER", owner.address, false, { dir, names: ["Faucet"] })).to.deep.equal(["Faucet"]);
+
+    const roles = await listStackRoles(hre, { dir, names: ["AirdropV2", "Faucet"] });
+    expect(roles.AirdropV2.FUNDER).to.deep.equal([owner.address, funder.address]);
+    expect(roles.Faucet.FUNDER).to.deep.equal([funder.address]);
+
+    const faucet = await getDeployedContract(hre, "Faucet", { dir });
+    expect(await faucet.hasRole(getRoleId("FUNDER"), owner.address)).to.be.false;
+  });
+
+  it("Should reject the admin role and contracts without the role", async function () {
+    await expect(setStackRole(hre, "ADMIN", funder.address, true, { dir })).to.be.rejectedWith(
+      "Roles: DEFAULT_ADMIN_ROLE follows ownership, transfer ownership instead"
+    );
+    await expect(setStackRole(hre, "FEE_SETTER", funder.address, true, { dir, names: ["Faucet"] })).to.be.rejectedWith(
+      "Roles: Faucet has no FEE_SETTER_ROLE"
+    );
+  });
+
+  it("Should follow ownership transfers when replaying events", async function () {
+    const dex = await getDeployedContract(hre, "DEX", { dir, signer: owner });
+    await (await dex.transferOwnership(funder.address)).wait();
+
+    const holders = await getRoleHolders(dex);
+    expect(holders.DEFAULT_ADMIN).to.deep.equal([funder.address]);
+    expect(holders.FEE_SETTER).to.deep.equal([owner.address]);
+  });
+});
@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployStack } = require("../utils/deployer");
+const { getDeployedContract } = require("../utils/registry");
+const { handOverOwnership, scheduleOperation, listOperations, executeOperation } = require("../utils/timelock");
+
+describe("Timelock handoff", function () {
+  const MIN_DELAY = 3600;
+
+  let dir;
+  let owner;
+  let user1;
+  let treasury;
+  let timelock;
+  let faucet;
+  let airdrop;
+  let log;
+
+  beforeEach(async function () {
+    [owner, user1, treasury] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "timelock-"));
+
+    log = console.log;
+    console.log = () => {};
+    await deployStack(hre, { dir });
+
+    timelock = await getDeployedContract(hre, "Timelock", { dir });
+    faucet = await getDeployedContract(hre, "Faucet", { dir });
+    airdrop = await getDeployedContract(hre, "AirdropV2", { dir });
+  });
+
+  afterEach(function () {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should deploy the timelock with the configured delay and the deployer as proposer", async function () {
+    expect(await timelock.getMinDelay()).to.equal(MIN_DELAY);
+    expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), owner.address)).to.be.true;
+    // Anyone can execute a ready operation
+    expect(await timelock.hasRole(await timelock.EXECUTOR_ROLE(), ethers.ZeroAddress)).to.be.true;
+  });
+
+  it("Should hand ownership of DEX, Faucet and AirdropV2 over to the timelock", async function () {
+    expect(await handOverOwnership(hre, { dir })).to.deep.equal(["DEX", "Faucet", "AirdropV2"]);
+    expect(await handOverOwnership(hre, { dir })).to.deep.equal([]);
+
+    const dex = await getDeployedContract(hre, "DEX", { dir });
+    for (const contract of [dex, faucet, airdrop]) {
+      expect(await contract.owner()).to.equal(timelock.target);
+      expect(await contract.hasRole(await contract.DEFAULT_ADMIN_ROLE(), timelock.target)).to.be.true;
+      expect(await contract.hasRole(await contract.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.false;
+      // Operational roles stay with the deployer
+      expect(await contract.hasRole(await contract.PAUSER_ROLE(), owner.address)).to.be.true;
+    }
+
+    const funderRole = await faucet.FUNDER_ROLE();
+    await expect(faucet.connect(owner).grantRole(funderRole, user1.address))
+      .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+      .withArgs(owner.address, await faucet.DEFAULT_ADMIN_ROLE());
+  });
+
+  it("Should warn about the operational roles left with the deployer", async function () {
+    const messages = [];
+    console.log = (message) => messages.push(message);
+    await handOverOwnership(hre, { dir, names: ["DEX"] });
+
+    expect(messages).to.include(
+      `Warning: ${owner.address} keeps FEE_SETTER_ROLE on DEX and can use it without the timelock delay; run timelock:handoff --roles to move it`
+    );
+  });
+
+  it("Should move the operational roles to the timelock with the roles option", async function () {
+    expect(await handOverOwnership(hre, { dir, roles: true })).to.deep.equal(["DEX", "Faucet", "AirdropV2"]);
+
+    const dex = await getDeployedContract(hre, "DEX", { dir });
+    const moved = [
+      [dex, await dex.FEE_SETTER_ROLE()],
+      [faucet, await faucet.FUNDER_ROLE()],
+      [airdrop, await airdrop.FUNDER_ROLE()],
+      [airdrop, await airdrop.AIRDROP_MANAGER_ROLE()],
+    ];
+    for (const [contract, role] of moved) {
+      expect(await contract.hasRole(role, timelock.target)).to.be.true;
+      expect(await contract.hasRole(role, owner.address)).to.be.false;
+    }
+    expect(await dex.hasRole(await dex.PAUSER_ROLE(), owner.address)).to.be.true;
+
+    // Fee changes now go through the timelock too
+    await expect(dex.connect(owner).setSwapFee(10)).to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount");
+    const { id } = await scheduleOperation(hre, "DEX", "setSwapFee", [10], { dir });
+    await time.increase(MIN_DELAY);
+    await executeOperation(hre, id, { dir });
+    expect(await dex.swapFee()).to.equal(10);
+  });
+
+  it("Should only execute a scheduled call after the delay", async function () {
+    await handOverOwnership(hre, { dir });
+    const funderRole = await faucet.FUNDER_ROLE();
+    const { id } = await scheduleOperation(hre, "Faucet", "grantRole", [funderRole, user1.address], { dir });
+
+    await expect(executeOperation(hre, id, { dir })).to.be.rejectedWith(`Timelock: operation ${id} is waiting until`);
+
+    await time.increase(MIN_DELAY);
+    const receipt = await executeOperation(hre, id, { signer: user1, dir });
+    await expect(receipt).to.emit(faucet, "RoleGranted").withArgs(funderRole, user1.address, timelock.target);
+    expect(await faucet.hasRole(funderRole, user1.address)).to.be.true;
+    await expect(executeOperation(hre, id, { dir })).to.be.rejectedWith(`Timelock: operation ${id} is done`);
+  });
+
+  it("Should list the scheduled operations with their state and decoded call", async function () {
+    await handOverOwnership(hre, { dir });
+    const first = await scheduleOperation(hre, "AirdropV2", "withdrawRemainingTokens", [treasury.address], { dir });
+    const funderRole = await faucet.FUNDER_ROLE();
+    const second = await scheduleOperation(hre, "Faucet", "revokeRole", [funderRole, owner.address], {
+      dir,
+      delay: 2 * MIN_DELAY,
+    });
+    await time.increase(MIN_DELAY);
+
+    const operations = await listOperations(hre, { dir });
+    expect(operations.map(({ id, call, state }) => ({ id, call, state }))).to.deep.equal([
+      { id: first.id, call: `AirdropV2.withdrawRemainingTokens(${treasury.address})`, state: "Ready" },
+      { id: second.id, call: `Faucet.revokeRole(${funderRole}, ${owner.address})`, state: "Waiting" },
+    ]);
+    expect(operations[1].readyAt).to.equal(second.readyAt);
+
+    await timelock.cancel(second.id);
+    expect((await listOperations(hre, { dir }))[1].state).to.equal("Cancelled");
+  });
+
+  it("Should let the timelock withdraw the remaining airdrop tokens", async function () {
+    // The deployer still runs the campaign with its FUNDER and AIRDROP_MANAGER roles
+    const funding = ethers.parseUnits("1000", 18);
+    const token = await getDeployedContract(hre, "TestTokenA", { dir });
+    await token.approve(airdrop.target, funding);
+    await airdrop.addTokensToAirdrop(funding);
+    const latest = await time.latest();
+    await airdrop.setRegistrationPeriod(latest, latest + 100);
+    await airdrop.connect(user1).register();
+    await time.increase(101);
+    await airdrop.setUniformAmount(ethers.parseUnits("100", 18));
+    await airdrop.distributeTokens();
+
+    await handOverOwnership(hre, { dir, names: ["AirdropV2"] });
+    await expect(airdrop.withdrawRemainingTokens(owner.address)).to.be.revertedWithCustomError(
+      airdrop,
+      "OwnableUnauthorizedAccount"
+    );
+
+    const { id } = await scheduleOperation(hre, "AirdropV2", "withdrawRemainingTokens", [treasury.address], { dir });
+    await time.increase(MIN_DELAY);
+    await executeOperation(hre, id, { dir });
+
+    expect(await token.balanceOf(treasury.address)).to.equal(ethers.parseUnits("900", 18));
+  });
+
+  it("Should reject unknown operations and schedules from non-proposers", async function () {
+    await expect(executeOperation(hre, ethers.ZeroHash, { dir })).to.be.rejectedWith(
+      `Timelock: unknown operation ${ethers.ZeroHash}`
+    );
+    await expect(
+      scheduleOperation(hre, "Faucet", "transferOwnership", [user1.address], { dir, signer: user1 })
+    ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+  });
+});
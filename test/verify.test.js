@@ -0,0 +1,214 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { recordDeployment, readRegistry } = require("../utils/registry");
+const { verifyStack } = require("../utils/verify");
+
+// Minimal Etherscan-compatible API: nothing is verified until a
+// verifysourcecode request succeeds. `failuresLeft` submissions are first
+// rejected as if the explorer had not indexed the bytecode yet, and every
+// submission is rejected with `permanentError` when it is set.
+function startMockExplorer() {
+  const explorer = { verified: new Set(), submissions: [], rejected: 0, failuresLeft: 0, permanentError: null };
+
+  explorer.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const params = req.method === "POST" ? new URLSearchParams(body) : url.searchParams;
+      let response;
+
+      switch (params.get("action")) {
+        case "getsourcecode":
+          response = {
+            status: "1",
+            message: "OK",
+            result: [{ SourceCode: explorer.verified.has(params.get("address").toLowerCase()) ? "source" : "" }],
+          };
+          break;
+        case "verifysourcecode": {
+          const address = params.get("contractaddress");
+          if (explorer.permanentError) {
+            explorer.rejected++;
+            response = { status: "0", message: "NOTOK", result: explorer.permanentError };
+            break;
+          }
+          if (explorer.failuresLeft > 0) {
+            explorer.failuresLeft--;
+            response = { status: "0", message: "NOTOK", result: `Unable to locate ContractCode at ${address}` };
+            break;
+          }
+          explorer.submissions.push({
+            address,
+            contractName: params.get("contractname"),
+            constructorArguments: params.get("constructorArguements"),
+          });
+          explorer.verified.add(address.toLowerCase());
+          response = { status: "1", message: "OK", result: "guid" };
+          break;
+        }
+        case "checkverifystatus":
+          response = { status: "1", message: "OK", result: "Pass - Verified" };
+          break;
+        default:
+          response = { status: "0", message: "NOTOK", result: "Unknown action" };
+      }
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  return new Promise((resolve) => {
+    explorer.server.listen(0, "127.0.0.1", () => {
+      explorer.url = `http://127.0.0.1:${explorer.server.address().port}/api`;
+      resolve(explorer);
+    });
+  });
+}
+
+describe("verifyStack", function () {
+  let dir;
+  let explorer;
+  let tokenA;
+  let dex;
+  let etherscanConfig;
+  let sourcifyEnabled;
+  let log;
+  let warn;
+
+  const quiet = { retryDelay: 0, skipLocal: false };
+
+  before(async function () {
+    explorer = await startMockExplorer();
+
+    etherscanConfig = hre.config.etherscan;
+    sourcifyEnabled = hre.config.sourcify.enabled;
+    hre.config.etherscan = {
+      ...etherscanConfig,
+      apiKey: { hardhat: "test" },
+      customChains: [
+        { network: "hardhat", chainId: 31337, urls: { apiURL: explorer.url, browserURL: "http://localhost" } },
+      ],
+    };
+    hre.config.sourcify.enabled = false;
+  });
+
+  after(function () {
+    hre.config.etherscan = etherscanConfig;
+    hre.config.sourcify.enabled = sourcifyEnabled;
+    explorer.server.close();
+  });
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "verify-"));
+    explorer.verified.clear();
+    explorer.submissions = [];
+    explorer.rejected = 0;
+    explorer.failuresLeft = 0;
+    explorer.permanentError = null;
+
+    log = console.log;
+    warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+
+    const TokenA = await ethers.getContractFactory("TestTokenA");
+    tokenA = await TokenA.deploy();
+    const TokenB = await ethers.getContractFactory("TestTokenB");
+    const tokenB = await TokenB.deploy();
+    const DEX = await ethers.getContractFactory("DEX");
+    const args = [await tokenA.getAddress(), await tokenB.getAddress()];
+    dex = await DEX.deploy(...args);
+
+    await recordDeployment(hre, "TestTokenA", tokenA, [], { dir });
+    await recordDeployment(hre, "DEX", dex, args, { dir });
+  });
+
+  afterEach(function () {
+    console.log = log;
+    console.warn = warn;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should skip local networks by default", async function () {
+    const result = await verifyStack(hre, { dir });
+
+    expect(result).to.deep.equal({ verified: [], failed: [] });
+    expect(explorer.submissions).to.be.empty;
+  });
+
+  it("Should verify every contract with its recorded constructor arguments", async function () {
+    const result = await verifyStack(hre, { ...quiet, dir });
+
+    expect(result.verified).to.deep.equal(["TestTokenA", "DEX"]);
+    expect(explorer.submissions.map((s) => s.contractName)).to.deep.equal([
+      "contracts/TestTokenA.sol:TestTokenA",
+      "contracts/DEX.sol:DEX",
+    ]);
+
+    const encodedArgs = ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "address"],
+      [await dex.tokenA(), await dex.tokenB()]
+    );
+    expect("0x" + explorer.submissions[1].constructorArguments).to.equal(encodedArgs);
+
+    const registry = readRegistry(hre.network.name, dir);
+    expect(registry.contracts.DEX.verified).to.be.true;
+  });
+
+  it("Should retry while the explorer has not indexed the contract", async function () {
+    explorer.failuresLeft = 2;
+
+    const result = await verifyStack(hre, { ...quiet, dir, names: ["DEX"] });
+
+    expect(result).to.deep.equal({ verified: ["DEX"], failed: [] });
+  });
+
+  it("Should report contracts that still fail after all retries", async function () {
+    explorer.failuresLeft = 3;
+    const error = console.error;
+    console.error = () => {};
+
+    try {
+      const result = await verifyStack(hre, { ...quiet, dir, names: ["DEX"], retries: 3 });
+      expect(result).to.deep.equal({ verified: [], failed: ["DEX"] });
+    } finally {
+      console.error = error;
+    }
+
+    expect(readRegistry(hre.network.name, dir).contracts.DEX.verified).to.be.undefined;
+  });
+
+  it("Should not retry errors other than a contract not indexed yet", async function () {
+    explorer.permanentError = "Fail - Unable to verify. Compiled contract deployment bytecode does NOT match";
+    const error = console.error;
+    console.error = () => {};
+
+    try {
+      // A retry would wait for a minute and time the test out
+      const result = await verifyStack(hre, { skipLocal: false, retryDelay: 60_000, dir, names: ["DEX"], retries: 3 });
+      expect(result).to.deep.equal({ verified: [], failed: ["DEX"] });
+    } finally {
+      console.error = error;
+    }
+
+    expect(explorer.rejected).to.equal(1);
+  });
+
+  it("Should only re-verify verified contracts when forced", async function () {
+    await verifyStack(hre, { ...quiet, dir });
+    explorer.submissions = [];
+
+    expect((await verifyStack(hre, { ...quiet, dir })).verified).to.be.empty;
+
+    // Already verified on the explorer counts as a success
+    const result = await verifyStack(hre, { ...quiet, dir, force: true });
+    expect(result.verified).to.deep.equal(["TestTokenA", "DEX"]);
+  });
+});
@@ -0,0 +1,177 @@
+const { Contract } = require("ethers");
+const { getDeployedContract } = require("./registry");
+const { chunk } = require("./recipients");
+
+// Share of the block gas limit a single setAirdropAmounts or distributeBatch call may use
+const BATCH_GAS_FRACTION = 0.5;
+
+/**
+ * Attaches to an Airdrop or AirdropV2 contract by registry name or address
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} nameOrAddress Registry name (e.g. "AirdropV2") or contract address
+ * @param {object} [options] `contractName` when an address is given (defaults to AirdropV2), `signer`
+ */
+async function getAirdrop(hre, nameOrAddress, options = {}) {
+  const { contractName = "AirdropV2", signer } = options;
+  if (hre.ethers.isAddress(nameOrAddress)) {
+    return hre.ethers.getContractAt(contractName, nameOrAddress, signer);
+  }
+  return getDeployedContract(hre, nameOrAddress, { signer });
+}
+
+/**
+ * Returns whether the contract is the uniform-amount AirdropV2
+ * (as opposed to Airdrop with per-user amounts)
+ */
+function isUniformAirdrop(airdrop) {
+  return airdrop.interface.getFunction("setUniformAmount") !== null;
+}
+
+/**
+ * Reads the state of an airdrop campaign
+ * @param {object} airdrop The Airdrop or AirdropV2 contract
+ */
+async function getCampaignStatus(airdrop) {
+  const token = await airdrop.token();
+  const tokenContract = new Contract(token, ["function balanceOf(address) view returns (uint256)"], airdrop.runner);
+
+  const status = {
+    token,
+    registrationStartTime: await airdrop.registrationStartTime(),
+    registrationEndTime: await airdrop.registrationEndTime(),
+    registeredCount: await airdrop.getRegisteredCount(),
+    totalAirdropAmount: await airdrop.totalAirdropAmount(),
+    distributedAmount: await airdrop.distributedAmount(),
+    balance: await tokenContract.balanceOf(airdrop.target),
+    isDistributionComplete: await airdrop.isDistributionComplete(),
+    distributionCursor: await airdrop.distributionCursor(),
+    claimDeadline: await airdrop.claimDeadline(),
+  };
+
+  if (isUniformAirdrop(airdrop)) {
+    status.amountPerUser = await airdrop.amountPerUser();
+    status.isAmountSet = await airdrop.isAmountSet();
+  }
+
+  return status;
+}
+
+/**
+ * Scales the gas used by a sample of `sampleSize` items to a share of the block gas limit.
+ * The per-item cost is overestimated by folding the base cost into it.
+ */
+async function fitBatchSize(hre, gas, sampleSize) {
+  const { gasLimit } = await hre.ethers.provider.getBlock("latest");
+  const budget = BigInt(Math.floor(Number(gasLimit) * BATCH_GAS_FRACTION));
+  return Math.max(1, Number((budget * BigInt(sampleSize)) / gas));
+}
+
+/**
+ * Picks how many recipients fit in one setAirdropAmounts call, by estimating
+ * the gas of a sample batch and scaling it to a share of the block gas limit
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} airdrop The Airdrop contract, connected to an AIRDROP_MANAGER_ROLE holder
+ * @param {Array<{address: string, amount: bigint}>} recipients The recipients to set
+ */
+async function estimateBatchSize(hre, airdrop, recipients) {
+  const sample = recipients.slice(0, 10);
+  const gas = await airdrop.setAirdropAmounts.estimateGas(
+    sample.map((r) => r.address),
+    sample.map((r) => r.amount)
+  );
+  return fitBatchSize(hre, gas, sample.length);
+}
+
+/**
+ * Picks how many users fit in one distributeBatch call, by estimating the next batch
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} airdrop The Airdrop or AirdropV2 contract, connected to an AIRDROP_MANAGER_ROLE holder
+ */
+async function estimateDistributeBatchSize(hre, airdrop) {
+  const cursor = await airdrop.distributionCursor();
+  const remaining = Number((await airdrop.getRegisteredCount()) - cursor);
+  const sampleSize = Math.max(1, Math.min(10, remaining));
+  const gas = await airdrop.distributeBatch.estimateGas(cursor, sampleSize);
+  return fitBatchSize(hre, gas, sampleSize);
+}
+
+/**
+ * Leaves out the recipients whose on-chain amount already matches, so an interrupted
+ * setAirdropAmountsInBatches run can simply be restarted. setAirdropAmounts adds every
+ * amount it sets to distributedAmount, so sending one twice would allocate it twice.
+ * @param {object} airdrop The Airdrop contract
+ * @param {Array<{address: string, amount: bigint}>} recipients The recipients to set
+ * @returns {Promise<{pending: Array, done: Array, changed: Array}>} `changed` are the
+ * pending recipients that already have a different amount, which stays allocated
+ */
+async function getPendingAmounts(airdrop, recipients) {
+  const result = { pending: [], done: [], changed: [] };
+  for (const recipient of recipients) {
+    const current = await airdrop.airdropAmounts(recipient.address);
+    if (current === recipient.amount) {
+      result.done.push(recipient);
+      continue;
+    }
+    result.pending.push(recipient);
+    if (current > 0n) {
+      result.changed.push(recipient);
+    }
+  }
+  return result;
+}
+
+/**
+ * Sends setAirdropAmounts in batches
+ * @param {object} airdrop The Airdrop contract, connected to an AIRDROP_MANAGER_ROLE holder
+ * @param {Array<{address: string, amount: bigint}>} recipients The recipients to set
+ * @param {number} batchSize Recipients per transaction
+ * @param {function} [onBatch] Called with (index, count, receipt) after each batch
+ */
+async function setAirdropAmountsInBatches(airdrop, recipients, batchSize, onBatch = () => {}) {
+  const batches = chunk(recipients, batchSize);
+  const receipts = [];
+
+  for (const [index, batch] of batches.entries()) {
+    const tx = await airdrop.setAirdropAmounts(
+      batch.map((r) => r.address),
+      batch.map((r) => r.amount)
+    );
+    const receipt = await tx.wait();
+    receipts.push(receipt);
+    onBatch(index, batches.length, receipt);
+  }
+
+  return receipts;
+}
+
+/**
+ * Calls distributeBatch from the on-chain cursor until the distribution is complete.
+ * The cursor is re-read before every batch, so an interrupted run can simply be restarted.
+ * @param {object} airdrop The Airdrop or AirdropV2 contract, connected to an AIRDROP_MANAGER_ROLE holder
+ * @param {number} batchSize Users per transaction
+ * @param {function} [onBatch] Called with (cursor, total, receipt) after each batch
+ */
+async function distributeInBatches(airdrop, batchSize, onBatch = () => {}) {
+  const total = await airdrop.getRegisteredCount();
+  const receipts = [];
+
+  while (!(await airdrop.isDistributionComplete())) {
+    const cursor = await airdrop.distributionCursor();
+    const receipt = await (await airdrop.distributeBatch(cursor, batchSize)).wait();
+    receipts.push(receipt);
+    onBatch(await airdrop.distributionCursor(), total, receipt);
+  }
+
+  return receipts;
+}
+
+module.exports = {
+  getAirdrop,
+  isUniformAirdrop,
+  getCampaignStatus,
+  estimateBatchSize,
+  getPendingAmounts,
+  setAirdropAmountsInBatches,
+  estimateDistributeBatchSize,
+  distributeInBatches,
+};
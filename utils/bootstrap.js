@@ -0,0 +1,144 @@
+const { loadNetworkConfig } = require("./config");
+const { ensureAllowance } = require("./tokens");
+const { getDeadline } = require("./dex");
+
+/**
+ * Seeds the DEX with `liquidity.amountA` tokenA and `amountA * ratio` tokenB,
+ * unless the pool already holds reserves
+ */
+async function seedLiquidity(hre, dex, liquidity, deployer, dryRun) {
+  const { ethers } = hre;
+  const tokenA = await ethers.getContractAt("IERC20Metadata", await dex.tokenA());
+  const tokenB = await ethers.getContractAt("IERC20Metadata", await dex.tokenB());
+
+  const [reserveA, reserveB] = await dex.getReserves();
+  if (reserveA > 0n || reserveB > 0n) {
+    console.log(`DEX already has reserves (${reserveA} / ${reserveB}), skipping liquidity`);
+    return;
+  }
+
+  const decimalsA = await tokenA.decimals();
+  const decimalsB = await tokenB.decimals();
+  const amountA = ethers.parseUnits(liquidity.amountA, decimalsA);
+  // amountB = amountA * ratio, computed in tokenB units with 18 decimals of ratio precision
+  const amountB = (ethers.parseUnits(liquidity.amountA, decimalsB) * ethers.parseUnits(liquidity.ratio, 18)) / 10n ** 18n;
+
+  console.log(
+    `${dryRun ? "Would add" : "Adding"} liquidity: ${ethers.formatUnits(amountA, decimalsA)} ${await tokenA.symbol()} + ` +
+      `${ethers.formatUnits(amountB, decimalsB)} ${await tokenB.symbol()}`
+  );
+  if (dryRun) {
+    return;
+  }
+
+  const dexAddress = await dex.getAddress();
+  await ensureAllowance(tokenA.connect(deployer), dexAddress, amountA);
+  await ensureAllowance(tokenB.connect(deployer), dexAddress, amountB);
+  const deadline = await getDeadline(hre);
+  const addLiquidity = dex.connect(deployer)["addLiquidity(uint256,uint256,uint256,uint256,address,uint256)"];
+  await (await addLiquidity(amountA, amountB, amountA, amountB, deployer.address, deadline)).wait();
+}
+
+/**
+ * Tops the faucet's balance of `tokenAddress` up to `faucetConfig.funding`
+ */
+async function fundFaucet(hre, faucet, tokenAddress, faucetConfig, deployer, dryRun) {
+  const { ethers } = hre;
+  const token = await ethers.getContractAt("IERC20Metadata", tokenAddress);
+  const decimals = await token.decimals();
+  const target = ethers.parseUnits(faucetConfig.funding, decimals);
+  const balance = await token.balanceOf(await faucet.getAddress());
+
+  if (balance >= target) {
+    console.log(`Faucet already holds ${ethers.formatUnits(balance, decimals)} ${await token.symbol()}, skipping funding`);
+    return;
+  }
+
+  const amount = target - balance;
+  console.log(`${dryRun ? "Would fund" : "Funding"} Faucet with ${ethers.formatUnits(amount, decimals)} ${await token.symbol()}`);
+  if (dryRun) {
+    return;
+  }
+
+  await ensureAllowance(token.connect(deployer), await faucet.getAddress(), amount);
+  await (await faucet.connect(deployer).fundFaucet(tokenAddress, amount)).wait();
+}
+
+/**
+ * Tops `totalAirdropAmount` up to `airdropConfig.funding` and opens the
+ * registration period if none was set yet
+ */
+async function prepareAirdrop(hre, airdrop, airdropConfig, deployer, dryRun) {
+  const { ethers } = hre;
+  const token = await ethers.getContractAt("IERC20Metadata", await airdrop.token());
+  const decimals = await token.decimals();
+  const target = ethers.parseUnits(airdropConfig.funding, decimals);
+  const funded = await airdrop.totalAirdropAmount();
+
+  if (funded >= target) {
+    console.log(`AirdropV2 already holds ${ethers.formatUnits(funded, decimals)} ${await token.symbol()}, skipping funding`);
+  } else {
+    const amount = target - funded;
+    console.log(`${dryRun ? "Would add" : "Adding"} ${ethers.formatUnits(amount, decimals)} ${await token.symbol()} to AirdropV2`);
+    if (!dryRun) {
+      await ensureAllowance(token.connect(deployer), await airdrop.getAddress(), amount);
+      await (await airdrop.connect(deployer).addTokensToAirdrop(amount)).wait();
+    }
+  }
+
+  if ((await airdrop.registrationEndTime()) > 0n) {
+    console.log("AirdropV2 registration period already set, skipping");
+    return;
+  }
+
+  const { timestamp } = await ethers.provider.getBlock("latest");
+  const startTime = timestamp + airdropConfig.registrationStartDelay;
+  const endTime = startTime + airdropConfig.registrationDuration;
+
+  console.log(
+    `${dryRun ? "Would set" : "Setting"} AirdropV2 registration period: ` +
+      `${new Date(startTime * 1000).toISOString()} - ${new Date(endTime * 1000).toISOString()}`
+  );
+  if (!dryRun) {
+    await (await airdrop.connect(deployer).setRegistrationPeriod(startTime, endTime)).wait();
+  }
+}
+
+/**
+ * Makes a freshly deployed stack usable: seeds the DEX, funds the Faucet and
+ * funds AirdropV2 and opens its registration, as configured in config/<network>.json.
+ * Every step checks the on-chain state first, so the stage can be rerun safely.
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} addresses Registry key => address, as returned by deployStack
+ * @param {object} [options] `dryRun` and `config` to override config/<network>.json
+ */
+async function bootstrapStack(hre, addresses, options = {}) {
+  const { dryRun = false, config = loadNetworkConfig(hre.network.name) } = options;
+  const { ethers } = hre;
+  const [deployer] = await ethers.getSigners();
+
+  // In dry-run mode contracts that are not deployed yet have no state to inspect
+  for (const name of ["DEX", "Faucet", "AirdropV2"]) {
+    if (!addresses[name] || (await ethers.provider.getCode(addresses[name])) === "0x") {
+      if (!dryRun) {
+        throw new Error(`Bootstrap: ${name} is not deployed on ${hre.network.name}`);
+      }
+      console.log(`Bootstrap: ${name} is not deployed yet, the whole bootstrap stage would run`);
+      return;
+    }
+  }
+
+  console.log(`${dryRun ? "Planning" : "Running"} bootstrap on ${hre.network.name}...`);
+
+  const dex = await ethers.getContractAt("DEX", addresses.DEX);
+  const faucet = await ethers.getContractAt("Faucet", addresses.Faucet);
+  const airdrop = await ethers.getContractAt("AirdropV2", addresses.AirdropV2);
+
+  await seedLiquidity(hre, dex, config.liquidity, deployer, dryRun);
+  await fundFaucet(hre, faucet, addresses.TestTokenA, config.faucet, deployer, dryRun);
+  await prepareAirdrop(hre, airdrop, config.airdrop, deployer, dryRun);
+}
+
+module.exports = {
+  bootstrapStack,
+};
@@ -0,0 +1,27 @@
+const fs = require("fs");
+const path = require("path");
+
+// Per-network settings live in config/<network>.json
+const CONFIG_DIR = path.join(__dirname, "..", "config");
+
+// Networks without a block explorer: nothing deployed there gets verified
+const LOCAL_NETWORKS = ["hardhat", "localhost", "ganache"];
+
+/**
+ * Loads the configuration of a network
+ * @param {string} networkName The Hardhat network name
+ * @param {string} [dir] Directory holding the config files
+ */
+function loadNetworkConfig(networkName, dir = CONFIG_DIR) {
+  const file = path.join(dir, `${networkName}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Config: no configuration for network ${networkName} (expected ${file})`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = {
+  CONFIG_DIR,
+  LOCAL_NETWORKS,
+  loadNetworkConfig,
+};
@@ -0,0 +1,139 @@
+const { parseUnits, ZeroAddress } = require("ethers");
+const { readRegistry, recordDeployment, getAbiHash, serializeArgs } = require("./registry");
+const { loadNetworkConfig } = require("./config");
+
+// TestTokenA and TestTokenB both use the default 18 decimals
+const TOKEN_DECIMALS = 18;
+
+// Contracts of the stack, in deployment order. `args` receives the addresses
+// of the contracts deployed (or reused) before it, the network config and the
+// deployer address.
+const STACK = [
+  { name: "TestTokenA" },
+  { name: "TestTokenB" },
+  { name: "DEX", args: (addresses) => [addresses.TestTokenA, addresses.TestTokenB] },
+  { name: "DEXFactory" },
+  { name: "DEXRouter", args: (addresses) => [addresses.DEXFactory] },
+  { name: "AirdropV2", args: (addresses) => [addresses.TestTokenA] },
+  {
+    name: "Faucet",
+    args: (addresses, config) => [addresses.TestTokenA, parseUnits(config.faucet.dailyLimit, TOKEN_DECIMALS)],
+  },
+  {
+    // The deployer proposes, anyone can execute ready operations, and only the
+    // timelock itself can change its roles
+    name: "Timelock",
+    args: (addresses, config, deployer) => [BigInt(config.timelock.minDelay), [deployer], [ZeroAddress], ZeroAddress],
+  },
+];
+
+/**
+ * Checks whether a registry entry can be reused for the requested deployment.
+ * Entries recorded on another chain are never reused, like in getDeployment,
+ * even if the same address happens to have code on the connected one.
+ * @returns {Promise<string|null>} null if reusable, otherwise the reason to redeploy
+ */
+async function checkExisting(hre, registry, entry, contractName, args) {
+  if (!entry) {
+    return "not deployed";
+  }
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (registry.chainId !== Number(chainId)) {
+    return `registry is for chain ${registry.chainId}, connected to ${chainId}`;
+  }
+  if ((await hre.ethers.provider.getCode(entry.address)) === "0x") {
+    return `no code at ${entry.address}`;
+  }
+  if (JSON.stringify(entry.constructorArgs) !== JSON.stringify(serializeArgs(args))) {
+    return "constructor arguments changed";
+  }
+  if (entry.abiHash !== (await getAbiHash(hre, contractName))) {
+    console.warn(`  ${contractName} ABI changed since deployment, keeping ${entry.address}`);
+  }
+  return null;
+}
+
+/**
+ * Estimates the deployment gas, or returns null when the constructor depends
+ * on contracts that are not deployed yet
+ */
+async function estimateDeployGas(hre, factory, args, from) {
+  try {
+    const tx = await factory.getDeployTransaction(...args);
+    return await hre.ethers.provider.estimateGas({ ...tx, from });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Deploys the contracts of `stack` that are missing from the registry of the
+ * current network, reusing the ones that are already there.
+ * In dry-run mode nothing is sent: the planned actions, predicted addresses and
+ * estimated gas are printed instead.
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} [options] `dryRun`, `stack`, `config` to override config/<network>.json
+ * and `dir` to override the registry directory
+ * @returns {Promise<object>} Registry key => address (predicted in dry-run mode)
+ */
+async function deployStack(hre, options = {}) {
+  const { dryRun = false, stack = STACK, config = loadNetworkConfig(hre.network.name), dir } = options;
+  const { ethers } = hre;
+  const [deployer] = await ethers.getSigners();
+  const registry = readRegistry(hre.network.name, dir);
+
+  let nonce = await ethers.provider.getTransactionCount(deployer.address);
+  let totalGas = 0n;
+  const addresses = {};
+
+  console.log(`${dryRun ? "Planning" : "Deploying"} contracts on ${hre.network.name} from ${deployer.address}...`);
+
+  for (const { name, contractName = name, args: getArgs } of stack) {
+    const args = getArgs ? getArgs(addresses, config, deployer.address) : [];
+    const entry = registry.contracts[name];
+    const reason = await checkExisting(hre, registry, entry, contractName, args);
+
+    if (reason === null) {
+      addresses[name] = entry.address;
+      console.log(`${name} already deployed at ${entry.address}, skipping`);
+      continue;
+    }
+
+    const factory = await ethers.getContractFactory(contractName);
+
+    if (dryRun) {
+      const gas = await estimateDeployGas(hre, factory, args, deployer.address);
+      addresses[name] = ethers.getCreateAddress({ from: deployer.address, nonce: nonce++ });
+      if (gas !== null) {
+        totalGas += gas;
+      }
+      console.log(
+        `Would deploy ${name} (${reason}) to ${addresses[name]}, estimated gas: ${
+          gas === null ? "unknown until dependencies are deployed" : gas
+        }`
+      );
+      continue;
+    }
+
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    await recordDeployment(hre, name, contract, args, { contractName, dir });
+    addresses[name] = await contract.getAddress();
+    console.log(`${name} deployed to: ${addresses[name]}`);
+  }
+
+  if (dryRun) {
+    const { gasPrice } = await ethers.provider.getFeeData();
+    console.log(`Estimated gas for known deployments: ${totalGas}`);
+    if (gasPrice) {
+      console.log(`Estimated cost at current gas price: ${ethers.formatEther(totalGas * gasPrice)} ETH`);
+    }
+  }
+
+  return addresses;
+}
+
+module.exports = {
+  STACK,
+  deployStack,
+};
@@ -0,0 +1,331 @@
+const { ZeroAddress, formatUnits } = require("ethers");
+const { readRegistry, getDeployedContract } = require("./registry");
+
+// Slippage and fees are expressed in basis points
+const BPS = 10_000n;
+
+// Swap fee of a DEX that was never reconfigured, in basis points
+const DEFAULT_SWAP_FEE = 30n;
+
+// Transactions sent by the tasks expire this long after the latest block
+const DEFAULT_DEADLINE_MINUTES = 20;
+
+/**
+ * Converts a percentage (e.g. "0.5") to basis points
+ * @param {string|number} percent The percentage, between 0 and 100
+ * @param {string} [label] What the percentage is, for the error message
+ */
+function parsePercent(percent, label = "percentage") {
+  const bps = Math.round(Number(percent) * 100);
+  if (!Number.isFinite(bps) || bps < 0 || bps > Number(BPS)) {
+    throw new Error(`DEX: invalid ${label} ${percent}%`);
+  }
+  return BigInt(bps);
+}
+
+/**
+ * Converts a slippage tolerance in percent (e.g. "0.5") to basis points
+ * @param {string|number} percent The slippage tolerance in percent
+ */
+function parseSlippage(percent) {
+  return parsePercent(percent, "slippage");
+}
+
+/**
+ * Returns the minimum acceptable amount for `amount` given a slippage tolerance
+ * @param {bigint} amount The expected amount
+ * @param {bigint} slippageBps The tolerance in basis points
+ */
+function applySlippage(amount, slippageBps) {
+  return (amount * (BPS - slippageBps)) / BPS;
+}
+
+/**
+ * Returns a deadline `minutes` after the latest block, which follows
+ * time travel on local networks unlike the wall clock
+ * @param {object} hre The Hardhat runtime environment
+ * @param {number} [minutes] How long the transaction stays valid
+ */
+async function getDeadline(hre, minutes = DEFAULT_DEADLINE_MINUTES) {
+  if (!(Number(minutes) > 0)) {
+    throw new Error(`DEX: invalid deadline of ${minutes} minutes`);
+  }
+  const { timestamp } = await hre.ethers.provider.getBlock("latest");
+  return timestamp + Math.round(Number(minutes) * 60);
+}
+
+/**
+ * Attaches to the DEX at `address`, or to the one recorded in the registry
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} [address] The DEX address
+ * @param {object} [signer] The signer to connect with
+ */
+async function getDex(hre, address, signer) {
+  if (address) {
+    return hre.ethers.getContractAt("DEX", address, signer);
+  }
+  return getDeployedContract(hre, "DEX", { signer });
+}
+
+/**
+ * Loads both tokens of a DEX with their symbol and decimals
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} dex The DEX contract
+ * @returns {Promise<{tokenA: object, tokenB: object}>} Each token has `contract`, `address`, `symbol` and `decimals`
+ */
+async function getPairTokens(hre, dex) {
+  const signer = dex.runner;
+  const load = async (address) => {
+    const contract = await hre.ethers.getContractAt("IERC20Metadata", address, signer);
+    return { contract, address, symbol: await contract.symbol(), decimals: await contract.decimals() };
+  };
+
+  return {
+    tokenA: await load(await dex.tokenA()),
+    tokenB: await load(await dex.tokenB()),
+  };
+}
+
+/**
+ * Finds one token of the pair by symbol or address and returns it with its counterpart
+ * @param {object} pair The pair returned by getPairTokens
+ * @param {string} symbolOrAddress e.g. "TTA" or the token address
+ * @returns {{tokenIn: object, tokenOut: object}}
+ */
+function resolveToken(pair, symbolOrAddress) {
+  const matches = (token) =>
+    token.symbol.toLowerCase() === symbolOrAddress.toLowerCase() ||
+    token.address.toLowerCase() === symbolOrAddress.toLowerCase();
+
+  if (matches(pair.tokenA)) {
+    return { tokenIn: pair.tokenA, tokenOut: pair.tokenB };
+  }
+  if (matches(pair.tokenB)) {
+    return { tokenIn: pair.tokenB, tokenOut: pair.tokenA };
+  }
+  throw new Error(`DEX: ${symbolOrAddress} is neither ${pair.tokenA.symbol} nor ${pair.tokenB.symbol}`);
+}
+
+/**
+ * Computes the amounts addLiquidity will actually pull, mirroring DEX._calculateLiquidityAmounts
+ * @param {bigint} amountADesired The desired amount of tokenA
+ * @param {bigint} amountBDesired The desired amount of tokenB
+ * @param {bigint} reserveA The current reserve of tokenA
+ * @param {bigint} reserveB The current reserve of tokenB
+ */
+function quoteLiquidityAmounts(amountADesired, amountBDesired, reserveA, reserveB) {
+  if (reserveA === 0n || reserveB === 0n) {
+    return { amountA: amountADesired, amountB: amountBDesired };
+  }
+  const amountBOptimal = (amountADesired * reserveB) / reserveA;
+  if (amountBOptimal <= amountBDesired) {
+    return { amountA: amountADesired, amountB: amountBOptimal };
+  }
+  return { amountA: (amountBDesired * reserveA) / reserveB, amountB: amountBDesired };
+}
+
+/**
+ * Decodes the DEX events of a transaction receipt
+ * @param {object} dex The DEX contract
+ * @param {object} receipt The transaction receipt
+ * @returns {Array<{name: string, args: object}>}
+ */
+function decodeDexEvents(dex, receipt) {
+  const dexAddress = dex.target.toLowerCase();
+  return receipt.logs
+    .filter((log) => log.address.toLowerCase() === dexAddress)
+    .map((log) => dex.interface.parseLog(log))
+    .filter((event) => event !== null)
+    .map(({ name, args }) => ({ name, args: args.toObject() }));
+}
+
+/**
+ * Output amount of a constant-product swap, mirroring DEX.getAmountOut
+ * @param {bigint} amountIn The input amount
+ * @param {bigint} reserveIn The reserve of the input token
+ * @param {bigint} reserveOut The reserve of the output token
+ * @param {bigint} [swapFee] The DEX swapFee in basis points
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut, swapFee = DEFAULT_SWAP_FEE) {
+  if (amountIn === 0n || reserveIn === 0n || reserveOut === 0n) {
+    return 0n;
+  }
+  const amountInWithFee = amountIn * (BPS - swapFee);
+  return (amountInWithFee * reserveOut) / (reserveIn * BPS + amountInWithFee);
+}
+
+/**
+ * Attaches to the DEXFactory at `address`, or to the one recorded in the registry
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} [address] The factory address
+ * @param {object} [signer] The signer to connect with
+ */
+async function getFactory(hre, address, signer) {
+  if (address) {
+    return hre.ethers.getContractAt("DEXFactory", address, signer);
+  }
+  return getDeployedContract(hre, "DEXFactory", { signer });
+}
+
+/**
+ * Returns the pair of two tokens, or null if the factory has none
+ * @param {object} factory The DEXFactory contract
+ * @param {string} tokenA Address of one token
+ * @param {string} tokenB Address of the other token
+ */
+async function getPairAddress(factory, tokenA, tokenB) {
+  const pair = await factory.getPair(tokenA, tokenB);
+  return pair === ZeroAddress ? null : pair;
+}
+
+/**
+ * Loads every pair of a factory with its tokens, reserves and swap fee
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} factory The DEXFactory contract
+ * @returns {Promise<Array<{address: string, tokenA: string, tokenB: string, reserveA: bigint, reserveB: bigint, swapFee: bigint}>>}
+ */
+async function loadPairs(hre, factory) {
+  const count = await factory.allPairsLength();
+  const pairs = [];
+  for (let i = 0n; i < count; i++) {
+    const dex = await hre.ethers.getContractAt("DEX", await factory.allPairs(i), factory.runner);
+    const [reserveA, reserveB] = await dex.getReserves();
+    pairs.push({
+      address: dex.target,
+      tokenA: await dex.tokenA(),
+      tokenB: await dex.tokenB(),
+      reserveA,
+      reserveB,
+      swapFee: await dex.swapFee(),
+    });
+  }
+  return pairs;
+}
+
+/**
+ * Finds the path that returns the most `tokenOut` for `amountIn` of `tokenIn`,
+ * trying every route of at most `maxHops` pairs without revisiting a token
+ * @param {Array<object>} pairs The pairs returned by loadPairs
+ * @param {string} tokenIn Address of the input token
+ * @param {string} tokenOut Address of the output token
+ * @param {bigint} amountIn The input amount
+ * @param {number} [maxHops] Maximum number of swaps
+ * @returns {{path: string[], amounts: bigint[]}|null} null if no route has liquidity
+ */
+function findBestPath(pairs, tokenIn, tokenOut, amountIn, maxHops = 3) {
+  const key = (address) => address.toLowerCase();
+  const edges = new Map();
+  const addEdge = (from, to, reserveIn, reserveOut, swapFee) => {
+    if (!edges.has(key(from))) {
+      edges.set(key(from), []);
+    }
+    edges.get(key(from)).push({ to, reserveIn, reserveOut, swapFee });
+  };
+  for (const { tokenA, tokenB, reserveA, reserveB, swapFee = DEFAULT_SWAP_FEE } of pairs) {
+    addEdge(tokenA, tokenB, reserveA, reserveB, swapFee);
+    addEdge(tokenB, tokenA, reserveB, reserveA, swapFee);
+  }
+
+  let best = null;
+  const visit = (path, amounts) => {
+    const token = path[path.length - 1];
+    if (key(token) === key(tokenOut)) {
+      if (best === null || amounts[amounts.length - 1] > best.amounts[best.amounts.length - 1]) {
+        best = { path, amounts };
+      }
+      return;
+    }
+    if (path.length > maxHops) {
+      return;
+    }
+    for (const { to, reserveIn, reserveOut, swapFee } of edges.get(key(token)) || []) {
+      if (path.some((visited) => key(visited) === key(to))) {
+        continue;
+      }
+      const amountOut = getAmountOut(amounts[amounts.length - 1], reserveIn, reserveOut, swapFee);
+      if (amountOut > 0n) {
+        visit([...path, to], [...amounts, amountOut]);
+      }
+    }
+  };
+  visit([tokenIn], [amountIn]);
+
+  return best;
+}
+
+/**
+ * Returns the block a DEX was deployed in, as recorded in the registry
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} dex The DEX contract
+ * @param {object} [options] `dir` to override the registry directory
+ * @returns {Promise<number|undefined>} Undefined for a DEX the registry does not know, e.g. a DEXFactory pair
+ */
+async function getDeploymentBlock(hre, dex, options = {}) {
+  const address = (await dex.getAddress()).toLowerCase();
+  const { chainId, contracts } = readRegistry(hre.network.name, options.dir);
+  if (chainId !== Number((await hre.ethers.provider.getNetwork()).chainId)) {
+    return undefined;
+  }
+  const entry = Object.values(contracts).find((contract) => contract.address.toLowerCase() === address);
+  return entry && entry.blockNumber !== null ? entry.blockNumber : undefined;
+}
+
+/**
+ * Reads the DEX price accumulators, at the latest block or at `blockTag`
+ * @param {object} dex The DEX contract
+ * @param {string|number} [blockTag] The block to read at (needs an archive node for old blocks)
+ * @returns {Promise<{timestamp: bigint, priceACumulative: bigint, priceBCumulative: bigint}>}
+ */
+async function observePrices(dex, blockTag = "latest") {
+  const [priceACumulative, priceBCumulative, timestamp] = await dex.getCumulativePrices({ blockTag });
+  return { timestamp, priceACumulative, priceBCumulative };
+}
+
+/**
+ * Computes the time-weighted average prices between two observations
+ * @param {object} earlier The older observation from observePrices
+ * @param {object} later The newer observation from observePrices
+ * @param {number} [decimalsA] Decimals of tokenA
+ * @param {number} [decimalsB] Decimals of tokenB
+ * @returns {{window: bigint, priceA: string, priceB: string}} Prices in token units:
+ * `priceA` is how many tokenB one tokenA is worth on average, `priceB` the reverse
+ */
+function averagePrice(earlier, later, decimalsA = 18, decimalsB = 18) {
+  const window = later.timestamp - earlier.timestamp;
+  if (window <= 0n) {
+    throw new Error("DEX: observations must be at least one second apart");
+  }
+  // The accumulators wrap around like the uint256 arithmetic of the contract
+  const delta = (a, b) => BigInt.asUintN(256, b - a);
+  const averageA = delta(earlier.priceACumulative, later.priceACumulative) / window;
+  const averageB = delta(earlier.priceBCumulative, later.priceBCumulative) / window;
+
+  return {
+    window,
+    priceA: formatUnits(averageA * 10n ** BigInt(decimalsA), 18 + Number(decimalsB)),
+    priceB: formatUnits(averageB * 10n ** BigInt(decimalsB), 18 + Number(decimalsA)),
+  };
+}
+
+module.exports = {
+  BPS,
+  DEFAULT_SWAP_FEE,
+  DEFAULT_DEADLINE_MINUTES,
+  parsePercent,
+  getDeadline,
+  parseSlippage,
+  applySlippage,
+  getDex,
+  getPairTokens,
+  resolveToken,
+  quoteLiquidityAmounts,
+  decodeDexEvents,
+  getAmountOut,
+  getFactory,
+  getPairAddress,
+  loadPairs,
+  findBestPath,
+  getDeploymentBlock,
+  observePrices,
+  averagePrice,
+};
@@ -0,0 +1,113 @@
+const { keccak256, solidityPackedKeccak256, concat } = require("ethers");
+
+/**
+ * Hashes a MerkleAirdrop leaf, matching keccak256(abi.encodePacked(index, account, amount))
+ */
+function hashLeaf(index, account, amount) {
+  return solidityPackedKeccak256(["uint256", "address", "uint256"], [index, account, amount]);
+}
+
+/**
+ * Hashes a Faucet allowlist leaf, matching keccak256(abi.encodePacked(account))
+ */
+function hashAllowlistLeaf(account) {
+  return solidityPackedKeccak256(["address"], [account]);
+}
+
+/**
+ * Hashes a pair in sorted order, like OpenZeppelin's MerkleProof
+ */
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b) ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+}
+
+/**
+ * Builds the layers of a tree from its leaves and returns its root and a proof getter
+ */
+function buildLayers(leaves) {
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      // An odd node is promoted to the next layer unchanged
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  const getProof = (index) => {
+    const proof = [];
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index ^ 1;
+      if (sibling < layer.length) {
+        proof.push(layer[sibling]);
+      }
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  };
+
+  return { root: layers[layers.length - 1][0], getProof };
+}
+
+/**
+ * Builds the MerkleAirdrop allocation tree. Recipients keep their list order as leaf index.
+ * @param {Array<{address: string, amount: bigint}>} recipients Checksummed, deduplicated recipients
+ * @returns {{root: string, total: bigint, claims: object}} `claims` maps each address to
+ * `{ index, amount, proof }`, with the amount as a decimal string
+ */
+function buildMerkleTree(recipients) {
+  if (recipients.length === 0) {
+    throw new Error("Merkle: no recipients");
+  }
+
+  const { root, getProof } = buildLayers(recipients.map(({ address, amount }, index) => hashLeaf(index, address, amount)));
+  const claims = {};
+  recipients.forEach(({ address, amount }, index) => {
+    claims[address] = { index, amount: amount.toString(), proof: getProof(index) };
+  });
+
+  return {
+    root,
+    total: recipients.reduce((sum, { amount }) => sum + amount, 0n),
+    claims,
+  };
+}
+
+/**
+ * Builds the Faucet allowlist tree
+ * @param {string[]} accounts Checksummed, deduplicated addresses
+ * @returns {{root: string, proofs: object}} `proofs` maps each address to its proof
+ */
+function buildAllowlist(accounts) {
+  if (accounts.length === 0) {
+    throw new Error("Merkle: no accounts");
+  }
+
+  const { root, getProof } = buildLayers(accounts.map(hashAllowlistLeaf));
+  return { root, proofs: Object.fromEntries(accounts.map((account, index) => [account, getProof(index)])) };
+}
+
+/**
+ * Verifies a proof off-chain, e.g. before submitting a claim
+ */
+function verifyProof(root, index, account, amount, proof) {
+  return proof.reduce((hash, sibling) => hashPair(hash, sibling), hashLeaf(index, account, amount)) === root;
+}
+
+/**
+ * Verifies a Faucet allowlist proof off-chain
+ */
+function verifyAllowlistProof(root, account, proof) {
+  return proof.reduce((hash, sibling) => hashPair(hash, sibling), hashAllowlistLeaf(account)) === root;
+}
+
+module.exports = {
+  hashLeaf,
+  hashAllowlistLeaf,
+  buildMerkleTree,
+  buildAllowlist,
+  verifyProof,
+  verifyAllowlistProof,
+};
@@ -0,0 +1,52 @@
+const { getDeployedContract, findContractsWithFunction } = require("./registry");
+
+/**
+ * Returns the registry names of the contracts that have the pause switch
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} [options] `names` to restrict the contracts, `dir` to override the registry directory
+ */
+async function getPausableContracts(hre, options = {}) {
+  return findContractsWithFunction(hre, "pause", options);
+}
+
+/**
+ * Pauses or unpauses every pausable contract of the registry. Contracts already in
+ * the requested state are skipped, and a failure does not stop the others, so an
+ * emergency pause reaches as many contracts as possible.
+ * @param {object} hre The Hardhat runtime environment
+ * @param {boolean} paused Whether to pause or unpause
+ * @param {object} [options] `names` to restrict the contracts, `signer` (a PAUSER_ROLE
+ * holder, first account by default) and `dir` to override the registry directory
+ * @returns {Promise<{changed: string[], skipped: string[], failed: string[]}>}
+ */
+async function setStackPaused(hre, paused, options = {}) {
+  const signer = options.signer || (await hre.ethers.getSigners())[0];
+  const changed = [];
+  const skipped = [];
+  const failed = [];
+
+  for (const name of await getPausableContracts(hre, options)) {
+    const contract = await getDeployedContract(hre, name, { signer, dir: options.dir });
+    if ((await contract.paused()) === paused) {
+      console.log(`${name} is already ${paused ? "paused" : "unpaused"}`);
+      skipped.push(name);
+      continue;
+    }
+
+    try {
+      const receipt = await (await (paused ? contract.pause() : contract.unpause())).wait();
+      console.log(`${paused ? "Paused" : "Unpaused"} ${name} at ${contract.target} (${receipt.hash})`);
+      changed.push(name);
+    } catch (error) {
+      console.error(`Could not ${paused ? "pause" : "unpause"} ${name}: ${error.message}`);
+      failed.push(name);
+    }
+  }
+
+  return { changed, skipped, failed };
+}
+
+module.exports = {
+  getPausableContracts,
+  setStackPaused,
+};
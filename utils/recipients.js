@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const { getAddress, parseUnits } = require("ethers");
+
+/**
+ * Parses `address,amount` lines. A header line and blank lines are ignored.
+ */
+function parseCsv(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line !== "" && !line.startsWith("#"))
+    .map((line, index) => {
+      const [address, amount] = line.split(",").map((field) => field.trim());
+      return { address, amount, line: index + 1 };
+    })
+    .filter(({ address }, index) => !(index === 0 && address.toLowerCase() === "address"));
+}
+
+/**
+ * Parses either `[{ "address": ..., "amount": ... }]` or `{ "<address>": "<amount>" }`
+ */
+function parseJson(content) {
+  const data = JSON.parse(content);
+  const entries = Array.isArray(data)
+    ? data.map(({ address, amount }) => ({ address, amount }))
+    : Object.entries(data).map(([address, amount]) => ({ address, amount }));
+  return entries.map((entry, index) => ({ ...entry, amount: String(entry.amount), line: index + 1 }));
+}
+
+/**
+ * Validates, checksums and deduplicates raw recipient entries.
+ * Repeated addresses with the same amount are dropped; repeated addresses with
+ * different amounts are rejected since there is no way to tell which one is meant.
+ * @param {Array<{address: string, amount: string, line: number}>} entries Raw entries
+ * @param {number} decimals Token decimals used to parse the amounts
+ * @returns {{recipients: Array<{address: string, amount: bigint}>, duplicates: string[]}}
+ */
+function normalizeRecipients(entries, decimals) {
+  const byAddress = new Map();
+  const duplicates = [];
+  const errors = [];
+
+  for (const { address, amount, line } of entries) {
+    let checksummed;
+    let value;
+    try {
+      checksummed = getAddress(address);
+    } catch (error) {
+      errors.push(`entry ${line}: invalid address ${address}`);
+      continue;
+    }
+    try {
+      value = parseUnits(amount, decimals);
+    } catch (error) {
+      errors.push(`entry ${line}: invalid amount ${amount}`);
+      continue;
+    }
+
+    if (byAddress.has(checksummed)) {
+      if (byAddress.get(checksummed) !== value) {
+        errors.push(`entry ${line}: ${checksummed} is listed again with a different amount`);
+      } else {
+        duplicates.push(checksummed);
+      }
+      continue;
+    }
+    byAddress.set(checksummed, value);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Recipients: ${errors.length} invalid entries\n  ${errors.join("\n  ")}`);
+  }
+
+  return {
+    recipients: [...byAddress].map(([address, amount]) => ({ address, amount })),
+    duplicates,
+  };
+}
+
+/**
+ * Loads a recipient list from a .csv or .json file
+ * @param {string} file Path to the file
+ * @param {number} decimals Token decimals used to parse the amounts
+ */
+function loadRecipients(file, decimals) {
+  const content = fs.readFileSync(file, "utf8");
+  const entries = path.extname(file).toLowerCase() === ".json" ? parseJson(content) : parseCsv(content);
+  return normalizeRecipients(entries, decimals);
+}
+
+/**
+ * Loads a list of addresses, e.g. a Faucet allowlist, from a .json array or a file with
+ * one address per line. Only the first column of a .csv is read, so a recipient list
+ * works too. Addresses are checksummed and repeated ones dropped.
+ * @param {string} file Path to the file
+ * @returns {{addresses: string[], duplicates: string[]}}
+ */
+function loadAddresses(file) {
+  const content = fs.readFileSync(file, "utf8");
+  const entries =
+    path.extname(file).toLowerCase() === ".json"
+      ? JSON.parse(content).map((address, index) => ({ address, line: index + 1 }))
+      : parseCsv(content);
+
+  const addresses = new Set();
+  const duplicates = [];
+  const errors = [];
+  for (const { address, line } of entries) {
+    let checksummed;
+    try {
+      checksummed = getAddress(address);
+    } catch (error) {
+      errors.push(`entry ${line}: invalid address ${address}`);
+      continue;
+    }
+    if (addresses.has(checksummed)) {
+      duplicates.push(checksummed);
+    }
+    addresses.add(checksummed);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Recipients: ${errors.length} invalid entries\n  ${errors.join("\n  ")}`);
+  }
+  return { addresses: [...addresses], duplicates };
+}
+
+/**
+ * Splits an array into chunks of at most `size` items
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = {
+  parseCsv,
+  parseJson,
+  normalizeRecipients,
+  loadRecipients,
+  loadAddresses,
+  chunk,
+};
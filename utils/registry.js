@@ -0,0 +1,159 @@
+const fs = require("fs");
+const path = require("path");
+
+// Registries are written to addresses/<network>.json
+const DEFAULT_REGISTRY_DIR = path.join(__dirname, "..", "addresses");
+
+/**
+ * Returns the path of the registry file for a network
+ * @param {string} networkName The Hardhat network name
+ * @param {string} [dir] Directory holding the registry files
+ */
+function getRegistryPath(networkName, dir = DEFAULT_REGISTRY_DIR) {
+  return path.join(dir, `${networkName}.json`);
+}
+
+/**
+ * Reads the registry of a network, or returns an empty one if nothing was deployed yet
+ * @param {string} networkName The Hardhat network name
+ * @param {string} [dir] Directory holding the registry files
+ */
+function readRegistry(networkName, dir = DEFAULT_REGISTRY_DIR) {
+  const file = getRegistryPath(networkName, dir);
+  if (!fs.existsSync(file)) {
+    return { network: networkName, chainId: undefined, contracts: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Writes the registry of a network
+ * @param {object} registry The registry returned by readRegistry
+ * @param {string} [dir] Directory holding the registry files
+ */
+function writeRegistry(registry, dir = DEFAULT_REGISTRY_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(getRegistryPath(registry.network, dir), JSON.stringify(registry, null, 2) + "\n");
+}
+
+/**
+ * Hashes the ABI of a compiled contract, so stale registry entries can be detected
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} contractName The contract name in the artifacts
+ */
+async function getAbiHash(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  return hre.ethers.id(JSON.stringify(artifact.abi));
+}
+
+/**
+ * Converts constructor arguments to the strings stored in the registry, keeping arrays
+ * @param {Array} args The constructor arguments
+ * @returns {Array}
+ */
+function serializeArgs(args) {
+  return args.map((arg) => (Array.isArray(arg) ? serializeArgs(arg) : String(arg)));
+}
+
+/**
+ * Records a freshly deployed contract in the registry of the current network
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} name The registry key, usually the contract name
+ * @param {object} contract The deployed ethers contract
+ * @param {Array} constructorArgs The arguments the contract was deployed with
+ * @param {object} [options] `contractName` if it differs from `name`, `dir` to override the registry directory
+ */
+async function recordDeployment(hre, name, contract, constructorArgs, options = {}) {
+  const { contractName = name, dir } = options;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deploymentTx = contract.deploymentTransaction();
+  const receipt = deploymentTx ? await deploymentTx.wait() : null;
+
+  const registry = readRegistry(hre.network.name, dir);
+  registry.chainId = Number(chainId);
+  registry.contracts[name] = {
+    contractName,
+    address: await contract.getAddress(),
+    txHash: receipt ? receipt.hash : null,
+    blockNumber: receipt ? receipt.blockNumber : null,
+    constructorArgs: serializeArgs(constructorArgs),
+    abiHash: await getAbiHash(hre, contractName),
+  };
+  writeRegistry(registry, dir);
+
+  return registry.contracts[name];
+}
+
+/**
+ * Returns the registry entry of a deployed contract, checking it belongs to the current chain
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} name The registry key
+ * @param {object} [options] `dir` to override the registry directory
+ */
+async function getDeployment(hre, name, options = {}) {
+  const registry = readRegistry(hre.network.name, options.dir);
+  const deployment = registry.contracts[name];
+  if (!deployment) {
+    throw new Error(`Registry: ${name} is not deployed on ${hre.network.name}`);
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (registry.chainId !== Number(chainId)) {
+    throw new Error(`Registry: ${hre.network.name} registry is for chain ${registry.chainId}, connected to ${chainId}`);
+  }
+
+  return deployment;
+}
+
+/**
+ * Attaches to an already deployed contract recorded in the registry
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} name The registry key
+ * @param {object} [options] `signer` to connect with, `dir` to override the registry directory
+ */
+async function getDeployedContract(hre, name, options = {}) {
+  const deployment = await getDeployment(hre, name, options);
+
+  if (deployment.abiHash !== (await getAbiHash(hre, deployment.contractName))) {
+    console.warn(`Registry: ABI of ${deployment.contractName} changed since ${name} was deployed`);
+  }
+
+  return hre.ethers.getContractAt(deployment.contractName, deployment.address, options.signer);
+}
+
+/**
+ * Returns the registry names of the deployed contracts whose ABI has a function
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} functionName The function to look for, e.g. "pause"
+ * @param {object} [options] `names` to restrict the contracts, `dir` to override the registry directory
+ * @returns {Promise<string[]>}
+ */
+async function findContractsWithFunction(hre, functionName, options = {}) {
+  const { names, dir } = options;
+  const { contracts } = readRegistry(hre.network.name, dir);
+
+  const found = [];
+  for (const name of names && names.length > 0 ? names : Object.keys(contracts)) {
+    if (!contracts[name]) {
+      throw new Error(`Registry: ${name} is not deployed on ${hre.network.name}`);
+    }
+    const { abi } = await hre.artifacts.readArtifact(contracts[name].contractName);
+    if (abi.some((fragment) => fragment.type === "function" && fragment.name === functionName)) {
+      found.push(name);
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  DEFAULT_REGISTRY_DIR,
+  getRegistryPath,
+  readRegistry,
+  writeRegistry,
+  getAbiHash,
+  serializeArgs,
+  recordDeployment,
+  getDeployment,
+  getDeployedContract,
+  findContractsWithFunction,
+};
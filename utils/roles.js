@@ -0,0 +1,127 @@
+const { id, ZeroHash } = require("ethers");
+const { getDeployment, getDeployedContract, findContractsWithFunction } = require("./registry");
+
+// Roles used across the stack, named after their getter without the _ROLE suffix.
+// The last three are the TimelockController roles.
+const ROLE_NAMES = ["DEFAULT_ADMIN", "PAUSER", "FUNDER", "AIRDROP_MANAGER", "FEE_SETTER", "PROPOSER", "EXECUTOR", "CANCELLER"];
+
+/**
+ * Normalizes a role name, accepting e.g. "funder", "FUNDER" or "FUNDER_ROLE" ("admin" for DEFAULT_ADMIN)
+ * @param {string} role The role name
+ * @returns {string} The name without the _ROLE suffix, e.g. "FUNDER"
+ */
+function parseRole(role) {
+  const name = String(role).toUpperCase().replace(/_ROLE$/, "");
+  const normalized = name === "ADMIN" ? "DEFAULT_ADMIN" : name;
+  if (!ROLE_NAMES.includes(normalized)) {
+    throw new Error(`Roles: unknown role ${role}, expected one of ${ROLE_NAMES.join(", ")}`);
+  }
+  return normalized;
+}
+
+/**
+ * Returns the bytes32 id of a role, as computed by the contracts
+ * @param {string} role The role name, see parseRole
+ */
+function getRoleId(role) {
+  const name = parseRole(role);
+  return name === "DEFAULT_ADMIN" ? ZeroHash : id(`${name}_ROLE`);
+}
+
+/**
+ * Lists the current holders of each role by replaying the RoleGranted and RoleRevoked
+ * events of a contract. AccessControl only emits them when a role actually changes
+ * hands, so the replay matches hasRole.
+ * @param {object} contract An AccessControl contract
+ * @param {number} [fromBlock] First block to scan, usually the deployment block
+ * @returns {Promise<object>} Role name => holder addresses, in the order they were granted
+ */
+async function getRoleHolders(contract, fromBlock = 0) {
+  const events = [
+    ...(await contract.queryFilter(contract.filters.RoleGranted(), fromBlock)),
+    ...(await contract.queryFilter(contract.filters.RoleRevoked(), fromBlock)),
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const names = Object.fromEntries(ROLE_NAMES.map((name) => [getRoleId(name), name]));
+  const holders = {};
+  for (const { fragment, args } of events) {
+    // Roles unknown to this script are listed by id
+    const name = names[args.role] || args.role;
+    holders[name] = holders[name] || new Set();
+    if (fragment.name === "RoleGranted") {
+      holders[name].add(args.account);
+    } else {
+      holders[name].delete(args.account);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(holders)
+      .filter(([, accounts]) => accounts.size > 0)
+      .map(([name, accounts]) => [name, [...accounts]])
+  );
+}
+
+/**
+ * Lists the role holders of every contract of the registry that uses roles
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} [options] `names` to restrict the contracts, `dir` to override the registry directory
+ * @returns {Promise<object>} Registry name => role name => holder addresses
+ */
+async function listStackRoles(hre, options = {}) {
+  const roles = {};
+  for (const name of await findContractsWithFunction(hre, "hasRole", options)) {
+    const { blockNumber } = await getDeployment(hre, name, options);
+    const contract = await getDeployedContract(hre, name, options);
+    roles[name] = await getRoleHolders(contract, blockNumber || 0);
+  }
+  return roles;
+}
+
+/**
+ * Grants or revokes a role on every contract of the registry that defines it.
+ * Contracts where the account already is (or is not) a holder are left alone.
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} role The role name, see parseRole. DEFAULT_ADMIN follows ownership and is rejected.
+ * @param {string} account The account to grant the role to or revoke it from
+ * @param {boolean} granted Whether to grant or revoke
+ * @param {object} [options] `names` to restrict the contracts, `signer` (the owner,
+ * first account by default) and `dir` to override the registry directory
+ * @returns {Promise<string[]>} The names of the contracts updated
+ */
+async function setStackRole(hre, role, account, granted, options = {}) {
+  const name = parseRole(role);
+  if (name === "DEFAULT_ADMIN") {
+    throw new Error("Roles: DEFAULT_ADMIN_ROLE follows ownership, transfer ownership instead");
+  }
+
+  const getter = `${name}_ROLE`;
+  const contracts = await findContractsWithFunction(hre, getter, options);
+  const missing = (options.names || []).filter((contractName) => !contracts.includes(contractName));
+  if (missing.length > 0 || contracts.length === 0) {
+    throw new Error(`Roles: ${missing.length > 0 ? missing.join(", ") : "no registered contract"} has no ${getter}`);
+  }
+
+  const signer = options.signer || (await hre.ethers.getSigners())[0];
+  const roleId = getRoleId(name);
+  const updated = [];
+  for (const contractName of contracts) {
+    const contract = await getDeployedContract(hre, contractName, { signer, dir: options.dir });
+    if ((await contract.hasRole(roleId, account)) === granted) {
+      continue;
+    }
+    await (await (granted ? contract.grantRole(roleId, account) : contract.revokeRole(roleId, account))).wait();
+    console.log(`${granted ? "Granted" : "Revoked"} ${getter} ${granted ? "to" : "from"} ${account} on ${contractName}`);
+    updated.push(contractName);
+  }
+  return updated;
+}
+
+module.exports = {
+  ROLE_NAMES,
+  parseRole,
+  getRoleId,
+  getRoleHolders,
+  listStackRoles,
+  setStackRole,
+};
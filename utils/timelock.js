@@ -0,0 +1,201 @@
+const { ZeroHash, hexlify, randomBytes } = require("ethers");
+const { readRegistry, getDeployment, getDeployedContract } = require("./registry");
+const { getRoleId } = require("./roles");
+
+// Contracts handed over to the timelock by default
+const TIMELOCK_OWNED = ["DEX", "Faucet", "AirdropV2"];
+
+// Operational roles the handoff can move to the timelock. PAUSER_ROLE stays with the
+// deployer, so the stack can still be paused without waiting for the delay.
+const TIMELOCK_ROLES = ["FUNDER", "AIRDROP_MANAGER", "FEE_SETTER"];
+
+// TimelockController.getOperationState, with Unset meaning cancelled for a scheduled operation
+const OPERATION_STATES = ["Cancelled", "Waiting", "Ready", "Done"];
+
+/**
+ * Transfers ownership of registered contracts to the registered Timelock, which moves
+ * DEFAULT_ADMIN_ROLE along. With `roles`, the signer's FUNDER_ROLE, AIRDROP_MANAGER_ROLE
+ * and FEE_SETTER_ROLE are first granted to the timelock and revoked from the signer.
+ * Without it they stay with the signer, whose role-gated calls (fees, funding, the
+ * airdrop campaign) then skip the delay, and a warning lists them.
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} [options] `names` of the contracts (DEX, Faucet and AirdropV2 by
+ * default), `roles` to also move the operational roles, `signer` (the current owner,
+ * first account by default) and `dir` to override the registry directory
+ * @returns {Promise<string[]>} The names of the contracts handed over
+ */
+async function handOverOwnership(hre, options = {}) {
+  const names = options.names && options.names.length > 0 ? options.names : TIMELOCK_OWNED;
+  const signer = options.signer || (await hre.ethers.getSigners())[0];
+  const timelock = await getDeployedContract(hre, "Timelock", { dir: options.dir });
+
+  const updated = [];
+  for (const name of names) {
+    const contract = await getDeployedContract(hre, name, { signer, dir: options.dir });
+    const owned = (await contract.owner()) === timelock.target;
+    const held = await getHeldRoles(contract, signer.address);
+
+    // Role changes need DEFAULT_ADMIN_ROLE, so they go before the ownership transfer
+    if (options.roles && !owned) {
+      for (const role of held) {
+        await (await contract.grantRole(getRoleId(role), timelock.target)).wait();
+        await (await contract.revokeRole(getRoleId(role), signer.address)).wait();
+        console.log(`Moved ${role}_ROLE of ${name} from ${signer.address} to the Timelock`);
+      }
+    } else if (held.length > 0) {
+      const roles = held.map((role) => `${role}_ROLE`).join(", ");
+      const fix = owned ? "revoke it through the timelock" : "run timelock:handoff --roles to move it";
+      console.log(`Warning: ${signer.address} keeps ${roles} on ${name} and can use it without the timelock delay; ${fix}`);
+    }
+
+    if (owned) {
+      console.log(`${name} is already owned by the Timelock`);
+      continue;
+    }
+    const receipt = await (await contract.transferOwnership(timelock.target)).wait();
+    console.log(`Transferred ownership of ${name} to the Timelock at ${timelock.target} (${receipt.hash})`);
+    updated.push(name);
+  }
+  return updated;
+}
+
+/**
+ * Schedules a call to a registered contract on the Timelock
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} name The registry name of the target, e.g. "AirdropV2"
+ * @param {string} method The function name or signature, e.g. "withdrawRemainingTokens"
+ * @param {Array} [args] The function arguments
+ * @param {object} [options] `delay` in seconds (the minimum delay by default), `salt`
+ * (random by default, so the same call can be queued again), `signer` (a proposer,
+ * first account by default) and `dir` to override the registry directory
+ * @returns {Promise<{id: string, target: string, data: string, salt: string, readyAt: bigint}>}
+ */
+async function scheduleOperation(hre, name, method, args = [], options = {}) {
+  const signer = options.signer || (await hre.ethers.getSigners())[0];
+  const timelock = await getDeployedContract(hre, "Timelock", { signer, dir: options.dir });
+  const contract = await getDeployedContract(hre, name, { dir: options.dir });
+
+  const target = contract.target;
+  const data = contract.interface.encodeFunctionData(method, args);
+  const delay = options.delay !== undefined ? BigInt(options.delay) : await timelock.getMinDelay();
+  const salt = options.salt || hexlify(randomBytes(32));
+  const id = await timelock.hashOperation(target, 0, data, ZeroHash, salt);
+
+  const receipt = await (await timelock.schedule(target, 0, data, ZeroHash, salt, delay)).wait();
+  const readyAt = await timelock.getTimestamp(id);
+  console.log(`Scheduled ${name}.${method} as ${id}, executable after ${formatTimestamp(readyAt)} (${receipt.hash})`);
+  return { id, target, data, salt, readyAt };
+}
+
+/**
+ * Lists the operations scheduled on the Timelock by replaying its CallScheduled and
+ * CallSalt events, with their current state and the decoded call
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} [options] `dir` to override the registry directory
+ * @returns {Promise<object[]>} Operations with `id`, `target`, `value`, `data`,
+ * `predecessor`, `salt`, `call`, `readyAt` and `state` (Waiting, Ready, Done or Cancelled)
+ */
+async function listOperations(hre, options = {}) {
+  const { blockNumber } = await getDeployment(hre, "Timelock", options);
+  const timelock = await getDeployedContract(hre, "Timelock", { dir: options.dir });
+  const fromBlock = blockNumber || 0;
+
+  const salts = {};
+  for (const { args } of await timelock.queryFilter(timelock.filters.CallSalt(), fromBlock)) {
+    salts[args.id] = args.salt;
+  }
+
+  const decode = await getCallDecoder(hre, options.dir);
+  const operations = [];
+  for (const event of await timelock.queryFilter(timelock.filters.CallScheduled(), fromBlock)) {
+    const { id, target, value, data, predecessor, delay } = event.args;
+    const { timestamp } = await event.getBlock();
+    operations.push({
+      id,
+      target,
+      value,
+      data,
+      predecessor,
+      salt: salts[id] || ZeroHash,
+      call: decode(target, data),
+      readyAt: BigInt(timestamp) + delay,
+      state: OPERATION_STATES[Number(await timelock.getOperationState(id))],
+    });
+  }
+  return operations;
+}
+
+/**
+ * Executes a ready operation of the Timelock
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} id The operation id
+ * @param {object} [options] `signer` (first account by default) and `dir` to override the registry directory
+ * @returns {Promise<object>} The transaction receipt
+ */
+async function executeOperation(hre, id, options = {}) {
+  const operation = (await listOperations(hre, options)).find((op) => op.id.toLowerCase() === id.toLowerCase());
+  if (!operation) {
+    throw new Error(`Timelock: unknown operation ${id}`);
+  }
+  if (operation.state !== "Ready") {
+    const until = operation.state === "Waiting" ? ` until ${formatTimestamp(operation.readyAt)}` : "";
+    throw new Error(`Timelock: operation ${id} is ${operation.state.toLowerCase()}${until}`);
+  }
+
+  const signer = options.signer || (await hre.ethers.getSigners())[0];
+  const timelock = await getDeployedContract(hre, "Timelock", { signer, dir: options.dir });
+  const { target, value, data, predecessor, salt } = operation;
+  const receipt = await (await timelock.execute(target, value, data, predecessor, salt)).wait();
+  console.log(`Executed ${operation.call} (${receipt.hash})`);
+  return receipt;
+}
+
+/**
+ * Lists the TIMELOCK_ROLES that `contract` defines and `account` holds
+ */
+async function getHeldRoles(contract, account) {
+  const held = [];
+  for (const role of TIMELOCK_ROLES) {
+    if (contract.interface.hasFunction(`${role}_ROLE`) && (await contract.hasRole(getRoleId(role), account))) {
+      held.push(role);
+    }
+  }
+  return held;
+}
+
+/**
+ * Returns a function describing calls to registered contracts, e.g. "AirdropV2.withdrawRemainingTokens(0x...)"
+ */
+async function getCallDecoder(hre, dir) {
+  const { contracts } = readRegistry(hre.network.name, dir);
+  const byAddress = {};
+  for (const [name, { contractName, address }] of Object.entries(contracts)) {
+    const { abi } = await hre.artifacts.readArtifact(contractName);
+    byAddress[address.toLowerCase()] = { name, iface: new hre.ethers.Interface(abi) };
+  }
+
+  return (target, data) => {
+    const known = byAddress[target.toLowerCase()];
+    const call = known && known.iface.parseTransaction({ data });
+    if (!call) {
+      return `${target} ${data}`;
+    }
+    return `${known.name}.${call.name}(${call.args.map(String).join(", ")})`;
+  };
+}
+
+/**
+ * Formats a Unix timestamp in seconds as an ISO date
+ */
+function formatTimestamp(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+module.exports = {
+  TIMELOCK_OWNED,
+  TIMELOCK_ROLES,
+  handOverOwnership,
+  scheduleOperation,
+  listOperations,
+  executeOperation,
+};
@@ -0,0 +1,67 @@
+const { Signature } = require("ethers");
+
+/**
+ * Approves `spender` for `amount` if the current allowance of the token's signer is lower
+ * @param {object} token The ERC20 contract, connected to the owner
+ * @param {string} spender The address to approve
+ * @param {bigint} amount The amount that will be spent
+ */
+async function ensureAllowance(token, spender, amount) {
+  const owner = await token.runner.getAddress();
+  if ((await token.allowance(owner, spender)) < amount) {
+    await (await token.approve(spender, amount)).wait();
+  }
+}
+
+// EIP-2612 Permit struct, as signed by the token owner
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * Builds the EIP-712 typed data of an EIP-2612 permit, reading the domain and the
+ * owner's current nonce from the token
+ * @param {object} token The ERC20Permit contract
+ * @param {string} owner The address granting the allowance
+ * @param {string} spender The address to approve
+ * @param {bigint} value The allowance
+ * @param {bigint} deadline Timestamp after which the permit is invalid
+ * @returns {Promise<{domain: object, types: object, message: object}>}
+ */
+async function buildPermitTypedData(token, owner, spender, value, deadline) {
+  const { name, version, chainId, verifyingContract } = await token.eip712Domain();
+  return {
+    domain: { name, version, chainId, verifyingContract },
+    types: PERMIT_TYPES,
+    message: { owner, spender, value, nonce: await token.nonces(owner), deadline },
+  };
+}
+
+/**
+ * Signs an EIP-2612 permit with `signer`, without sending a transaction
+ * @param {object} token The ERC20Permit contract
+ * @param {object} signer The token owner
+ * @param {string} spender The address to approve
+ * @param {bigint} value The allowance
+ * @param {bigint} deadline Timestamp after which the permit is invalid
+ * @returns {Promise<{value: bigint, deadline: bigint, v: number, r: string, s: string}>} The
+ * signature split the way the DEX *WithPermit functions take it
+ */
+async function signPermit(token, signer, spender, value, deadline) {
+  const { domain, types, message } = await buildPermitTypedData(token, signer.address, spender, value, deadline);
+  const { v, r, s } = Signature.from(await signer.signTypedData(domain, types, message));
+  return { value, deadline, v, r, s };
+}
+
+module.exports = {
+  ensureAllowance,
+  PERMIT_TYPES,
+  buildPermitTypedData,
+  signPermit,
+};
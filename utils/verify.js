@@ -0,0 +1,88 @@
+const { readRegistry, writeRegistry } = require("./registry");
+const { LOCAL_NETWORKS } = require("./config");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Explorer answers meaning the contract is deployed but not indexed yet, the only
+// failures worth retrying. Wrong arguments, API keys or compiler settings fail for good.
+const NOT_INDEXED_YET = /does not have bytecode|unable to locate contractcode|not (yet )?indexed/i;
+
+/**
+ * Verifies one registry entry on the block explorers enabled in hardhat.config.js,
+ * retrying while the explorer has not indexed the contract yet. Other errors are
+ * thrown at once.
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} deployment The registry entry
+ * @param {object} [options] `retries` and `retryDelay` (ms)
+ */
+async function verifyContract(hre, deployment, options = {}) {
+  const { retries = 3, retryDelay = 10_000 } = options;
+  const { sourceName, contractName } = await hre.artifacts.readArtifact(deployment.contractName);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await hre.run("verify:verify", {
+        address: deployment.address,
+        constructorArguments: deployment.constructorArgs,
+        // TestTokenA and TestTokenB have the same runtime bytecode, so the contract must be named
+        contract: `${sourceName}:${contractName}`,
+      });
+      return;
+    } catch (error) {
+      if (/already verified/i.test(error.message)) {
+        return;
+      }
+      if (attempt >= retries || !NOT_INDEXED_YET.test(error.message)) {
+        throw error;
+      }
+      console.log(`  Verification attempt ${attempt} failed (${error.message.split("\n")[0]}), retrying...`);
+      await sleep(retryDelay);
+    }
+  }
+}
+
+/**
+ * Verifies the contracts recorded in the registry of the current network and
+ * marks them as verified. Failures are reported but do not stop the others.
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} [options] `names` to restrict the contracts, `force` to re-verify
+ * contracts already marked as verified, `skipLocal` (default true), `retries`,
+ * `retryDelay` and `dir` to override the registry directory
+ * @returns {Promise<{verified: string[], failed: string[]}>}
+ */
+async function verifyStack(hre, options = {}) {
+  const { names, force = false, skipLocal = true, dir } = options;
+  const verified = [];
+  const failed = [];
+
+  if (skipLocal && LOCAL_NETWORKS.includes(hre.network.name)) {
+    console.log(`Skipping verification on local network ${hre.network.name}`);
+    return { verified, failed };
+  }
+
+  const registry = readRegistry(hre.network.name, dir);
+
+  for (const [name, deployment] of Object.entries(registry.contracts)) {
+    if ((names && !names.includes(name)) || (deployment.verified && !force)) {
+      continue;
+    }
+
+    console.log(`Verifying ${name} at ${deployment.address}...`);
+    try {
+      await verifyContract(hre, deployment, options);
+      deployment.verified = true;
+      writeRegistry(registry, dir);
+      verified.push(name);
+    } catch (error) {
+      console.error(`Could not verify ${name}: ${error.message}`);
+      failed.push(name);
+    }
+  }
+
+  return { verified, failed };
+}
+
+module.exports = {
+  verifyContract,
+  verifyStack,
+};
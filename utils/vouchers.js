@@ -0,0 +1,167 @@
+const http = require("http");
+const { getAddress } = require("ethers");
+
+// Faucet voucher, as signed by the faucet's voucherSigner
+const VOUCHER_TYPES = {
+  Voucher: [
+    { name: "user", type: "address" },
+    { name: "asset", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Largest request body the voucher service reads
+const MAX_BODY_LENGTH = 10_000;
+
+/**
+ * Builds the EIP-712 typed data of a Faucet voucher, reading the domain and the
+ * user's current nonce from the faucet
+ * @param {object} faucet The Faucet contract
+ * @param {string} user The address allowed to withdraw
+ * @param {string} asset The asset to withdraw, the zero address for ETH
+ * @param {bigint} deadline Timestamp after which the voucher is invalid
+ * @returns {Promise<{domain: object, types: object, message: object}>}
+ */
+async function buildVoucherTypedData(faucet, user, asset, deadline) {
+  const { name, version, chainId, verifyingContract } = await faucet.eip712Domain();
+  return {
+    domain: { name, version, chainId, verifyingContract },
+    types: VOUCHER_TYPES,
+    message: { user, asset, nonce: await faucet.nonces(user), deadline },
+  };
+}
+
+/**
+ * Signs a Faucet voucher with `signer`, without sending a transaction
+ * @param {object} faucet The Faucet contract
+ * @param {object} signer The faucet's voucherSigner
+ * @param {string} user The address allowed to withdraw
+ * @param {string} asset The asset to withdraw, the zero address for ETH
+ * @param {bigint} deadline Timestamp after which the voucher is invalid
+ * @returns {Promise<{deadline: bigint, signature: string}>} The voucher, as withdrawWithCredentials takes it
+ */
+async function signVoucher(faucet, signer, user, asset, deadline) {
+  const { domain, types, message } = await buildVoucherTypedData(faucet, user, asset, deadline);
+  return { deadline, signature: await signer.signTypedData(domain, types, message) };
+}
+
+/**
+ * Returns a captcha check against a siteverify endpoint. hCaptcha, reCAPTCHA and
+ * Cloudflare Turnstile all take the secret and the user's response as a form post.
+ * @param {string} url The siteverify endpoint
+ * @param {string} secret The site secret
+ * @returns {function(string, string): Promise<boolean>} Resolves whether the response is valid
+ */
+function createSiteVerifier(url, secret) {
+  return async (response, remoteAddress) => {
+    const body = new URLSearchParams({ secret, response });
+    if (remoteAddress) {
+      body.set("remoteip", remoteAddress);
+    }
+    const result = await fetch(url, { method: "POST", body });
+    if (!result.ok) {
+      throw new Error(`Vouchers: captcha verification failed with HTTP ${result.status}`);
+    }
+    return (await result.json()).success === true;
+  };
+}
+
+/**
+ * Creates the voucher-signing service. `POST /voucher` with a JSON body
+ * `{ "address": ..., "asset": ..., "captcha": ... }` answers with
+ * `{ user, asset, nonce, deadline, signature }` once the captcha checks out. Vouchers
+ * are signed for the user's current nonce, so each one pays out at most once.
+ * @param {object} options `faucet` (the Faucet contract), `signer` (its voucherSigner),
+ * `verifyCaptcha` (`async (response, remoteAddress) => boolean`) and `ttl`, the
+ * voucher lifetime in seconds of chain time (10 minutes by default)
+ * @returns {http.Server} The server, not listening yet
+ */
+function createVoucherService({ faucet, signer, verifyCaptcha, ttl = 600 }) {
+  return http.createServer(async (req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== "POST" || req.url !== "/voucher") {
+      return reply(404, { error: "Not found" });
+    }
+
+    try {
+      const { user, asset, captcha } = parseVoucherRequest(await readBody(req));
+      if ((await faucet.dailyLimit(asset)) === 0n) {
+        return reply(400, { error: `Asset ${asset} is not dispensed` });
+      }
+      if (!(await verifyCaptcha(captcha, req.socket.remoteAddress))) {
+        return reply(403, { error: "Invalid captcha" });
+      }
+
+      const { timestamp } = await signer.provider.getBlock("latest");
+      const deadline = BigInt(timestamp + ttl);
+      const { domain, types, message } = await buildVoucherTypedData(faucet, user, asset, deadline);
+      const signature = await signer.signTypedData(domain, types, message);
+      console.log(`Signed voucher ${message.nonce} for ${user} and ${asset}`);
+      reply(200, { user, asset, nonce: message.nonce.toString(), deadline: deadline.toString(), signature });
+    } catch (error) {
+      if (error.status) {
+        return reply(error.status, { error: error.message });
+      }
+      console.error(error);
+      reply(500, { error: "Internal error" });
+    }
+  });
+}
+
+/**
+ * Validates the body of a voucher request
+ */
+function parseVoucherRequest(body) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+  let request;
+  try {
+    request = JSON.parse(body);
+  } catch (error) {
+    throw invalid("Body must be JSON");
+  }
+  if (typeof request.captcha !== "string" || request.captcha === "") {
+    throw invalid("Missing captcha");
+  }
+
+  const parse = (field) => {
+    try {
+      return getAddress(request[field]);
+    } catch (error) {
+      throw invalid(`Invalid ${field} ${request[field]}`);
+    }
+  };
+  return { user: parse("address"), asset: parse("asset"), captcha: request.captcha };
+}
+
+/**
+ * Reads a request body of at most MAX_BODY_LENGTH characters
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_LENGTH) {
+        reject(Object.assign(new Error("Body too large"), { status: 413 }));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+module.exports = {
+  VOUCHER_TYPES,
+  buildVoucherTypedData,
+  signVoucher,
+  createSiteVerifier,
+  createVoucherService,
+};